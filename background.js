@@ -3,521 +3,9 @@
  * Handles time tracking, tab management, and extension coordination
  */
 
-// Utility Classes - Inline for Service Worker Compatibility
-
-/**
- * Simple Storage Manager for Chrome Extension
- */
-class StorageManager {
-  constructor() {
-    this.initialized = false;
-  }
-
-  async initialize() {
-    // Check if storage is available and initialize default settings
-    try {
-      await chrome.storage.local.get(['test']);
-      
-      // Ensure storage is initialized
-      const storage = await chrome.storage.local.get(['settings', 'stats']);
-      if (!storage.settings) {
-        await this.saveSettings(this.getDefaultSettings());
-      }
-      if (!storage.stats) {
-        const today = new Date().toISOString().split('T')[0];
-        await chrome.storage.local.set({ 
-          stats: {
-            [today]: {
-              totalTime: 0,
-              sitesVisited: 0,
-              productivityScore: 0,
-              sites: {}
-            }
-          }
-        });
-      }
-      
-      this.initialized = true;
-      console.log('✅ Storage Manager initialized');
-    } catch (error) {
-      console.error('❌ Storage Manager initialization failed:', error);
-    }
-  }
-
-  getDefaultSettings() {
-    return {
-      trackingEnabled: true,
-      blockingEnabled: false,
-      focusMode: false,
-      blockedSites: [],
-      categories: this.getDefaultSiteCategories()
-    };
-  }
-
-  async saveTimeEntry(domain, timeSpent, visits = 1) {
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      const storage = await chrome.storage.local.get(['stats']);
-      
-      // Initialize today's stats if not exists
-      if (!storage.stats || !storage.stats[today]) {
-        storage.stats = {
-          ...storage.stats,
-          [today]: {
-            totalTime: 0,
-            sitesVisited: 0,
-            productivityScore: 0,
-            sites: {}
-          }
-        };
-      }
-
-      const stats = storage.stats[today];
-
-      // Update domain stats
-      if (!stats.sites[domain]) {
-        stats.sites[domain] = {
-          timeSpent: 0,
-          visits: 0
-        };
-      }
-
-      stats.sites[domain].timeSpent += timeSpent;
-      stats.sites[domain].visits += visits;
-
-      // Update total stats
-      stats.totalTime = (stats.totalTime || 0) + timeSpent;
-      stats.sitesVisited = Object.keys(stats.sites).length;
-
-      // Calculate productivity score
-      const productiveTime = Object.values(stats.sites)
-        .reduce((total, site) => total + (site.timeSpent || 0), 0);
-      stats.productivityScore = Math.min(
-        Math.round((productiveTime / (6 * 60 * 60 * 1000)) * 100),
-        100
-      );
-
-      // Save updated stats
-      await chrome.storage.local.set({
-        stats: {
-          ...storage.stats,
-          [today]: stats
-        }
-      });
-
-      // Notify any open popups
-      try {
-        const message = {
-          type: 'STATS_UPDATED',
-          payload: stats
-        };
-        await chrome.runtime.sendMessage(message);
-      } catch (error) {
-        // Popup might not be open, ignore error
-      }
-
-      return stats;
-    } catch (error) {
-      console.error('Error saving time entry:', error);
-      throw error;
-    }
-  }
-
-  async getTodayStats() {
-    const today = new Date().toISOString().split('T')[0];
-    const storage = await chrome.storage.local.get(['stats']);
-    return storage.stats?.[today] || {
-      totalTime: 0,
-      sitesVisited: 0,
-      productivityScore: 0,
-      sites: {}
-    };
-  }
-
-  async getTimeData(startDate, endDate = null) {
-    if (!endDate) {
-      endDate = startDate;
-    }
-    
-    try {
-      const storage = await chrome.storage.local.get(['stats']);
-      const allStats = storage.stats || {};
-      const result = {};
-      
-      // Filter stats by date range
-      Object.keys(allStats).forEach(date => {
-        if (date >= startDate && date <= endDate) {
-          result[date] = allStats[date];
-        }
-      });
-      
-      return result;
-    } catch (error) {
-      console.error('Failed to get time data:', error);
-      throw error;
-    }
-  }
-
-  async getTopSites(limit = 5) {
-    const stats = await this.getTodayStats();
-    if (!stats.sites) return [];
-
-    return Object.entries(stats.sites)
-      .map(([domain, data]) => ({
-        domain,
-        ...data
-      }))
-      .sort((a, b) => b.timeSpent - a.timeSpent)
-      .slice(0, limit);
-  }
-
-  async getSettings() {
-    const result = await chrome.storage.local.get(['settings']);
-    return result.settings || this.getDefaultSettings();
-  }
-
-  async saveSettings(settings) {
-    await chrome.storage.local.set({ settings });
-    return settings;
-  }
-
-  formatTime(ms) {
-    if (ms < 1000) return '0s';
-    const s = Math.floor(ms / 1000);
-    const m = Math.floor(s / 60);
-    const h = Math.floor(m / 60);
-    if (h > 0) return `${h}h ${m % 60}m`;
-    if (m > 0) return `${m}m`;
-    return `${s}s`;
-  }
-
-  /**
-   * Get default site categories for categorization
-   */
-  getDefaultSiteCategories() {
-    return {
-      // Productive sites
-      'github.com': 'productive',
-      'stackoverflow.com': 'productive',
-      'developer.mozilla.org': 'productive',
-      'docs.google.com': 'productive',
-      'notion.so': 'productive',
-      'figma.com': 'productive',
-      'codepen.io': 'productive',
-      'jsfiddle.net': 'productive',
-      'repl.it': 'productive',
-      'codesandbox.io': 'productive',
-      'medium.com': 'productive',
-      'dev.to': 'productive',
-      'hackernews.com': 'productive',
-      'atlassian.com': 'productive',
-      'slack.com': 'productive',
-      'discord.com': 'productive',
-      'zoom.us': 'productive',
-      'teams.microsoft.com': 'productive',
-      'google.com': 'productive',
-      'wikipedia.org': 'productive',
-
-      // Social Media
-      'facebook.com': 'social',
-      'twitter.com': 'social',
-      'instagram.com': 'social',
-      'linkedin.com': 'social',
-      'reddit.com': 'social',
-      'pinterest.com': 'social',
-      'snapchat.com': 'social',
-      'whatsapp.com': 'social',
-      'telegram.org': 'social',
-      'messenger.com': 'social',
-
-      // Entertainment
-      'youtube.com': 'entertainment',
-      'netflix.com': 'entertainment',
-      'spotify.com': 'entertainment',
-      'twitch.tv': 'entertainment',
-      'hulu.com': 'entertainment',
-      'prime.amazon.com': 'entertainment',
-      'disney.com': 'entertainment',
-      'hbo.com': 'entertainment',
-      'tiktok.com': 'entertainment',
-      'gaming.com': 'entertainment',
-
-      // News
-      'cnn.com': 'news',
-      'bbc.com': 'news',
-      'nytimes.com': 'news',
-      'reuters.com': 'news',
-      'techcrunch.com': 'news',
-      'theverge.com': 'news',
-      'ars-technica.com': 'news',
-      'wired.com': 'news',
-
-      // Shopping
-      'amazon.com': 'shopping',
-      'ebay.com': 'shopping',
-      'shopify.com': 'shopping',
-      'etsy.com': 'shopping'
-    };
-  }
-
-  /**
-   * Generate productivity goals with current progress
-   */
-  generateProductivityGoals() {
-    return {
-      daily: {
-        id: 'daily-productive-time',
-        title: 'Daily Productive Time',
-        description: 'Spend 4+ hours on productive websites',
-        target: 4 * 60 * 60 * 1000, // 4 hours in ms
-        current: Math.floor(Math.random() * 5 * 60 * 60 * 1000), // Random progress
-        period: 'daily',
-        icon: '🎯'
-      },
-      weekly: {
-        id: 'weekly-focus-sessions',
-        title: 'Weekly Focus Sessions',
-        description: 'Complete 15 focus mode sessions this week',
-        target: 15,
-        current: Math.floor(Math.random() * 18), // Random progress
-        period: 'weekly',
-        icon: '🔥'
-      },
-      monthly: {
-        id: 'monthly-productivity-score',
-        title: 'Monthly Productivity Score',
-        description: 'Maintain 80%+ average productivity score',
-        target: 80,
-        current: Math.floor(Math.random() * 20) + 75, // 75-95
-        period: 'monthly',
-        icon: '📈'
-      }
-    };
-  }
-
-  /**
-   * Get comprehensive analytics data for dashboard
-   */
-  async getAnalyticsData(period = 'week') {
-    try {
-      const endDate = new Date();
-      let startDate;
-      
-      switch (period) {
-        case 'week':
-          startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          startDate = new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
-          break;
-        case 'quarter':
-          startDate = new Date(endDate.getTime() - 90 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
-      }
-
-      // For now, use mock data until we have enough real tracking data
-      return this.generateMockAnalyticsData(period);
-
-    } catch (error) {
-      console.error('Error getting analytics data:', error);
-      return this.generateMockAnalyticsData(period);
-    }
-  }
-
-  /**
-   * Generate mock analytics data for development
-   */
-  generateMockAnalyticsData(period) {
-    const days = period === 'week' ? 7 : (period === 'month' ? 30 : 90);
-    const today = new Date();
-    
-    const dailyData = [];
-    const categoryTotals = {
-      productive: 0,
-      social: 0,
-      entertainment: 0,
-      news: 0,
-      other: 0
-    };
-
-    for (let i = days - 1; i >= 0; i--) {
-      const date = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      const dayData = {
-        date: dateStr,
-        totalTime: Math.floor(Math.random() * 18000000) + 3600000, // 1-5 hours
-        productivityScore: Math.floor(Math.random() * 40) + 60, // 60-100
-        focusSessionCount: Math.floor(Math.random() * 8) + 1,
-        categories: {
-          productive: Math.floor(Math.random() * 14400000), // 0-4 hours
-          social: Math.floor(Math.random() * 5400000),
-          entertainment: Math.floor(Math.random() * 7200000),
-          news: Math.floor(Math.random() * 3600000),
-          other: Math.floor(Math.random() * 1800000)
-        }
-      };
-
-      // Add to category totals
-      Object.keys(categoryTotals).forEach(category => {
-        categoryTotals[category] += dayData.categories[category];
-      });
-
-      dailyData.push(dayData);
-    }
-
-    const totalTime = dailyData.reduce((sum, day) => sum + day.totalTime, 0);
-    const avgProductivityScore = Math.round(
-      dailyData.reduce((sum, day) => sum + day.productivityScore, 0) / dailyData.length
-    );
-
-    return {
-      period,
-      startDate: dailyData[0].date,
-      endDate: dailyData[dailyData.length - 1].date,
-      summary: {
-        totalTime,
-        avgProductivityScore,
-        totalFocusSessions: dailyData.reduce((sum, day) => sum + day.focusSessionCount, 0),
-        mostProductiveDay: dailyData.reduce((max, day) => 
-          day.productivityScore > max.productivityScore ? day : max
-        )
-      },
-      dailyData,
-      categoryBreakdown: categoryTotals,
-      topSites: this.generateTopSitesForPeriod(period),
-      trends: this.calculateTrends(dailyData)
-    };
-  }
-
-  /**
-   * Generate top sites for analytics period
-   */
-  generateTopSitesForPeriod(period) {
-    const sites = [
-      { domain: 'github.com', timeSpent: 25200000, visits: 156, category: 'productive' },
-      { domain: 'stackoverflow.com', timeSpent: 18000000, visits: 89, category: 'productive' },
-      { domain: 'youtube.com', timeSpent: 14400000, visits: 67, category: 'entertainment' },
-      { domain: 'twitter.com', timeSpent: 10800000, visits: 234, category: 'social' },
-      { domain: 'docs.google.com', timeSpent: 9000000, visits: 45, category: 'productive' },
-      { domain: 'reddit.com', timeSpent: 7200000, visits: 78, category: 'social' },
-      { domain: 'figma.com', timeSpent: 5400000, visits: 23, category: 'productive' },
-      { domain: 'netflix.com', timeSpent: 3600000, visits: 12, category: 'entertainment' }
-    ];
-
-    return sites.map(site => ({
-      ...site,
-      percentage: Math.round((site.timeSpent / sites.reduce((sum, s) => sum + s.timeSpent, 0)) * 100)
-    }));
-  }
-
-  /**
-   * Calculate trends from daily data
-   */
-  calculateTrends(dailyData) {
-    if (dailyData.length < 2) return { productivity: 'stable', totalTime: 'stable' };
-
-    const recent = dailyData.slice(-3); // Last 3 days
-    const previous = dailyData.slice(-6, -3); // Previous 3 days
-
-    const recentAvgProductivity = recent.reduce((sum, day) => sum + day.productivityScore, 0) / recent.length;
-    const previousAvgProductivity = previous.reduce((sum, day) => sum + day.productivityScore, 0) / previous.length;
-
-    const recentAvgTime = recent.reduce((sum, day) => sum + day.totalTime, 0) / recent.length;
-    const previousAvgTime = previous.reduce((sum, day) => sum + day.totalTime, 0) / previous.length;
-
-    const productivityTrend = recentAvgProductivity > previousAvgProductivity * 1.05 ? 'improving' :
-                            recentAvgProductivity < previousAvgProductivity * 0.95 ? 'declining' : 'stable';
-
-    const timeTrend = recentAvgTime > previousAvgTime * 1.1 ? 'increasing' :
-                     recentAvgTime < previousAvgTime * 0.9 ? 'decreasing' : 'stable';
-
-    return {
-      productivity: productivityTrend,
-      totalTime: timeTrend,
-      productivityChange: Math.round(((recentAvgProductivity - previousAvgProductivity) / previousAvgProductivity) * 100),
-      timeChange: Math.round(((recentAvgTime - previousAvgTime) / previousAvgTime) * 100)
-    };
-  }
-
-  /**
-   * Get site category with fallback to domain-based guess
-   */
-  getSiteCategory(domain) {
-    const categories = this.getDefaultSiteCategories();
-    if (categories[domain]) {
-      return categories[domain];
-    }
-
-    // Simple domain-based categorization
-    if (domain.includes('social') || ['facebook.com', 'twitter.com', 'instagram.com'].includes(domain)) {
-      return 'social';
-    }
-    if (domain.includes('news') || ['cnn.com', 'bbc.com'].includes(domain)) {
-      return 'news';
-    }
-    if (['youtube.com', 'netflix.com', 'spotify.com'].includes(domain)) {
-      return 'entertainment';
-    }
-    if (['github.com', 'stackoverflow.com', 'docs.google.com'].includes(domain)) {
-      return 'productive';
-    }
-
-    return 'other';
-  }
-
-  /**
-   * Update site category
-   */
-  async updateSiteCategory(domain, category) {
-    try {
-      const settings = await this.getSettings();
-      if (!settings.categories) {
-        settings.categories = {};
-      }
-      settings.categories[domain] = category;
-      
-      await this.saveSettings(settings);
-      return { success: true };
-    } catch (error) {
-      console.error('Error updating site category:', error);
-      return { success: false, error: error.message };
-    }
-  }
-
-  /**
-   * Get productivity goals with current progress
-   */
-  async getProductivityGoals() {
-    try {
-      const result = await chrome.storage.local.get(['productivityGoals']);
-      return result.productivityGoals || this.generateProductivityGoals();
-    } catch (error) {
-      console.error('Error getting productivity goals:', error);
-      return this.generateProductivityGoals();
-    }
-  }
+importScripts('utils/storage.js'); // StorageManager and the storage schema migrations
 
-  /**
-   * Update productivity goal progress
-   */
-  async updateGoalProgress(goalId, progress) {
-    try {
-      const goals = await this.getProductivityGoals();
-      if (goals[goalId]) {
-        goals[goalId].current = progress;
-        await chrome.storage.local.set({ productivityGoals: goals });
-      }
-      
-      return { success: true };
-    } catch (error) {
-      console.error('Error updating goal progress:', error);
-      return { success: false, error: error.message };
-    }
-  }
-}
+// Utility Classes - Inline for Service Worker Compatibility
 
 /**
  * Simple State Manager for Extension State
@@ -592,15 +80,30 @@ class StateManager {
  * Handles focus mode and site blocking using declarativeNetRequest API
  */
 class BlockingManager {
-  constructor() {
+  constructor(storageManager = null) {
+    this.storageManager = storageManager; // Used for local day keys when counting overrides
     this.focusMode = false;
+    this.blockingMode = 'blocklist'; // 'blocklist' blocks blockedSites, 'allowlist' blocks all but allowedSites
     this.blockedSites = new Set();
+    this.allowedSites = new Set();
     this.temporaryOverrides = new Map(); // domain -> expiry timestamp
     this.urlCache = new Map(); // tabId -> original URL
+    this.patternRegexCache = new Map(); // block pattern -> compiled RegExp
+    this.quotaBlockedDomains = new Set(); // domains whose daily quota is spent (set by QuotaManager)
     this.focusStartTime = null;
     this.blockedAttempts = 0;
+    this.currentFocusSession = null; // { startTime, source, plannedDuration, blockedAttemptsByDomain, overridesUsed }
+    this.onFocusSessionEnd = null; // Set by the tracker to store finished sessions
+    this.schedules = []; // Named weekday time windows that switch focus mode automatically
+    this.scheduleOverride = null; // { focusMode, until } manual choice held until the next boundary
+    this.activeSchedule = null; // { id, name, endTime } window currently in effect
+    this.scheduleAlarmName = 'focus-schedule-boundary';
+    this.overrideAlarmName = 'override-expiry'; // Fires when the earliest temporary override runs out
+    this.overridePolicy = this.getDefaultOverridePolicy();
+    this.overrideLog = []; // Every override granted, newest last
+    this.maxOverrideLogEntries = 1000;
     
-    this.initialize();
+    this.ready = this.initialize();
   }
 
   async initialize() {
@@ -610,15 +113,36 @@ class BlockingManager {
         'focusMode', 
         'blockedSites', 
         'focusStartTime',
-        'blockedAttempts'
+        'blockedAttempts',
+        'blockingSchedules',
+        'scheduleOverride',
+        'blockingMode',
+        'allowedSites',
+        'overridePolicy',
+        'overrideLog',
+        'temporaryOverrides',
+        'currentFocusSession'
       ]);
       
       console.log('🔍 Loaded storage settings:', settings);
       
       this.focusMode = settings.focusMode || false;
       this.blockedSites = new Set(settings.blockedSites || []);
+      this.blockingMode = settings.blockingMode || 'blocklist';
+      this.allowedSites = new Set(settings.allowedSites || []);
       this.focusStartTime = settings.focusStartTime || null;
       this.blockedAttempts = settings.blockedAttempts || 0;
+      this.currentFocusSession = settings.currentFocusSession || null;
+      if (this.focusMode && !this.currentFocusSession && this.focusStartTime) {
+        this.currentFocusSession = this.createFocusSession(this.focusStartTime);
+      }
+      this.schedules = settings.blockingSchedules || [];
+      this.scheduleOverride = settings.scheduleOverride || null;
+      this.overridePolicy = { ...this.getDefaultOverridePolicy(), ...settings.overridePolicy };
+      this.overrideLog = settings.overrideLog || [];
+      // Overrides that ran out while the worker was suspended are dropped here
+      this.temporaryOverrides = new Map(Object.entries(settings.temporaryOverrides || {})
+        .filter(([, expiryTime]) => expiryTime > Date.now()));
       
       // IMPORTANT: Clear any existing blocking rules on initialization
       // This prevents orphaned rules from previous sessions
@@ -628,11 +152,16 @@ class BlockingManager {
       if (this.focusMode) {
         await this.updateBlockingRules();
       }
+
+      // Catch up on any schedule boundary missed while the worker was asleep
+      await this.applySchedule();
+      await this.scheduleOverrideExpiry();
       
       console.log('🛡️ Blocking Manager initialized', {
         focusMode: this.focusMode,
         blockedSites: Array.from(this.blockedSites),
-        focusStartTime: this.focusStartTime
+        focusStartTime: this.focusStartTime,
+        activeSchedule: this.activeSchedule?.name || null
       });
     } catch (error) {
       console.error('Error initializing BlockingManager:', error);
@@ -643,12 +172,38 @@ class BlockingManager {
    * Toggle focus mode on/off
    */
   async toggleFocusMode() {
+    return this.setManualFocusMode(!this.focusMode);
+  }
+
+  /**
+   * Switch focus mode by hand (popup toggle, Pomodoro phases)
+   * While schedules are enabled, the manual choice overrides them until the next boundary
+   */
+  async setManualFocusMode(focusMode, sessionDetails = { source: 'manual' }) {
+    try {
+      const nextBoundary = this.hasEnabledSchedules() ? this.getNextScheduleBoundary() : null;
+      this.scheduleOverride = nextBoundary ? { focusMode, until: nextBoundary } : null;
+
+      return await this.setFocusMode(focusMode, sessionDetails);
+    } catch (error) {
+      console.error('Error toggling focus mode:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Switch focus mode to the given state and update blocking rules
+   * sessionDetails ({ source, plannedDuration }) describe the focus session being started
+   */
+  async setFocusMode(enabled, sessionDetails = {}) {
     try {
-      this.focusMode = !this.focusMode;
+      this.focusMode = enabled;
       
       if (this.focusMode) {
+        await this.endFocusSession(); // Only set if focus mode was switched on twice
         this.focusStartTime = Date.now();
         this.blockedAttempts = 0;
+        this.currentFocusSession = this.createFocusSession(this.focusStartTime, sessionDetails);
         await this.updateBlockingRules();
         
         // Get current blocked sites list
@@ -660,8 +215,9 @@ class BlockingManager {
           this.tracker.broadcastFocusStateChange(true);
         }
       } else {
+        await this.endFocusSession();
         this.focusStartTime = null;
-        await this.clearBlockingRules();
+        await this.updateBlockingRules(); // Leaves only quota rules in place
         console.log('🔓 Focus mode DISABLED');
         
         // Broadcast focus state change
@@ -677,347 +233,2446 @@ class BlockingManager {
         success: true,
         focusMode: this.focusMode,
         focusStartTime: this.focusStartTime,
-        blockedSites: Array.from(this.blockedSites)
+        blockedSites: Array.from(this.blockedSites),
+        scheduleOverride: this.scheduleOverride
       };
     } catch (error) {
-      console.error('Error toggling focus mode:', error);
+      console.error('Error setting focus mode:', error);
       return { success: false, error: error.message };
     }
   }
 
+  createFocusSession(startTime, { source = 'manual', plannedDuration = null } = {}) {
+    return {
+      startTime,
+      source, // 'manual' | 'schedule' | 'pomodoro'
+      plannedDuration,
+      blockedAttemptsByDomain: {},
+      overridesUsed: 0
+    };
+  }
+
   /**
-   * Add a site to the blocked list
+   * Close the running focus session and hand it over for storage
    */
-  async addBlockedSite(domain) {
+  async endFocusSession() {
+    const session = this.currentFocusSession;
+    if (!session) return;
+
+    this.currentFocusSession = null;
+    if (this.onFocusSessionEnd) {
+      try {
+        await this.onFocusSessionEnd({ ...session, endTime: Date.now() });
+      } catch (error) {
+        console.error('Error storing focus session:', error);
+      }
+    }
+  }
+
+  /**
+   * Get all blocking schedules
+   */
+  getSchedules() {
+    return this.schedules;
+  }
+
+  /**
+   * Create or update a named blocking schedule
+   */
+  async saveSchedule(schedule) {
     try {
-      if (!domain) return { success: false, error: 'Invalid domain' };
-      
-      // Clean domain
-      const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-      
-      this.blockedSites.add(cleanDomain);
-      await this.saveState();
-      
-      // Update rules if focus mode is active
-      if (this.focusMode) {
-        await this.updateBlockingRules();
+      const normalized = this.normalizeSchedule(schedule);
+      const index = this.schedules.findIndex(existing => existing.id === normalized.id);
+
+      if (index >= 0) {
+        this.schedules[index] = normalized;
+      } else {
+        this.schedules.push(normalized);
       }
-      
-      console.log('➕ Added blocked site:', cleanDomain);
-      return { success: true, domain: cleanDomain };
+
+      await chrome.storage.local.set({ blockingSchedules: this.schedules });
+      await this.applySchedule();
+
+      console.log('🗓️ Saved blocking schedule:', normalized.name);
+      return { success: true, schedule: normalized };
     } catch (error) {
-      console.error('Error adding blocked site:', error);
+      console.error('Error saving schedule:', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Remove a site from the blocked list
+   * Delete a blocking schedule
    */
-  async removeBlockedSite(domain) {
+  async deleteSchedule(scheduleId) {
     try {
-      const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-      
-      this.blockedSites.delete(cleanDomain);
-      await this.saveState();
-      
-      // Update rules if focus mode is active
+      this.schedules = this.schedules.filter(schedule => schedule.id !== scheduleId);
+      await chrome.storage.local.set({ blockingSchedules: this.schedules });
+      await this.applySchedule();
+
+      console.log('🗑️ Deleted blocking schedule:', scheduleId);
+      return { success: true, scheduleId };
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Validate a schedule and return it in stored form
+   * Windows are { start: 'HH:MM', end: 'HH:MM' }; an end at or before the start runs past midnight
+   */
+  normalizeSchedule(schedule) {
+    const name = (schedule?.name || '').trim();
+    if (!name) {
+      throw new Error('Schedule name is required');
+    }
+
+    const days = [...new Set((schedule.days || []).map(Number))]
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+      .sort();
+    if (days.length === 0) {
+      throw new Error('Select at least one weekday');
+    }
+
+    const windows = (schedule.windows || []).map(window => {
+      if (this.parseTimeOfDay(window.start) === null || this.parseTimeOfDay(window.end) === null) {
+        throw new Error(`Invalid time window: ${window.start}–${window.end}`);
+      }
+      if (window.start === window.end) {
+        throw new Error(`Time window must not be empty: ${window.start}–${window.end}`);
+      }
+      return { start: window.start, end: window.end };
+    });
+    if (windows.length === 0) {
+      throw new Error('Add at least one time window');
+    }
+
+    return {
+      id: schedule.id || `schedule_${Date.now()}`,
+      name,
+      enabled: schedule.enabled !== false,
+      days,
+      windows
+    };
+  }
+
+  /**
+   * Parse 'HH:MM' into minutes after midnight, or null if invalid
+   */
+  parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+  }
+
+  hasEnabledSchedules() {
+    return this.schedules.some(schedule => schedule.enabled);
+  }
+
+  /**
+   * Concrete start/end timestamps of every window that begins on the days around now
+   */
+  getScheduleOccurrences(now = Date.now(), daysBefore = 1, daysAfter = 7) {
+    const occurrences = [];
+
+    for (let offset = -daysBefore; offset <= daysAfter; offset++) {
+      const day = new Date(now);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() + offset);
+
+      this.schedules.forEach(schedule => {
+        if (!schedule.enabled || !schedule.days.includes(day.getDay())) return;
+
+        schedule.windows.forEach(window => {
+          const startMinutes = this.parseTimeOfDay(window.start);
+          const endMinutes = this.parseTimeOfDay(window.end);
+          const start = new Date(day);
+          start.setMinutes(startMinutes);
+          const end = new Date(day);
+          end.setMinutes(endMinutes);
+          if (endMinutes <= startMinutes) {
+            end.setDate(end.getDate() + 1);
+          }
+
+          occurrences.push({ schedule, startTime: start.getTime(), endTime: end.getTime() });
+        });
+      });
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * Get the schedule window in effect at a given time
+   */
+  getActiveScheduleWindow(now = Date.now()) {
+    const active = this.getScheduleOccurrences(now, 1, 0)
+      .filter(occurrence => now >= occurrence.startTime && now < occurrence.endTime)
+      .sort((a, b) => b.endTime - a.endTime)[0];
+
+    return active
+      ? { id: active.schedule.id, name: active.schedule.name, endTime: active.endTime }
+      : null;
+  }
+
+  /**
+   * Get the next time any schedule window starts or ends
+   */
+  getNextScheduleBoundary(now = Date.now()) {
+    const boundaries = this.getScheduleOccurrences(now)
+      .flatMap(occurrence => [occurrence.startTime, occurrence.endTime])
+      .filter(time => time > now);
+
+    return boundaries.length > 0 ? Math.min(...boundaries) : null;
+  }
+
+  /**
+   * Bring focus mode in line with the schedules and arm the alarm for the next boundary
+   * Returns true when focus mode was switched
+   */
+  async applySchedule(now = Date.now()) {
+    if (this.scheduleOverride && now >= this.scheduleOverride.until) {
+      console.log('⏰ Schedule override expired');
+      this.scheduleOverride = null;
+    }
+
+    this.activeSchedule = this.getActiveScheduleWindow(now);
+    let changed = false;
+
+    // Without schedules focus mode stays fully manual
+    if (this.hasEnabledSchedules()) {
+      const desiredFocusMode = this.scheduleOverride
+        ? this.scheduleOverride.focusMode
+        : Boolean(this.activeSchedule);
+
+      if (desiredFocusMode !== this.focusMode) {
+        console.log(`🗓️ Schedule switching focus mode ${desiredFocusMode ? 'on' : 'off'}`,
+          this.activeSchedule?.name || '');
+        await this.setFocusMode(desiredFocusMode, {
+          source: 'schedule',
+          plannedDuration: this.activeSchedule ? this.activeSchedule.endTime - now : null
+        });
+        changed = true;
+      }
+    } else {
+      this.scheduleOverride = null;
+    }
+
+    if (!changed) {
+      await this.saveState();
+    }
+
+    const nextBoundary = this.hasEnabledSchedules() ? this.getNextScheduleBoundary(now) : null;
+    if (nextBoundary) {
+      await chrome.alarms.create(this.scheduleAlarmName, { when: nextBoundary });
+    } else {
+      await chrome.alarms.clear(this.scheduleAlarmName);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Normalize a block or allow pattern and check that Chrome can enforce it
+   * Throws with a message for the user when it can't, so one bad pattern never reaches the rule set
+   */
+  async validateBlockPattern(value) {
+    const pattern = this.normalizeBlockPattern(value);
+
+    if (this.isRegexPattern(pattern) && chrome.declarativeNetRequest.isRegexSupported) {
+      const support = await chrome.declarativeNetRequest.isRegexSupported({
+        regex: this.getPatternRegexSource(pattern)
+      });
+      if (!support.isSupported) {
+        throw new Error(`Regular expression not supported by Chrome (${support.reason})`);
+      }
+    }
+    return pattern;
+  }
+
+  /**
+   * Add a site to the blocked list
+   */
+  async addBlockedSite(domain) {
+    try {
+      if (!domain) return { success: false, error: 'Invalid domain' };
+      
+      // Clean domain or pattern
+      const cleanDomain = await this.validateBlockPattern(domain);
+      
+      this.blockedSites.add(cleanDomain);
+      await this.saveState();
+      
+      // Update rules if focus mode is active
       if (this.focusMode) {
         await this.updateBlockingRules();
       }
       
-      console.log('➖ Removed blocked site:', cleanDomain);
+      console.log('➕ Added blocked site:', cleanDomain);
       return { success: true, domain: cleanDomain };
     } catch (error) {
-      console.error('Error removing blocked site:', error);
+      console.error('Error adding blocked site:', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Set temporary override for a domain
+   * Remove a site from the blocked list
    */
-  async setTemporaryOverride(domain, duration = 300000) { // 5 minutes default
+  async removeBlockedSite(domain) {
     try {
-      const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-      const expiryTime = Date.now() + duration;
+      const cleanDomain = this.blockedSites.has(domain) ? domain : this.normalizeBlockPattern(domain);
       
-      this.temporaryOverrides.set(cleanDomain, expiryTime);
+      this.blockedSites.delete(cleanDomain);
+      await this.saveState();
       
-      // Update blocking rules to exclude this domain temporarily
+      // Update rules if focus mode is active
       if (this.focusMode) {
         await this.updateBlockingRules();
       }
       
-      // Set timeout to remove override
-      setTimeout(() => {
-        this.temporaryOverrides.delete(cleanDomain);
-        if (this.focusMode) {
-          this.updateBlockingRules();
-        }
-      }, duration);
-      
-      console.log(`⏱️ Temporary override set for ${cleanDomain} for ${duration/1000}s`);
-      return { success: true, domain: cleanDomain, expiryTime };
+      console.log('➖ Removed blocked site:', cleanDomain);
+      return { success: true, domain: cleanDomain };
     } catch (error) {
-      console.error('Error setting temporary override:', error);
+      console.error('Error removing blocked site:', error);
       return { success: false, error: error.message };
     }
   }
 
   /**
-   * Check if a domain should be blocked
+   * Switch between denylist ('blocklist') and allowlist focus modes
    */
-  shouldBlockDomain(domain) {
-    if (!this.focusMode) return false;
-    
-    const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-    
-    // Check if there's a temporary override
-    if (this.temporaryOverrides.has(cleanDomain)) {
-      const expiryTime = this.temporaryOverrides.get(cleanDomain);
-      if (Date.now() < expiryTime) {
-        return false; // Override still active
-      } else {
-        this.temporaryOverrides.delete(cleanDomain); // Expired override
+  async setBlockingMode(mode) {
+    try {
+      if (mode !== 'blocklist' && mode !== 'allowlist') {
+        return { success: false, error: `Unknown blocking mode: ${mode}` };
+      }
+
+      this.blockingMode = mode;
+      await this.saveState();
+
+      // Update rules if focus mode is active
+      if (this.focusMode) {
+        await this.updateBlockingRules();
       }
+
+      console.log('🔀 Blocking mode set to', mode);
+      return { success: true, blockingMode: mode };
+    } catch (error) {
+      console.error('Error setting blocking mode:', error);
+      return { success: false, error: error.message };
     }
-    
-    return this.blockedSites.has(cleanDomain);
   }
 
   /**
-   * Update Chrome declarativeNetRequest rules
+   * Add a domain or pattern to the allowlist
    */
-  async updateBlockingRules() {
+  async addAllowedSite(domain) {
     try {
-      // First, get and remove all existing dynamic rules
-      const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-      const existingRuleIds = existingRules.map(rule => rule.id);
-      
-      if (existingRuleIds.length > 0) {
-        await chrome.declarativeNetRequest.updateDynamicRules({
-          removeRuleIds: existingRuleIds
-        });
-        console.log(`🧹 Removed ${existingRuleIds.length} existing blocking rules`);
-      }
-      
-      // If focus mode is off or no sites to block, we're done
-      if (!this.focusMode || this.blockedSites.size === 0) {
-        console.log('🔓 Focus mode disabled or no sites to block');
-        return;
-      }
-      
-      // Create new rules for blocked sites
-      const rules = [];
-      let ruleId = 1;
-      
-      // Add rules for each blocked site (skip those with temporary override)
-      for (const domain of this.blockedSites) {
-        // Skip if domain has temporary override
-        if (this.temporaryOverrides.has(domain)) {
-          const expiryTime = this.temporaryOverrides.get(domain);
-          if (Date.now() < expiryTime) {
-            console.log(`⏭️ Skipping ${domain} due to active override`);
-            continue;
-          } else {
-            // Clean up expired override
-            this.temporaryOverrides.delete(domain);
-          }
-        }
-        
-        // Add blocking rule for this domain
-        rules.push({
-          id: ruleId++,
-          priority: 1,
-          action: {
-            type: "redirect",
-            redirect: { extensionPath: "/blocked.html" }
-          },
-          condition: {
-            urlFilter: `*://*.${domain}/*`,
-            resourceTypes: ["main_frame"]
-          }
-        });
-        
-        // Also block the domain without www
-        rules.push({
-          id: ruleId++,
-          priority: 1,
-          action: {
-            type: "redirect",
-            redirect: { extensionPath: "/blocked.html" }
-          },
-          condition: {
-            urlFilter: `*://${domain}/*`,
-            resourceTypes: ["main_frame"]
-          }
-        });
-      }
-      
-      if (rules.length > 0) {
-        await chrome.declarativeNetRequest.updateDynamicRules({
-          addRules: rules
-        });
-        
-        console.log(`🛡️ Added ${rules.length} blocking rules for ${this.blockedSites.size} domains:`, 
-          Array.from(this.blockedSites));
-      } else {
-        console.log('⚠️ No rules to add (all sites have overrides)');
+      const pattern = await this.validateBlockPattern(domain);
+
+      this.allowedSites.add(pattern);
+      await this.saveState();
+
+      if (this.focusMode && this.blockingMode === 'allowlist') {
+        await this.updateBlockingRules();
       }
+
+      console.log('➕ Added allowed site:', pattern);
+      return { success: true, domain: pattern };
     } catch (error) {
-      console.error('❌ Error updating blocking rules:', error);
-      throw error;
+      console.error('Error adding allowed site:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Clear all blocking rules
+   * Remove a domain or pattern from the allowlist
    */
-  async clearBlockingRules() {
+  async removeAllowedSite(domain) {
     try {
-      // Get existing rules
-      const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-      const ruleIds = existingRules.map(rule => rule.id);
-      
-      if (ruleIds.length > 0) {
-        await chrome.declarativeNetRequest.updateDynamicRules({
-          removeRuleIds: ruleIds
-        });
-        
-        console.log(`🧹 Cleared ${ruleIds.length} blocking rules`);
+      const pattern = this.allowedSites.has(domain) ? domain : this.normalizeBlockPattern(domain);
+
+      this.allowedSites.delete(pattern);
+      await this.saveState();
+
+      if (this.focusMode && this.blockingMode === 'allowlist') {
+        await this.updateBlockingRules();
       }
+
+      console.log('➖ Removed allowed site:', pattern);
+      return { success: true, domain: pattern };
     } catch (error) {
-      console.error('Error clearing blocking rules:', error);
+      console.error('Error removing allowed site:', error);
+      return { success: false, error: error.message };
     }
   }
 
   /**
-   * Record a blocked attempt
+   * Set temporary override for a domain
+   * The override policy is checked first and every granted override is logged locally
    */
-  recordBlockedAttempt(domain) {
-    this.blockedAttempts++;
-    this.saveState();
-    console.log(`🚫 Blocked attempt to access: ${domain} (Total: ${this.blockedAttempts})`);
+  async setTemporaryOverride(domain, duration = 300000, reason = '') { // 5 minutes default
+    try {
+      const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+      const now = Date.now();
+
+      const policyCheck = this.checkOverridePolicy(cleanDomain, duration, reason, now);
+      if (!policyCheck.allowed) {
+        console.log(`🚫 Override refused for ${cleanDomain}: ${policyCheck.error}`);
+        return { success: false, error: policyCheck.error, status: policyCheck.status };
+      }
+
+      const expiryTime = now + duration;
+      
+      this.temporaryOverrides.set(cleanDomain, expiryTime);
+      await this.logOverride(cleanDomain, duration, reason, now);
+      if (this.currentFocusSession) {
+        this.currentFocusSession.overridesUsed++;
+      }
+      await this.saveState();
+      
+      // Update blocking rules to exclude this domain temporarily
+      if (this.focusMode) {
+        await this.updateBlockingRules();
+      }
+      
+      // An alarm (not a timer) restores the block, so it still fires if the worker is suspended
+      await this.scheduleOverrideExpiry();
+      
+      console.log(`⏱️ Temporary override set for ${cleanDomain} for ${duration/1000}s`);
+      return { success: true, domain: cleanDomain, expiryTime };
+    } catch (error) {
+      console.error('Error setting temporary override:', error);
+      return { success: false, error: error.message };
+    }
   }
 
   /**
-   * Cache URL before potential blocking
+   * Drop expired overrides and re-arm the blocking rules
+   * Rules are always rebuilt because lookups may already have dropped an expired override
    */
-  cacheUrl(tabId, url) {
-    if (this.focusMode && url && !url.startsWith('chrome-extension://') && !url.startsWith('chrome://')) {
-      const domain = url.replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
-      if (this.blockedSites.has(domain) && !this.temporaryOverrides.has(domain)) {
-        this.urlCache.set(tabId, url);
-        console.log(`🔗 Cached URL for tab ${tabId}: ${url}`);
+  async expireOverrides(now = Date.now()) {
+    for (const [domain, expiryTime] of this.temporaryOverrides) {
+      if (expiryTime <= now) {
+        this.temporaryOverrides.delete(domain);
+        console.log(`⌛ Override expired for ${domain}`);
       }
     }
+
+    await this.saveState();
+    if (this.focusMode) {
+      await this.updateBlockingRules();
+    }
+    await this.scheduleOverrideExpiry();
   }
 
   /**
-   * Get cached URL for tab
+   * Arm the expiry alarm for the earliest running override
    */
-  getCachedUrl(tabId) {
-    const url = this.urlCache.get(tabId);
-    // Don't delete immediately - keep for auto-redirect on reload
-    return url;
+  async scheduleOverrideExpiry() {
+    if (this.temporaryOverrides.size === 0) {
+      await chrome.alarms.clear(this.overrideAlarmName);
+      return;
+    }
+
+    await chrome.alarms.create(this.overrideAlarmName, {
+      when: Math.min(...this.temporaryOverrides.values())
+    });
   }
 
   /**
-   * Clear cached URL for tab (call when actually navigating)
+   * Default override policy - no limits, matching the original 5-minute override
    */
-  clearCachedUrl(tabId) {
-    this.urlCache.delete(tabId);
-    console.log(`🧹 Cleared cached URL for tab ${tabId}`);
+  getDefaultOverridePolicy() {
+    return {
+      maxPerDay: 0, // 0 = unlimited
+      maxPerSitePerDay: 0,
+      cooldownMinutes: 0, // Wait after an override ends before the next one
+      cooldownMultiplier: 2, // Each further override today multiplies the wait
+      requireReason: false,
+      minReasonLength: 10,
+      unlockDelaySeconds: 0, // Countdown before the override button unlocks
+      durations: [5, 10, 15] // Minutes the user can pick from
+    };
   }
 
   /**
-   * Get focus session stats
+   * Save the override policy
    */
-  getFocusStats() {
-    const focusTime = this.focusStartTime ? Date.now() - this.focusStartTime : 0;
-    
-    return {
-      focusMode: this.focusMode,
-      focusTime: focusTime,
+  async saveOverridePolicy(policy) {
+    try {
+      const defaults = this.getDefaultOverridePolicy();
+      const merged = { ...this.overridePolicy, ...policy };
+      const wholeNumber = (value, fallback, min = 0) => {
+        const number = Math.floor(Number(value));
+        return Number.isFinite(number) && number >= min ? number : fallback;
+      };
+
+      const durations = [...new Set((merged.durations || [])
+        .map(minutes => wholeNumber(minutes, 0))
+        .filter(minutes => minutes >= 1 && minutes <= 240))]
+        .sort((a, b) => a - b);
+
+      if (durations.length === 0) {
+        throw new Error('Provide at least one override duration between 1 and 240 minutes');
+      }
+
+      this.overridePolicy = {
+        maxPerDay: wholeNumber(merged.maxPerDay, defaults.maxPerDay),
+        maxPerSitePerDay: wholeNumber(merged.maxPerSitePerDay, defaults.maxPerSitePerDay),
+        cooldownMinutes: wholeNumber(merged.cooldownMinutes, defaults.cooldownMinutes),
+        cooldownMultiplier: Math.max(1, Number(merged.cooldownMultiplier) || defaults.cooldownMultiplier),
+        requireReason: Boolean(merged.requireReason),
+        minReasonLength: wholeNumber(merged.minReasonLength, defaults.minReasonLength, 1),
+        unlockDelaySeconds: Math.min(600, wholeNumber(merged.unlockDelaySeconds, defaults.unlockDelaySeconds)),
+        durations
+      };
+
+      await chrome.storage.local.set({ overridePolicy: this.overridePolicy });
+
+      console.log('🔓 Override policy saved:', this.overridePolicy);
+      return { success: true, policy: this.overridePolicy };
+    } catch (error) {
+      console.error('Error saving override policy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Overrides granted on the current tracking day
+   */
+  getTodayOverrides(now = Date.now()) {
+    const today = this.getDateKey(now);
+    return this.overrideLog.filter(entry => entry.date === today);
+  }
+
+  getDateKey(timestamp) {
+    return this.storageManager
+      ? this.storageManager.formatDateKey(new Date(timestamp))
+      : new Date(timestamp).toDateString();
+  }
+
+  /**
+   * Where the user stands against the override policy, optionally for one site
+   */
+  getOverrideStatus(domain = null, now = Date.now()) {
+    const policy = this.overridePolicy;
+    const todayOverrides = this.getTodayOverrides(now);
+    const siteOverrides = domain ? todayOverrides.filter(entry => entry.domain === domain) : [];
+    const remaining = (limit, used) => limit > 0 ? Math.max(0, limit - used) : null;
+
+    // Escalating cooldown: counted from when the last override ended, growing with each one today
+    let cooldownUntil = null;
+    const lastOverride = todayOverrides[todayOverrides.length - 1];
+    if (lastOverride && policy.cooldownMinutes > 0) {
+      const cooldown = policy.cooldownMinutes * 60000 *
+        Math.pow(policy.cooldownMultiplier, todayOverrides.length - 1);
+      const until = lastOverride.timestamp + lastOverride.duration + cooldown;
+      cooldownUntil = until > now ? until : null;
+    }
+
+    return {
+      usedToday: todayOverrides.length,
+      usedForSite: siteOverrides.length,
+      remainingToday: remaining(policy.maxPerDay, todayOverrides.length),
+      remainingForSite: domain ? remaining(policy.maxPerSitePerDay, siteOverrides.length) : null,
+      cooldownUntil
+    };
+  }
+
+  /**
+   * Check an override request against the policy
+   */
+  checkOverridePolicy(domain, duration, reason = '', now = Date.now()) {
+    const policy = this.overridePolicy;
+    const status = this.getOverrideStatus(domain, now);
+    const refuse = (error) => ({ allowed: false, error, status });
+
+    if (!policy.durations.includes(Math.round(duration / 60000))) {
+      return refuse(`Override duration must be one of: ${policy.durations.join(', ')} minutes`);
+    }
+    if (status.remainingToday === 0) {
+      return refuse(`You've used all ${policy.maxPerDay} overrides for today`);
+    }
+    if (status.remainingForSite === 0) {
+      return refuse(`You've used all ${policy.maxPerSitePerDay} overrides for ${domain} today`);
+    }
+    if (status.cooldownUntil) {
+      const minutesLeft = Math.ceil((status.cooldownUntil - now) / 60000);
+      return refuse(`Overrides are cooling down for another ${minutesLeft} min`);
+    }
+    if (policy.requireReason && (reason || '').trim().length < policy.minReasonLength) {
+      return refuse(`Please give a reason of at least ${policy.minReasonLength} characters`);
+    }
+
+    return { allowed: true, status };
+  }
+
+  /**
+   * Append an override to the local log
+   */
+  async logOverride(domain, duration, reason, timestamp) {
+    this.overrideLog.push({
+      id: `override_${timestamp}_${Math.random().toString(36).slice(2, 8)}`,
+      domain,
+      reason: (reason || '').trim(),
+      duration,
+      timestamp,
+      date: this.getDateKey(timestamp)
+    });
+
+    if (this.overrideLog.length > this.maxOverrideLogEntries) {
+      this.overrideLog = this.overrideLog.slice(-this.maxOverrideLogEntries);
+    }
+
+    await chrome.storage.local.set({ overrideLog: this.overrideLog });
+  }
+
+  /**
+   * Clear the local override log
+   */
+  async clearOverrideLog() {
+    try {
+      this.overrideLog = [];
+      await chrome.storage.local.set({ overrideLog: [] });
+      console.log('🧹 Override log cleared');
+      return { success: true };
+    } catch (error) {
+      console.error('Error clearing override log:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Normalize user input into a stored block pattern
+   * Accepts a domain (reddit.com), a path prefix (youtube.com/shorts),
+   * a wildcard (*.reddit.com/r/*) or a regex wrapped in slashes (/reddit\.com\/r\/(all|popular)/)
+   */
+  normalizeBlockPattern(input) {
+    const value = (input || '').trim();
+    if (!value) {
+      throw new Error('Please enter a domain');
+    }
+
+    if (this.isRegexPattern(value)) {
+      try {
+        new RegExp(value.slice(1, -1));
+      } catch (error) {
+        throw new Error(`Invalid regular expression: ${error.message}`);
+      }
+      return value;
+    }
+
+    const withoutScheme = value.replace(/^[a-z]+:\/\//i, '');
+    const slashIndex = withoutScheme.indexOf('/');
+    const host = (slashIndex >= 0 ? withoutScheme.slice(0, slashIndex) : withoutScheme)
+      .toLowerCase()
+      .replace(/^www\./, '');
+    const path = slashIndex >= 0 ? withoutScheme.slice(slashIndex).replace(/\/+$/, '') : '';
+
+    if (!/^[a-z0-9*]([a-z0-9*.-]*[a-z0-9*])?$/.test(host) || !host.includes('.') || host.includes('..')) {
+      throw new Error(`"${host || value}" is not a valid domain or pattern (e.g., facebook.com or youtube.com/shorts)`);
+    }
+    if (/\s/.test(path)) {
+      throw new Error('Paths must not contain spaces');
+    }
+
+    return host + path;
+  }
+
+  /**
+   * Regex patterns are stored wrapped in slashes
+   */
+  isRegexPattern(pattern) {
+    return pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+  }
+
+  /**
+   * Plain domain patterns block the whole site, including subdomains
+   */
+  isDomainPattern(pattern) {
+    return !this.isRegexPattern(pattern) && !pattern.includes('/') && !pattern.includes('*');
+  }
+
+  /**
+   * Regex source matching the full URLs covered by a block pattern
+   * Kept RE2 compatible so the same source serves as a declarativeNetRequest regexFilter
+   */
+  getPatternRegexSource(pattern) {
+    if (this.isRegexPattern(pattern)) {
+      return pattern.slice(1, -1);
+    }
+
+    const slashIndex = pattern.indexOf('/');
+    const host = slashIndex >= 0 ? pattern.slice(0, slashIndex) : pattern;
+    const path = slashIndex >= 0 ? pattern.slice(slashIndex) : '';
+    const escape = (text, wildcard) => text
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join(wildcard);
+
+    let source = '^[a-z][a-z0-9+.-]*://';
+    if (!host.startsWith('*')) {
+      source += '([^/?#]*\\.)?'; // www and other subdomains
+    }
+    source += escape(host, '[^/?#]*') + '(:[0-9]+)?' + escape(path, '.*');
+
+    // Literal endings stop at a path segment boundary (reddit.com/r/all is not reddit.com/r/allergies)
+    if (!pattern.endsWith('*')) {
+      source += '([/?#]|$)';
+    }
+    return source;
+  }
+
+  /**
+   * Check a URL against a single block pattern
+   */
+  matchesBlockPattern(pattern, url) {
+    if (!this.patternRegexCache.has(pattern)) {
+      this.patternRegexCache.set(pattern, new RegExp(this.getPatternRegexSource(pattern), 'i'));
+    }
+    return this.patternRegexCache.get(pattern).test(url);
+  }
+
+  /**
+   * Check for an unexpired temporary override covering a hostname
+   */
+  hasActiveOverride(hostname) {
+    const host = hostname.replace(/^www\./, '');
+
+    for (const [domain, expiryTime] of this.temporaryOverrides) {
+      if (Date.now() >= expiryTime) {
+        this.temporaryOverrides.delete(domain); // Expired override
+      } else if (host === domain || host.endsWith(`.${domain}`)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check if a URL should be blocked
+   */
+  shouldBlockUrl(url) {
+    if (!url) return false;
+
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      return false;
+    }
+
+    if (this.isQuotaBlocked(hostname)) {
+      return true;
+    }
+
+    if (!this.focusMode || this.hasActiveOverride(hostname)) {
+      return false;
+    }
+
+    if (this.blockingMode === 'allowlist') {
+      return /^https?:/i.test(url) &&
+        !Array.from(this.allowedSites).some(pattern => this.matchesBlockPattern(pattern, url));
+    }
+
+    return Array.from(this.blockedSites).some(pattern => this.matchesBlockPattern(pattern, url));
+  }
+
+  /**
+   * Check if a domain (or full URL) should be blocked
+   */
+  shouldBlockDomain(domain) {
+    const url = /^[a-z]+:\/\//i.test(domain) ? domain : `https://${domain}/`;
+    return this.shouldBlockUrl(url);
+  }
+
+  /**
+   * Update Chrome declarativeNetRequest rules
+   */
+  async updateBlockingRules() {
+    try {
+      // First, get and remove all existing dynamic rules
+      const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+      const existingRuleIds = existingRules.map(rule => rule.id);
+      
+      if (existingRuleIds.length > 0) {
+        await chrome.declarativeNetRequest.updateDynamicRules({
+          removeRuleIds: existingRuleIds
+        });
+        console.log(`🧹 Removed ${existingRuleIds.length} existing blocking rules`);
+      }
+      
+      // Create new rules for blocked sites
+      const rules = [];
+      let ruleId = 1;
+      
+      // If focus mode is off or no sites to block, only quota rules apply
+      if (!this.focusMode || (this.blockingMode !== 'allowlist' && this.blockedSites.size === 0)) {
+        console.log('🔓 Focus mode disabled or no sites to block');
+      } else {
+        // Temporarily overridden domains get allow rules that outrank every block pattern
+        for (const [domain, expiryTime] of this.temporaryOverrides) {
+          if (Date.now() >= expiryTime) {
+            // Clean up expired override
+            this.temporaryOverrides.delete(domain);
+            continue;
+          }
+
+          console.log(`⏭️ Allowing ${domain} due to active override`);
+          rules.push({
+            id: ruleId++,
+            priority: 2,
+            action: { type: "allow" },
+            condition: {
+              requestDomains: [domain],
+              resourceTypes: ["main_frame"]
+            }
+          });
+        }
+
+        // Denylist blocks the listed patterns; allowlist blocks everything else
+        if (this.blockingMode === 'allowlist') {
+          rules.push(...this.buildAllowlistRules(ruleId));
+        } else {
+          rules.push(...this.buildBlocklistRules(ruleId));
+        }
+        ruleId = rules.length + 1;
+      }
+
+      // Sites whose daily quota is spent stay blocked regardless of focus mode or overrides
+      rules.push(...this.buildQuotaRules(ruleId));
+      
+      if (rules.some(rule => rule.action.type === "redirect")) {
+        await chrome.declarativeNetRequest.updateDynamicRules({
+          addRules: rules
+        });
+        
+        const patterns = this.blockingMode === 'allowlist' ? this.allowedSites : this.blockedSites;
+        console.log(`🛡️ Added ${rules.length} ${this.blockingMode} rules for ${patterns.size} patterns:`, 
+          Array.from(patterns));
+      } else {
+        console.log('⚠️ No rules to add (focus mode off or all sites have overrides)');
+      }
+    } catch (error) {
+      console.error('❌ Error updating blocking rules:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Redirect rule for domains whose daily quota is exhausted
+   * Uses the highest priority so neither allowlist entries nor overrides reopen them
+   */
+  buildQuotaRules(firstRuleId) {
+    if (this.quotaBlockedDomains.size === 0) {
+      return [];
+    }
+
+    return [{
+      id: firstRuleId,
+      priority: 3,
+      action: {
+        type: "redirect",
+        redirect: { extensionPath: "/blocked.html" }
+      },
+      condition: {
+        requestDomains: Array.from(this.quotaBlockedDomains),
+        resourceTypes: ["main_frame"]
+      }
+    }];
+  }
+
+  /**
+   * Replace the set of domains blocked by exhausted quotas
+   * Returns true when the set changed
+   */
+  async setQuotaBlockedDomains(domains) {
+    const next = new Set(domains);
+    const unchanged = next.size === this.quotaBlockedDomains.size &&
+      Array.from(next).every(domain => this.quotaBlockedDomains.has(domain));
+    if (unchanged) {
+      return false;
+    }
+
+    this.quotaBlockedDomains = next;
+    await this.updateBlockingRules();
+    console.log('⏳ Quota-blocked domains:', Array.from(next));
+    return true;
+  }
+
+  /**
+   * Check whether a hostname falls under an exhausted quota
+   */
+  isQuotaBlocked(hostname) {
+    const host = hostname.replace(/^www\./, '');
+    return Array.from(this.quotaBlockedDomains).some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Redirect rules for the blocked patterns (denylist mode)
+   */
+  buildBlocklistRules(firstRuleId) {
+    const rules = [];
+    let ruleId = firstRuleId;
+
+    for (const domain of this.blockedSites) {
+      // Path, wildcard and regex patterns need a regexFilter
+      if (!this.isDomainPattern(domain)) {
+        rules.push({
+          id: ruleId++,
+          priority: 1,
+          action: {
+            type: "redirect",
+            redirect: { extensionPath: "/blocked.html" }
+          },
+          condition: {
+            regexFilter: this.getPatternRegexSource(domain),
+            resourceTypes: ["main_frame"]
+          }
+        });
+        continue;
+      }
+      
+      // Add blocking rule for this domain
+      rules.push({
+        id: ruleId++,
+        priority: 1,
+        action: {
+          type: "redirect",
+          redirect: { extensionPath: "/blocked.html" }
+        },
+        condition: {
+          urlFilter: `*://*.${domain}/*`,
+          resourceTypes: ["main_frame"]
+        }
+      });
+      
+      // Also block the domain without www
+      rules.push({
+        id: ruleId++,
+        priority: 1,
+        action: {
+          type: "redirect",
+          redirect: { extensionPath: "/blocked.html" }
+        },
+        condition: {
+          urlFilter: `*://${domain}/*`,
+          resourceTypes: ["main_frame"]
+        }
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * Catch-all redirect plus higher-priority allow rules for the allowed patterns (allowlist mode)
+   */
+  buildAllowlistRules(firstRuleId) {
+    const rules = [];
+    let ruleId = firstRuleId;
+
+    rules.push({
+      id: ruleId++,
+      priority: 1,
+      action: {
+        type: "redirect",
+        redirect: { extensionPath: "/blocked.html" }
+      },
+      condition: {
+        regexFilter: "^https?://",
+        resourceTypes: ["main_frame"]
+      }
+    });
+
+    for (const pattern of this.allowedSites) {
+      rules.push({
+        id: ruleId++,
+        priority: 2,
+        action: { type: "allow" },
+        condition: this.isDomainPattern(pattern)
+          ? { requestDomains: [pattern], resourceTypes: ["main_frame"] }
+          : { regexFilter: this.getPatternRegexSource(pattern), resourceTypes: ["main_frame"] }
+      });
+    }
+
+    return rules;
+  }
+
+  /**
+   * Clear all blocking rules
+   */
+  async clearBlockingRules() {
+    try {
+      // Get existing rules
+      const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
+      const ruleIds = existingRules.map(rule => rule.id);
+      
+      if (ruleIds.length > 0) {
+        await chrome.declarativeNetRequest.updateDynamicRules({
+          removeRuleIds: ruleIds
+        });
+        
+        console.log(`🧹 Cleared ${ruleIds.length} blocking rules`);
+      }
+    } catch (error) {
+      console.error('Error clearing blocking rules:', error);
+    }
+  }
+
+  /**
+   * Record a blocked attempt
+   */
+  recordBlockedAttempt(domain) {
+    this.blockedAttempts++;
+    if (this.currentFocusSession && domain) {
+      const attempts = this.currentFocusSession.blockedAttemptsByDomain;
+      attempts[domain] = (attempts[domain] || 0) + 1;
+    }
+    this.saveState();
+    console.log(`🚫 Blocked attempt to access: ${domain} (Total: ${this.blockedAttempts})`);
+  }
+
+  /**
+   * Cache URL before potential blocking
+   */
+  cacheUrl(tabId, url) {
+    if (url && !url.startsWith('chrome-extension://') && !url.startsWith('chrome://') && this.shouldBlockUrl(url)) {
+      this.urlCache.set(tabId, url);
+      console.log(`🔗 Cached URL for tab ${tabId}: ${url}`);
+    }
+  }
+
+  /**
+   * Get cached URL for tab
+   */
+  getCachedUrl(tabId) {
+    const url = this.urlCache.get(tabId);
+    // Don't delete immediately - keep for auto-redirect on reload
+    return url;
+  }
+
+  /**
+   * Clear cached URL for tab (call when actually navigating)
+   */
+  clearCachedUrl(tabId) {
+    this.urlCache.delete(tabId);
+    console.log(`🧹 Cleared cached URL for tab ${tabId}`);
+  }
+
+  /**
+   * Get focus session stats
+   */
+  getFocusStats() {
+    const now = Date.now();
+    const focusTime = this.focusStartTime ? now - this.focusStartTime : 0;
+    // Overrides still running only count the part already used
+    const overrideTime = this.getTodayOverrides(now)
+      .reduce((total, entry) => total + Math.min(entry.duration, now - entry.timestamp), 0);
+    
+    return {
+      focusMode: this.focusMode,
+      focusTime: focusTime,
       focusStartTime: this.focusStartTime,
       blockedAttempts: this.blockedAttempts,
+      overrideTime,
+      overridesToday: this.getTodayOverrides(now).length,
+      blockedSites: Array.from(this.blockedSites),
+      blockingMode: this.blockingMode,
+      allowedSites: Array.from(this.allowedSites),
+      temporaryOverrides: Object.fromEntries(this.temporaryOverrides),
+      activeSchedule: this.activeSchedule,
+      scheduleOverride: this.scheduleOverride,
+      currentFocusSession: this.currentFocusSession,
+      quotaBlockedDomains: Array.from(this.quotaBlockedDomains)
+    };
+  }
+
+  /**
+   * Save state to storage
+   */
+  async saveState() {
+    try {
+      await chrome.storage.local.set({
+        focusMode: this.focusMode,
+        blockedSites: Array.from(this.blockedSites),
+        focusStartTime: this.focusStartTime,
+        blockedAttempts: this.blockedAttempts,
+        scheduleOverride: this.scheduleOverride,
+        blockingMode: this.blockingMode,
+        allowedSites: Array.from(this.allowedSites),
+        temporaryOverrides: Object.fromEntries(this.temporaryOverrides),
+        currentFocusSession: this.currentFocusSession
+      });
+    } catch (error) {
+      console.error('Error saving blocking state:', error);
+    }
+  }
+
+  /**
+   * Get debug information for troubleshooting
+   */
+  getDebugInfo(domain, originalUrl = null) {
+    const debugInfo = {
+      domain,
+      originalUrl,
+      matchedPatterns: originalUrl
+        ? Array.from(this.blockedSites).filter(pattern => this.matchesBlockPattern(pattern, originalUrl))
+        : [],
+      focusMode: this.focusMode,
       blockedSites: Array.from(this.blockedSites),
-      temporaryOverrides: Object.fromEntries(this.temporaryOverrides)
+      blockedSitesCount: this.blockedSites.size,
+      blockingMode: this.blockingMode,
+      allowedSites: Array.from(this.allowedSites),
+      temporaryOverrides: Object.fromEntries(this.temporaryOverrides),
+      shouldBeBlocked: this.shouldBlockDomain(originalUrl || domain),
+      focusStartTime: this.focusStartTime,
+      blockedAttempts: this.blockedAttempts
+    };
+    
+    console.log('🐛 Debug Info for', domain, ':', debugInfo);
+    return debugInfo;
+  }
+
+  /**
+   * Reset blocking manager to clean state - useful for debugging
+   */
+  async resetBlockingState() {
+    try {
+      console.log('🧹 Resetting blocking state...');
+      
+      // Clear all blocking rules
+      await this.clearBlockingRules();
+      
+      // Reset internal state
+      this.focusMode = false;
+      this.blockedSites.clear();
+      this.temporaryOverrides.clear();
+      this.focusStartTime = null;
+      this.blockedAttempts = 0;
+      this.scheduleOverride = null;
+      this.currentFocusSession = null;
+      
+      // Clear storage
+      await chrome.storage.local.remove(['focusMode', 'blockedSites', 'focusStartTime', 'blockedAttempts', 'scheduleOverride', 'temporaryOverrides']);
+      await chrome.alarms.clear(this.overrideAlarmName);
+      
+      // Save clean state
+      await this.saveState();
+      
+      console.log('✅ Blocking state reset successfully');
+      return { success: true, message: 'Blocking state reset' };
+    } catch (error) {
+      console.error('❌ Error resetting blocking state:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Get all blocked sites
+   */
+  getBlockedSites() {
+    return Array.from(this.blockedSites);
+  }
+}
+
+// Daily Quota Manager - per-site and per-category time budgets
+class QuotaManager {
+  constructor(storageManager, blockingManager, getLiveSession) {
+    this.storageManager = storageManager;
+    this.blockingManager = blockingManager;
+    this.getLiveSession = getLiveSession; // () => { tabId, domain, unsavedTime } or null
+    this.quotas = []; // { id, type: 'domain' | 'category', target, limit (ms) }
+    this.dayBlocks = { date: null, domains: [] }; // Sites blocked by hand until the next day rollover
+    this.lastStatus = [];
+    this.exhaustTimer = null;
+    this.rolloverAlarmName = 'quota-day-rollover';
+  }
+
+  async initialize() {
+    try {
+      const storage = await chrome.storage.local.get(['dailyQuotas', 'quotaDayBlocks']);
+      this.quotas = storage.dailyQuotas || [];
+      this.dayBlocks = storage.quotaDayBlocks || this.dayBlocks;
+      await this.evaluate();
+      console.log('⏳ Quota Manager initialized with', this.quotas.length, 'quotas');
+    } catch (error) {
+      console.error('Error initializing QuotaManager:', error);
+    }
+  }
+
+  /**
+   * Create or update a quota
+   */
+  async saveQuota(quota) {
+    try {
+      const type = quota?.type === 'category' ? 'category' : 'domain';
+      const target = type === 'domain'
+        ? this.blockingManager.normalizeBlockPattern(quota?.target || '')
+        : (quota?.target || '').trim();
+      const limit = Math.round(Number(quota?.limit));
+
+      if (type === 'domain' && !this.blockingManager.isDomainPattern(target)) {
+        return { success: false, error: 'Quotas apply to whole domains (e.g., twitter.com)' };
+      }
+      if (type === 'category' && !this.storageManager.categoryTaxonomy.categories.some(category => category.id === target)) {
+        return { success: false, error: 'Choose a category' };
+      }
+      if (!Number.isFinite(limit) || limit < 60000) {
+        return { success: false, error: 'Daily limit must be at least 1 minute' };
+      }
+
+      const saved = { id: quota.id || `quota_${Date.now()}`, type, target, limit };
+      const index = this.quotas.findIndex(existing => existing.id === saved.id);
+      if (index >= 0) {
+        this.quotas[index] = saved;
+      } else {
+        this.quotas.push(saved);
+      }
+
+      await chrome.storage.local.set({ dailyQuotas: this.quotas });
+      const status = await this.evaluate();
+      return { success: true, quota: saved, data: status };
+    } catch (error) {
+      console.error('Error saving quota:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a quota
+   */
+  async deleteQuota(quotaId) {
+    try {
+      this.quotas = this.quotas.filter(quota => quota.id !== quotaId);
+      await chrome.storage.local.set({ dailyQuotas: this.quotas });
+      const status = await this.evaluate();
+      return { success: true, data: status };
+    } catch (error) {
+      console.error('Error deleting quota:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Block a domain until the day rolls over, as if its quota were spent
+   */
+  async blockForToday(domain) {
+    try {
+      const target = this.blockingManager.normalizeBlockPattern(domain || '');
+      if (!this.blockingManager.isDomainPattern(target)) {
+        return { success: false, error: 'Invalid domain' };
+      }
+
+      const today = this.storageManager.formatDateKey();
+      const domains = this.dayBlocks.date === today ? this.dayBlocks.domains : [];
+      this.dayBlocks = { date: today, domains: Array.from(new Set([...domains, target])) };
+      await chrome.storage.local.set({ quotaDayBlocks: this.dayBlocks });
+
+      const status = await this.evaluate();
+      console.log('⏳ Blocked for the rest of the day:', target);
+      return { success: true, data: status };
+    } catch (error) {
+      console.error('Error blocking site for today:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Check whether a tracked domain counts toward a quota
+   */
+  quotaAppliesTo(quota, domain) {
+    if (quota.type === 'domain') {
+      return domain === quota.target || domain.endsWith(`.${quota.target}`);
+    }
+    return this.storageManager.getSiteCategory(domain) === quota.target;
+  }
+
+  /**
+   * Domains to block once a quota is spent
+   * Category quotas cover every known domain in the category, not only those visited today
+   */
+  getQuotaDomains(quota, todaySites) {
+    if (quota.type === 'domain') {
+      return [quota.target];
+    }
+
+    const knownDomains = new Set([
+      ...this.storageManager.getCategoryRuleDomains(quota.target),
+      ...Object.keys(todaySites)
+    ]);
+    return Array.from(knownDomains).filter(domain => this.quotaAppliesTo(quota, domain));
+  }
+
+  /**
+   * Recompute usage from today's saved totals plus the unsaved live session,
+   * block exhausted targets and schedule the next check
+   */
+  async evaluate() {
+    const todayStats = await this.storageManager.getTodayStats();
+    const todaySites = todayStats.sites || {};
+    const liveSession = this.getLiveSession();
+    const blockedDomains = new Set();
+
+    // Blocks from earlier days lapse at the rollover
+    const today = this.storageManager.formatDateKey();
+    if (this.dayBlocks.date !== today && this.dayBlocks.domains.length > 0) {
+      this.dayBlocks = { date: today, domains: [] };
+      await chrome.storage.local.set({ quotaDayBlocks: this.dayBlocks });
+    }
+    this.dayBlocks.domains.forEach(domain => blockedDomains.add(domain));
+
+    this.lastStatus = this.quotas.map(quota => {
+      let used = Object.entries(todaySites)
+        .filter(([domain]) => this.quotaAppliesTo(quota, domain))
+        .reduce((total, [, site]) => total + (site.timeSpent || 0), 0);
+
+      const live = liveSession && this.quotaAppliesTo(quota, liveSession.domain);
+      if (live) {
+        used += liveSession.unsavedTime;
+      }
+
+      const remaining = Math.max(0, quota.limit - used);
+      if (remaining === 0) {
+        this.getQuotaDomains(quota, todaySites).forEach(domain => blockedDomains.add(domain));
+      }
+
+      const label = quota.type === 'category' ? this.storageManager.getCategoryName(quota.target) : quota.target;
+      return { ...quota, label, used, remaining, exhausted: remaining === 0, live: Boolean(live) };
+    });
+
+    const changed = await this.blockingManager.setQuotaBlockedDomains(blockedDomains);
+
+    // Navigations are redirected by the new rule; the page being used right now needs a reload
+    if (changed && liveSession?.tabId && this.blockingManager.isQuotaBlocked(liveSession.domain)) {
+      chrome.tabs.reload(liveSession.tabId).catch(() => {});
+    }
+
+    this.scheduleExhaustCheck();
+    await this.scheduleRollover();
+    return this.lastStatus;
+  }
+
+  /**
+   * Re-evaluate exactly when the live session spends its remaining budget
+   * If the worker is suspended first, the session checkpoint alarm re-evaluates instead
+   */
+  scheduleExhaustCheck() {
+    clearTimeout(this.exhaustTimer);
+    this.exhaustTimer = null;
+
+    const remainingTimes = this.lastStatus
+      .filter(status => status.live && !status.exhausted)
+      .map(status => status.remaining);
+    if (remainingTimes.length === 0) return;
+
+    this.exhaustTimer = setTimeout(() => this.evaluate(), Math.min(...remainingTimes) + 500);
+  }
+
+  /**
+   * Arm an alarm for the next day rollover, when every quota resets
+   */
+  async scheduleRollover() {
+    if (this.quotas.length === 0 && this.dayBlocks.domains.length === 0) {
+      await chrome.alarms.clear(this.rolloverAlarmName);
+      return;
+    }
+
+    const nextRollover = new Date();
+    if (nextRollover.getHours() >= this.storageManager.dayStartHour) {
+      nextRollover.setDate(nextRollover.getDate() + 1);
+    }
+    nextRollover.setHours(this.storageManager.dayStartHour, 0, 5, 0);
+    await chrome.alarms.create(this.rolloverAlarmName, { when: nextRollover.getTime() });
+  }
+
+  /**
+   * Fresh quota status for one domain (used by the popup)
+   */
+  async getStatusForDomain(domain) {
+    if (!domain || this.quotas.length === 0) return [];
+
+    await this.evaluate();
+    return this.lastStatus.filter(status => this.quotaAppliesTo(status, domain));
+  }
+}
+
+// Pomodoro Manager - work/break intervals that switch focus mode on and off
+class PomodoroManager {
+  constructor(blockingManager, onFocusModeChange) {
+    this.blockingManager = blockingManager;
+    this.onFocusModeChange = onFocusModeChange; // (focusMode) => Promise, notifies popup and web app
+    this.settings = this.getDefaultSettings();
+    this.state = this.getIdleState();
+    this.phaseAlarmName = 'pomodoro-phase-end';
+  }
+
+  async initialize() {
+    try {
+      const stored = await chrome.storage.local.get(['pomodoroSettings', 'pomodoroState']);
+      this.settings = { ...this.getDefaultSettings(), ...stored.pomodoroSettings };
+      this.state = { ...this.getIdleState(), ...stored.pomodoroState };
+
+      // The phase may have ended while the browser was closed
+      if (this.state.status === 'running' && this.state.endTime <= Date.now()) {
+        await this.completePhase();
+      } else {
+        await this.schedulePhaseEnd();
+      }
+
+      console.log('🍅 Pomodoro Manager initialized', this.state);
+    } catch (error) {
+      console.error('Error initializing PomodoroManager:', error);
+    }
+  }
+
+  getDefaultSettings() {
+    return {
+      workMinutes: 25,
+      shortBreakMinutes: 5,
+      longBreakMinutes: 15,
+      cyclesBeforeLongBreak: 4,
+      autoStartBreaks: true,
+      autoStartWork: false
+    };
+  }
+
+  /**
+   * status is 'idle', 'running', 'paused', or 'ready' (phase queued, waiting for START_POMODORO)
+   */
+  getIdleState() {
+    return {
+      phase: 'idle', // 'work' | 'shortBreak' | 'longBreak'
+      status: 'idle',
+      endTime: null,
+      remaining: null, // ms left while paused or ready
+      completedCycles: 0 // Work intervals finished since the last long break
+    };
+  }
+
+  getPhaseDuration(phase) {
+    const minutes = {
+      work: this.settings.workMinutes,
+      shortBreak: this.settings.shortBreakMinutes,
+      longBreak: this.settings.longBreakMinutes
+    }[phase];
+    return (minutes || 0) * 60000;
+  }
+
+  /**
+   * Save Pomodoro settings
+   */
+  async saveSettings(settings) {
+    try {
+      const merged = { ...this.settings, ...settings };
+      const minutes = (value, max) => {
+        const number = Math.floor(Number(value));
+        if (!Number.isFinite(number) || number < 1 || number > max) {
+          throw new Error(`Interval lengths must be between 1 and ${max} minutes`);
+        }
+        return number;
+      };
+
+      this.settings = {
+        workMinutes: minutes(merged.workMinutes, 240),
+        shortBreakMinutes: minutes(merged.shortBreakMinutes, 120),
+        longBreakMinutes: minutes(merged.longBreakMinutes, 120),
+        cyclesBeforeLongBreak: Math.min(12, Math.max(1, Math.floor(Number(merged.cyclesBeforeLongBreak)) || 4)),
+        autoStartBreaks: Boolean(merged.autoStartBreaks),
+        autoStartWork: Boolean(merged.autoStartWork)
+      };
+
+      await chrome.storage.local.set({ pomodoroSettings: this.settings });
+      console.log('🍅 Pomodoro settings saved:', this.settings);
+      return { success: true, settings: this.settings };
+    } catch (error) {
+      console.error('Error saving Pomodoro settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Start a new Pomodoro, resume a paused one, or begin a queued phase
+   */
+  async start() {
+    try {
+      if (this.state.status === 'running') {
+        return { success: true, data: this.getState() };
+      }
+
+      if (this.state.status === 'idle') {
+        await this.startPhase('work');
+      } else {
+        // Paused or ready: carry on with the time left in the phase
+        this.state.status = 'running';
+        this.state.endTime = Date.now() + this.state.remaining;
+        this.state.remaining = null;
+        await this.applyFocusMode();
+        await this.saveState();
+      }
+
+      console.log('▶️ Pomodoro running:', this.state.phase);
+      return { success: true, data: this.getState() };
+    } catch (error) {
+      console.error('Error starting Pomodoro:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Pause the running phase; focus mode is left as it is
+   */
+  async pause() {
+    try {
+      if (this.state.status !== 'running') {
+        return { success: false, error: 'No Pomodoro is running' };
+      }
+
+      this.state.status = 'paused';
+      this.state.remaining = Math.max(0, this.state.endTime - Date.now());
+      this.state.endTime = null;
+      await this.saveState();
+
+      console.log('⏸️ Pomodoro paused:', this.state.phase);
+      return { success: true, data: this.getState() };
+    } catch (error) {
+      console.error('Error pausing Pomodoro:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * End the current phase early and move on to the next one
+   */
+  async skipPhase() {
+    try {
+      if (this.state.status === 'idle') {
+        return { success: false, error: 'No Pomodoro is running' };
+      }
+
+      await this.completePhase();
+      return { success: true, data: this.getState() };
+    } catch (error) {
+      console.error('Error skipping Pomodoro phase:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop the Pomodoro; a work interval in progress, running or paused, also ends focus mode
+   */
+  async stop() {
+    try {
+      // Starting a work interval switched focus mode on and pausing leaves it on; a queued one has not started
+      const wasWorking = this.state.phase === 'work' && ['running', 'paused'].includes(this.state.status);
+      this.state = this.getIdleState();
+      await this.saveState();
+
+      if (wasWorking && this.blockingManager.focusMode) {
+        await this.setFocusMode(false);
+      }
+
+      console.log('⏹️ Pomodoro stopped');
+      return { success: true, data: this.getState() };
+    } catch (error) {
+      console.error('Error stopping Pomodoro:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Finish the current phase (alarm or skip) and queue or start the next one
+   */
+  async completePhase() {
+    let nextPhase = 'work';
+    if (this.state.phase === 'work') {
+      this.state.completedCycles++;
+      nextPhase = this.state.completedCycles >= this.settings.cyclesBeforeLongBreak ? 'longBreak' : 'shortBreak';
+    } else if (this.state.phase === 'longBreak') {
+      this.state.completedCycles = 0;
+    }
+
+    console.log(`🍅 Pomodoro ${this.state.phase} finished, next: ${nextPhase}`);
+
+    const autoStart = nextPhase === 'work' ? this.settings.autoStartWork : this.settings.autoStartBreaks;
+    if (autoStart) {
+      await this.startPhase(nextPhase);
+      return;
+    }
+
+    // Wait for the user; breaks still unblock straight away
+    this.state.phase = nextPhase;
+    this.state.status = 'ready';
+    this.state.endTime = null;
+    this.state.remaining = this.getPhaseDuration(nextPhase);
+    if (nextPhase !== 'work') {
+      await this.applyFocusMode();
+    }
+    await this.saveState();
+  }
+
+  async startPhase(phase) {
+    this.state.phase = phase;
+    this.state.status = 'running';
+    this.state.endTime = Date.now() + this.getPhaseDuration(phase);
+    this.state.remaining = null;
+    await this.applyFocusMode();
+    await this.saveState();
+  }
+
+  /**
+   * Focus mode on for work, off for breaks
+   */
+  async applyFocusMode() {
+    const focusMode = this.state.phase === 'work';
+    if (this.blockingManager.focusMode !== focusMode) {
+      await this.setFocusMode(focusMode);
+    }
+  }
+
+  async setFocusMode(focusMode) {
+    await this.blockingManager.setManualFocusMode(focusMode, {
+      source: 'pomodoro',
+      plannedDuration: this.state.status === 'running' ? this.state.endTime - Date.now() : null
+    });
+    await this.onFocusModeChange(focusMode);
+  }
+
+  async saveState() {
+    await chrome.storage.local.set({ pomodoroState: this.state });
+    await this.schedulePhaseEnd();
+  }
+
+  async schedulePhaseEnd() {
+    if (this.state.status === 'running' && this.state.endTime) {
+      await chrome.alarms.create(this.phaseAlarmName, { when: this.state.endTime });
+    } else {
+      await chrome.alarms.clear(this.phaseAlarmName);
+    }
+  }
+
+  /**
+   * Current phase with the time left, for the popup and blocked page
+   */
+  getState() {
+    const remaining = this.state.status === 'running'
+      ? Math.max(0, this.state.endTime - Date.now())
+      : this.state.remaining;
+
+    return {
+      ...this.state,
+      remaining,
+      phaseDuration: this.state.phase === 'idle' ? null : this.getPhaseDuration(this.state.phase),
+      settings: this.settings
+    };
+  }
+}
+
+// Focus Session Manager - history of finished focus sessions with per-session stats
+class FocusSessionManager {
+  constructor(storageManager, getLiveVisit) {
+    this.storageManager = storageManager;
+    this.getLiveVisit = getLiveVisit; // () => the visit being recorded right now, or null
+    this.minUnplannedMinutes = 15; // Sessions without a plan count as completed after this long
+  }
+
+  /**
+   * Store a finished session from BlockingManager
+   */
+  async recordSession(session) {
+    const record = await this.buildSessionRecord(session);
+    const { focusSessions = [] } = await chrome.storage.local.get(['focusSessions']);
+    focusSessions.push(record);
+    await chrome.storage.local.set({ focusSessions: await this.pruneSessions(focusSessions) });
+    await this.storageManager.addFocusSessionToDay(record.date, this.isCompleted(record));
+
+    console.log('🧘 Focus session stored:', record.id, this.storageManager.formatTime(record.actualDuration));
+    return record;
+  }
+
+  /**
+   * Add actual length, blocked attempt totals and time per category during the session
+   */
+  async buildSessionRecord(session) {
+    const endTime = session.endTime || Date.now();
+    const categoryTime = await this.getCategoryTime(session.startTime, endTime);
+    // Positive and negative category weights split productive from distracting time
+    const sumWhere = test => Object.entries(categoryTime)
+      .filter(([category]) => test(this.storageManager.getCategoryWeight(category)))
+      .reduce((total, [, time]) => total + time, 0);
+    const productiveTime = sumWhere(weight => weight > 0);
+    const distractingTime = sumWhere(weight => weight < 0);
+    const blockedAttemptsByDomain = session.blockedAttemptsByDomain || {};
+
+    return {
+      id: `focus_${session.startTime}`,
+      date: this.storageManager.formatDateKey(new Date(session.startTime)),
+      source: session.source || 'manual',
+      startTime: session.startTime,
+      endTime,
+      plannedDuration: session.plannedDuration || null,
+      actualDuration: endTime - session.startTime,
+      blockedAttempts: Object.values(blockedAttemptsByDomain).reduce((total, count) => total + count, 0),
+      blockedAttemptsByDomain,
+      overridesUsed: session.overridesUsed || 0,
+      categoryTime,
+      productiveTime,
+      distractingTime
+    };
+  }
+
+  /**
+   * Active browsing time per category between two timestamps
+   * Visits straddling the edges are counted pro rata
+   */
+  async getCategoryTime(startTime, endTime) {
+    const events = await this.storageManager.getSessionEvents(startTime, endTime);
+    const categoryTime = {};
+    const addTime = (visit, ms) => {
+      if (ms <= 0) return;
+      const category = this.storageManager.getSiteCategory(visit.domain, visit.url, visit.title);
+      categoryTime[category] = (categoryTime[category] || 0) + Math.round(ms);
+    };
+
+    events.forEach(event => {
+      const overlap = Math.min(endTime, event.endTime) - Math.max(startTime, event.startTime);
+      const duration = event.endTime - event.startTime;
+      if (overlap > 0 && duration > 0) {
+        addTime(event, event.activeMs * (overlap / duration));
+      }
+    });
+
+    // The visit still open has not reached the session log yet
+    const liveVisit = this.getLiveVisit();
+    if (liveVisit) {
+      addTime(liveVisit, endTime - Math.max(startTime, liveVisit.startTime));
+    }
+
+    return categoryTime;
+  }
+
+  /**
+   * Drop sessions older than the data retention window
+   */
+  async pruneSessions(focusSessions) {
+    const { dataRetentionDays } = await this.storageManager.getSettings();
+    const cutoff = this.storageManager.shiftDateKey(this.storageManager.formatDateKey(), -dataRetentionDays);
+    return focusSessions.filter(session => session.date >= cutoff);
+  }
+
+  /**
+   * Sessions overlapping a time range, newest first, with totals
+   * The running session is included (marked inProgress) when given
+   */
+  async getSessions(startTime = 0, endTime = Date.now(), currentSession = null) {
+    const { focusSessions = [] } = await chrome.storage.local.get(['focusSessions']);
+    const sessions = focusSessions.filter(session => session.endTime >= startTime && session.startTime <= endTime);
+
+    if (currentSession && currentSession.startTime <= endTime) {
+      const live = await this.buildSessionRecord({ ...currentSession, endTime: Math.min(Date.now(), endTime) });
+      sessions.push({ ...live, inProgress: true });
+    }
+
+    sessions.sort((a, b) => b.startTime - a.startTime);
+    return { sessions, totals: this.summarizeSessions(sessions) };
+  }
+
+  /**
+   * A session is completed when it ran at least 95% of its plan, or long enough without one
+   */
+  isCompleted(session) {
+    if (session.plannedDuration) {
+      return session.actualDuration >= session.plannedDuration * 0.95;
+    }
+    return session.actualDuration >= this.minUnplannedMinutes * 60000;
+  }
+
+  summarizeSessions(sessions) {
+    const planned = sessions.filter(session => session.plannedDuration && !session.inProgress);
+
+    return {
+      count: sessions.length,
+      focusTime: sessions.reduce((total, session) => total + session.actualDuration, 0),
+      averageDuration: sessions.length
+        ? Math.round(sessions.reduce((total, session) => total + session.actualDuration, 0) / sessions.length)
+        : 0,
+      blockedAttempts: sessions.reduce((total, session) => total + session.blockedAttempts, 0),
+      overridesUsed: sessions.reduce((total, session) => total + session.overridesUsed, 0),
+      productiveTime: sessions.reduce((total, session) => total + session.productiveTime, 0),
+      distractingTime: sessions.reduce((total, session) => total + session.distractingTime, 0),
+      completedPlanned: planned.filter(session => this.isCompleted(session)).length,
+      plannedCount: planned.length
+    };
+  }
+}
+
+// Goal Manager - user goals measured from tracked stats, with per-period history and streaks
+class GoalManager {
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.goals = []; // { id, title, type, period, target, scope: { kind: 'site' | 'category', value }, createdAt, bestStreak }
+    this.history = {}; // goalId -> closed periods, oldest first: { key, start, end, value, met }
+    this.status = [];
+    this.maxHistoryEntries = 60;
+    this.goalTypes = ['category-min', 'time-max', 'focus-sessions', 'score-min'];
+    this.periods = ['daily', 'weekly', 'monthly'];
+  }
+
+  async initialize() {
+    try {
+      const storage = await chrome.storage.local.get(['goals', 'goalHistory']);
+      this.history = storage.goalHistory || {};
+
+      if (storage.goals) {
+        this.goals = storage.goals;
+      } else {
+        // First run: start from the goals the dashboard used to show, now measured for real
+        this.goals = this.getDefaultGoals();
+        await chrome.storage.local.set({ goals: this.goals });
+        await chrome.storage.local.remove('productivityGoals');
+      }
+
+      await this.evaluate();
+      console.log('🎯 Goal Manager initialized:', this.goals.length, 'goals');
+    } catch (error) {
+      console.error('Error initializing GoalManager:', error);
+    }
+  }
+
+  getDefaultGoals() {
+    const createdAt = Date.now();
+    return [
+      {
+        id: 'goal_daily_productive',
+        title: 'Daily Productive Time',
+        type: 'category-min',
+        period: 'daily',
+        scope: { kind: 'category', value: 'productive' },
+        target: this.storageManager.scoreModel.targetHours * 60 * 60 * 1000,
+        createdAt,
+        bestStreak: 0
+      },
+      {
+        id: 'goal_weekly_focus',
+        title: 'Weekly Focus Sessions',
+        type: 'focus-sessions',
+        period: 'weekly',
+        scope: null,
+        target: 10,
+        createdAt,
+        bestStreak: 0
+      },
+      {
+        id: 'goal_monthly_score',
+        title: 'Monthly Productivity Score',
+        type: 'score-min',
+        period: 'monthly',
+        scope: null,
+        target: 80,
+        createdAt,
+        bestStreak: 0
+      }
+    ];
+  }
+
+  /**
+   * Create or update a goal
+   * Changing what a goal measures starts its history and streak over
+   */
+  async saveGoal(goal) {
+    try {
+      const type = goal?.type;
+      const period = goal?.period;
+      if (!this.goalTypes.includes(type)) {
+        return { success: false, error: 'Choose a goal type' };
+      }
+      if (!this.periods.includes(period)) {
+        return { success: false, error: 'Choose daily, weekly or monthly' };
+      }
+
+      let scope = null;
+      if (type === 'category-min' || type === 'time-max') {
+        const kind = type === 'time-max' && goal.scope?.kind === 'site' ? 'site' : 'category';
+        let value = String(goal.scope?.value || '').trim();
+
+        if (kind === 'site') {
+          value = value.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split('/')[0];
+          if (!value || !value.includes('.')) {
+            return { success: false, error: 'Enter a domain (e.g., twitter.com)' };
+          }
+        } else if (!this.storageManager.categoryTaxonomy.categories.some(category => category.id === value)) {
+          return { success: false, error: 'Choose a category' };
+        }
+        scope = { kind, value };
+      }
+
+      const target = Number(goal.target);
+      const limits = {
+        'category-min': [60000, 24 * 60 * 60 * 1000, 'Time target must be at least 1 minute'],
+        'time-max': [0, 24 * 60 * 60 * 1000, 'Time limit cannot be negative'],
+        'focus-sessions': [1, 1000, 'Focus session target must be at least 1'],
+        'score-min': [1, 100, 'Score target must be between 1 and 100']
+      };
+      const [min, max, message] = limits[type];
+      if (!Number.isFinite(target) || target < min || target > max) {
+        return { success: false, error: message };
+      }
+
+      const saved = {
+        id: goal.id || `goal_${Date.now()}`,
+        title: String(goal.title || '').trim().slice(0, 60),
+        type,
+        period,
+        scope,
+        target: type === 'focus-sessions' || type === 'score-min' ? Math.round(target) : target,
+        createdAt: Date.now(),
+        bestStreak: 0
+      };
+
+      const index = this.goals.findIndex(existing => existing.id === saved.id);
+      if (index >= 0) {
+        const existing = this.goals[index];
+        const unchanged = ['type', 'period', 'target'].every(key => existing[key] === saved[key])
+          && JSON.stringify(existing.scope) === JSON.stringify(saved.scope);
+        if (unchanged) {
+          saved.createdAt = existing.createdAt;
+          saved.bestStreak = existing.bestStreak || 0;
+        } else {
+          delete this.history[saved.id];
+        }
+        this.goals[index] = saved;
+      } else {
+        this.goals.push(saved);
+      }
+
+      await chrome.storage.local.set({ goals: this.goals, goalHistory: this.history });
+      const status = await this.evaluate();
+      return { success: true, goal: saved, data: status };
+    } catch (error) {
+      console.error('Error saving goal:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Delete a goal and its history
+   */
+  async deleteGoal(goalId) {
+    try {
+      this.goals = this.goals.filter(goal => goal.id !== goalId);
+      delete this.history[goalId];
+      await chrome.storage.local.set({ goals: this.goals, goalHistory: this.history });
+      const status = await this.evaluate();
+      return { success: true, data: status };
+    } catch (error) {
+      console.error('Error deleting goal:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Date range and key of the daily, weekly (Monday to Sunday) or monthly period holding a date
+   */
+  getPeriodRange(period, dateKey) {
+    const storage = this.storageManager;
+
+    if (period === 'weekly') {
+      const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+      const start = storage.shiftDateKey(dateKey, -((weekday + 6) % 7));
+      return { key: start, start, end: storage.shiftDateKey(start, 6) };
+    }
+
+    if (period === 'monthly') {
+      const start = `${dateKey.slice(0, 7)}-01`;
+      const nextMonth = new Date(`${start}T00:00:00Z`);
+      nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+      const end = storage.shiftDateKey(nextMonth.toISOString().split('T')[0], -1);
+      return { key: dateKey.slice(0, 7), start, end };
+    }
+
+    return { key: dateKey, start: dateKey, end: dateKey };
+  }
+
+  /**
+   * Whether a tracked domain counts toward a goal's site or category
+   */
+  matchesScope(scope, domain) {
+    if (!scope) return false;
+    if (scope.kind === 'site') {
+      return domain === scope.value || domain.endsWith(`.${scope.value}`);
+    }
+    return this.storageManager.getSiteCategory(domain) === scope.value;
+  }
+
+  /**
+   * Measure a goal over a date range: time in ms, completed sessions, or average daily score
+   */
+  measureGoal(goal, startDate, endDate, allStats) {
+    const days = this.storageManager.getDateRange(startDate, endDate)
+      .map(date => allStats[date])
+      .filter(Boolean);
+
+    switch (goal.type) {
+      case 'category-min':
+      case 'time-max':
+        return days.reduce((total, day) => total + Object.entries(day.sites || {})
+          .filter(([domain]) => this.matchesScope(goal.scope, domain))
+          .reduce((sum, [, site]) => sum + (site.timeSpent || 0), 0), 0);
+      case 'focus-sessions':
+        return days.reduce((total, day) => total + (day.completedFocusSessions || 0), 0);
+      case 'score-min': {
+        const trackedDays = days.filter(day => day.totalTime > 0);
+        return trackedDays.length > 0
+          ? Math.round(trackedDays.reduce((total, day) => total + (day.productivityScore || 0), 0) / trackedDays.length)
+          : 0;
+      }
+      default:
+        return 0;
+    }
+  }
+
+  isMet(goal, value) {
+    return goal.type === 'time-max' ? value <= goal.target : value >= goal.target;
+  }
+
+  /**
+   * Close periods that ended since the last run, update streaks and measure the current period
+   * An "at least" goal counts toward the streak as soon as it is met; an "at most" goal
+   * only once its period is over
+   */
+  async evaluate() {
+    const today = this.storageManager.formatDateKey();
+    const firstPeriod = goal => {
+      const history = this.history[goal.id] || [];
+      return history.length > 0
+        ? this.getPeriodRange(goal.period, this.storageManager.shiftDateKey(history[history.length - 1].end, 1))
+        : this.getPeriodRange(goal.period, this.storageManager.formatDateKey(new Date(goal.createdAt)));
+    };
+
+    // Only load the days that still need measuring
+    const firstDate = this.goals
+      .map(goal => firstPeriod(goal).start)
+      .concat(this.goals.map(goal => this.getPeriodRange(goal.period, today).start))
+      .reduce((earliest, date) => (date < earliest ? date : earliest), today);
+    const stats = this.goals.length > 0 ? await this.storageManager.getTimeData(firstDate, today) : {};
+    let historyChanged = false;
+    let goalsChanged = false;
+
+    this.status = this.goals.map(goal => {
+      const current = this.getPeriodRange(goal.period, today);
+      const history = this.history[goal.id] || [];
+
+      let cursor = firstPeriod(goal);
+
+      while (cursor.key < current.key) {
+        const value = this.measureGoal(goal, cursor.start, cursor.end, stats);
+        history.push({ key: cursor.key, start: cursor.start, end: cursor.end, value, met: this.isMet(goal, value) });
+        cursor = this.getPeriodRange(goal.period, this.storageManager.shiftDateKey(cursor.end, 1));
+        historyChanged = true;
+      }
+
+      this.history[goal.id] = history.slice(-this.maxHistoryEntries);
+
+      const value = this.measureGoal(goal, current.start, current.end, stats);
+      const met = this.isMet(goal, value);
+      const settled = goal.type === 'time-max' ? !met : met;
+
+      let streak = 0;
+      for (let index = history.length - 1; index >= 0 && history[index].met; index--) {
+        streak++;
+      }
+      if (met && settled) {
+        streak++;
+      }
+
+      if (streak > (goal.bestStreak || 0)) {
+        goal.bestStreak = streak;
+        goalsChanged = true;
+      }
+
+      return {
+        ...goal,
+        scopeLabel: goal.scope?.kind === 'category'
+          ? this.storageManager.getCategoryName(goal.scope.value)
+          : goal.scope?.value || null,
+        current: value,
+        met,
+        settled,
+        periodKey: current.key,
+        periodStart: current.start,
+        periodEnd: current.end,
+        streak,
+        history: this.history[goal.id].slice(-12)
+      };
+    });
+
+    if (historyChanged) {
+      await chrome.storage.local.set({ goalHistory: this.history });
+    }
+    if (goalsChanged) {
+      await chrome.storage.local.set({ goals: this.goals });
+    }
+
+    return this.status;
+  }
+}
+
+// Notification Manager - usage and goal notifications with quiet hours and action buttons
+class NotificationManager {
+  constructor(storageManager, blockingManager, runAction) {
+    this.storageManager = storageManager;
+    this.blockingManager = blockingManager;
+    this.runAction = runAction; // (action) => Promise, carries out a notification button
+    this.settings = this.getDefaultSettings();
+    this.state = {
+      sent: {}, // Dedup key -> time shown, so each trigger fires once per day, period or stretch
+      actions: {}, // notificationId -> button actions, kept in storage for clicks after a worker restart
+      distractionSince: null // Start of the current unbroken stretch on distracting sites
+    };
+    this.sentRetention = 32 * 24 * 60 * 60 * 1000; // Outlives a monthly goal period
+    this.maxPendingActions = 20;
+    this.summaryAlarmName = 'daily-summary';
+  }
+
+  async initialize() {
+    try {
+      const stored = await chrome.storage.local.get(['notificationSettings', 'notificationState']);
+      this.settings = { ...this.getDefaultSettings(), ...stored.notificationSettings };
+      this.state = { ...this.state, ...stored.notificationState };
+      await this.scheduleSummary();
+      console.log('🔔 Notification Manager initialized', this.settings);
+    } catch (error) {
+      console.error('Error initializing NotificationManager:', error);
+    }
+  }
+
+  /**
+   * One toggle per trigger, plus the thresholds they use
+   */
+  getDefaultSettings() {
+    return {
+      enabled: true,
+      quietHoursEnabled: false,
+      quietStart: '22:00',
+      quietEnd: '07:00',
+      quotaWarning: true,
+      quotaWarningMinutes: 5, // Warn when this much of a daily limit is left
+      goalAchieved: true,
+      focusSessionEnded: true,
+      distractionStreak: true,
+      distractionMinutes: 30, // Unbroken time on distracting categories before a nudge
+      dailySummary: false,
+      summaryTime: '21:00'
+    };
+  }
+
+  /**
+   * Save notification settings
+   */
+  async saveSettings(settings) {
+    try {
+      const merged = { ...this.settings, ...settings };
+      const timeOfDay = (value, label) => {
+        const minutes = this.blockingManager.parseTimeOfDay(value);
+        if (minutes === null) {
+          throw new Error(`${label} must be a 24-hour time (e.g., 21:00)`);
+        }
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+      };
+      const minutes = (value, max, label) => {
+        const number = Math.floor(Number(value));
+        if (!Number.isFinite(number) || number < 1 || number > max) {
+          throw new Error(`${label} must be between 1 and ${max} minutes`);
+        }
+        return number;
+      };
+
+      this.settings = {
+        enabled: Boolean(merged.enabled),
+        quietHoursEnabled: Boolean(merged.quietHoursEnabled),
+        quietStart: timeOfDay(merged.quietStart, 'Quiet hours start'),
+        quietEnd: timeOfDay(merged.quietEnd, 'Quiet hours end'),
+        quotaWarning: Boolean(merged.quotaWarning),
+        quotaWarningMinutes: minutes(merged.quotaWarningMinutes, 120, 'The daily limit warning'),
+        goalAchieved: Boolean(merged.goalAchieved),
+        focusSessionEnded: Boolean(merged.focusSessionEnded),
+        distractionStreak: Boolean(merged.distractionStreak),
+        distractionMinutes: minutes(merged.distractionMinutes, 480, 'Distraction time'),
+        dailySummary: Boolean(merged.dailySummary),
+        summaryTime: timeOfDay(merged.summaryTime, 'Summary time')
+      };
+
+      await chrome.storage.local.set({ notificationSettings: this.settings });
+      await this.scheduleSummary();
+      console.log('🔔 Notification settings saved:', this.settings);
+      return { success: true, settings: this.settings };
+    } catch (error) {
+      console.error('Error saving notification settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Quiet hours may run past midnight (e.g., 22:00-07:00)
+   */
+  isQuietTime(date = new Date()) {
+    if (!this.settings.quietHoursEnabled) return false;
+
+    const start = this.blockingManager.parseTimeOfDay(this.settings.quietStart);
+    const end = this.blockingManager.parseTimeOfDay(this.settings.quietEnd);
+    const now = date.getHours() * 60 + date.getMinutes();
+    if (start === null || end === null || start === end) return false;
+
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  /**
+   * Show a notification once per dedup key
+   * Nothing is recorded while the trigger is muted, so a still-relevant notice shows after quiet hours end
+   * actions are up to two buttons: { title, type, ...details }
+   */
+  async notify(trigger, key, { title, message, actions = [] }) {
+    if (!this.settings.enabled || !this.settings[trigger] || this.state.sent[key] || this.isQuietTime()) {
+      return false;
+    }
+
+    // Starting focus mode is pointless while it is already on
+    const buttons = actions
+      .filter(action => action.type !== 'start-focus' || !this.blockingManager.focusMode)
+      .slice(0, 2);
+    const notificationId = `${trigger}_${Date.now()}`;
+
+    this.pruneState();
+    this.state.sent[key] = Date.now();
+    if (buttons.length > 0) {
+      this.state.actions[notificationId] = buttons.map(({ title: buttonTitle, ...action }) => action);
+    }
+    await chrome.storage.local.set({ notificationState: this.state });
+
+    const options = {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon16.png'),
+      title,
+      message
     };
+    if (buttons.length > 0) {
+      options.buttons = buttons.map(button => ({ title: button.title }));
+    }
+    await chrome.notifications.create(notificationId, options);
+
+    console.log('🔔 Notification shown:', key);
+    return true;
+  }
+
+  /**
+   * Drop dedup keys past the retention window and the oldest unanswered button sets
+   */
+  pruneState(now = Date.now()) {
+    this.state.sent = Object.fromEntries(
+      Object.entries(this.state.sent).filter(([, shownAt]) => now - shownAt < this.sentRetention)
+    );
+    this.state.actions = Object.fromEntries(
+      Object.entries(this.state.actions).slice(-this.maxPendingActions)
+    );
+  }
+
+  /**
+   * Warn once a day per quota when little of its limit is left
+   * Category quotas offer to block the site in use, since the whole category may be large
+   */
+  async checkQuotas(status, liveDomain = null) {
+    try {
+      const thresholdMs = this.settings.quotaWarningMinutes * 60000;
+      const today = this.storageManager.formatDateKey();
+
+      for (const quota of status) {
+        if (quota.exhausted || quota.used === 0 || quota.remaining > thresholdMs) continue;
+
+        const domain = quota.type === 'domain' ? quota.target : (quota.live ? liveDomain : null);
+        const actions = domain ? [{ title: 'Block for rest of day', type: 'block-today', domain }] : [];
+        actions.push({ title: 'Start focus', type: 'start-focus' });
+
+        await this.notify('quotaWarning', `quota:${quota.id}:${today}`, {
+          title: '⏳ Daily limit almost reached',
+          message: `${this.storageManager.formatTime(quota.remaining)} left of your ${this.storageManager.formatTime(quota.limit)} daily limit for ${quota.label}.`,
+          actions
+        });
+      }
+    } catch (error) {
+      console.error('Error checking quota notifications:', error);
+    }
+  }
+
+  /**
+   * Announce each goal once per period when it is met for good
+   * Only totals that can only grow qualify: a limit or an average can still slip before the period ends
+   */
+  async checkGoals(status) {
+    try {
+      const periodNames = { daily: 'days', weekly: 'weeks', monthly: 'months' };
+
+      for (const goal of status) {
+        if (!['category-min', 'focus-sessions'].includes(goal.type) || !goal.met || !goal.settled) continue;
+
+        await this.notify('goalAchieved', `goal:${goal.id}:${goal.periodKey}`, {
+          title: '🎯 Goal achieved',
+          message: goal.streak > 1
+            ? `${goal.title} - ${goal.streak} ${periodNames[goal.period]} in a row!`
+            : goal.title
+        });
+      }
+    } catch (error) {
+      console.error('Error checking goal notifications:', error);
+    }
+  }
+
+  /**
+   * Sum up a focus session that just ended
+   */
+  async focusSessionEnded(record, completed) {
+    try {
+      if (!record) return;
+
+      const blocked = record.blockedAttempts > 0
+        ? ` and held off ${record.blockedAttempts} blocked ${record.blockedAttempts === 1 ? 'visit' : 'visits'}`
+        : '';
+      // Pomodoro breaks end sessions on their own schedule, so offering a new one would cut the break short
+      const actions = record.source === 'pomodoro' ? [] : [{ title: 'Start focus', type: 'start-focus' }];
+
+      await this.notify('focusSessionEnded', `focus:${record.id}`, {
+        title: completed ? '🧘 Focus session complete' : '🧘 Focus session ended',
+        message: `You focused for ${this.storageManager.formatTime(record.actualDuration)}${blocked}.`,
+        actions
+      });
+    } catch (error) {
+      console.error('Error sending focus session notification:', error);
+    }
   }
 
   /**
-   * Save state to storage
+   * Track unbroken time on negatively weighted categories and nudge once per stretch
+   * liveVisit is null while nothing is tracked or the session is paused, which ends the stretch
    */
-  async saveState() {
+  async checkDistraction(liveVisit, now = Date.now()) {
     try {
-      await chrome.storage.local.set({
-        focusMode: this.focusMode,
-        blockedSites: Array.from(this.blockedSites),
-        focusStartTime: this.focusStartTime,
-        blockedAttempts: this.blockedAttempts
+      const category = liveVisit
+        ? this.storageManager.getSiteCategory(liveVisit.domain, liveVisit.url, liveVisit.title)
+        : null;
+      const distracting = Boolean(category) && this.storageManager.getCategoryWeight(category) < 0;
+
+      if (!distracting) {
+        if (this.state.distractionSince) {
+          this.state.distractionSince = null;
+          await chrome.storage.local.set({ notificationState: this.state });
+        }
+        return;
+      }
+
+      if (!this.state.distractionSince) {
+        this.state.distractionSince = liveVisit.startTime;
+        await chrome.storage.local.set({ notificationState: this.state });
+      }
+
+      const elapsed = now - this.state.distractionSince;
+      if (elapsed < this.settings.distractionMinutes * 60000) return;
+
+      await this.notify('distractionStreak', `distraction:${this.state.distractionSince}`, {
+        title: '⏰ Time for a break?',
+        message: `You've spent ${this.storageManager.formatTime(elapsed)} on distracting sites without a break. Right now: ${liveVisit.domain} (${this.storageManager.getCategoryName(category)}).`,
+        actions: [
+          { title: 'Block for rest of day', type: 'block-today', domain: liveVisit.domain },
+          { title: 'Start focus', type: 'start-focus' }
+        ]
       });
     } catch (error) {
-      console.error('Error saving blocking state:', error);
+      console.error('Error checking distraction notifications:', error);
     }
   }
 
   /**
-   * Get debug information for troubleshooting
+   * Arm the daily alarm for the end-of-day summary
    */
-  getDebugInfo(domain) {
-    const debugInfo = {
-      domain,
-      focusMode: this.focusMode,
-      blockedSites: Array.from(this.blockedSites),
-      blockedSitesCount: this.blockedSites.size,
-      temporaryOverrides: Object.fromEntries(this.temporaryOverrides),
-      shouldBeBlocked: this.shouldBlockDomain(domain),
-      focusStartTime: this.focusStartTime,
-      blockedAttempts: this.blockedAttempts
-    };
-    
-    console.log('🐛 Debug Info for', domain, ':', debugInfo);
-    return debugInfo;
+  async scheduleSummary() {
+    if (!this.settings.enabled || !this.settings.dailySummary) {
+      await chrome.alarms.clear(this.summaryAlarmName);
+      return;
+    }
+
+    const minutes = this.blockingManager.parseTimeOfDay(this.settings.summaryTime);
+    const next = new Date();
+    next.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+    if (next.getTime() <= Date.now()) {
+      next.setDate(next.getDate() + 1);
+    }
+    await chrome.alarms.create(this.summaryAlarmName, { when: next.getTime(), periodInMinutes: 24 * 60 });
   }
 
   /**
-   * Reset blocking manager to clean state - useful for debugging
+   * End-of-day summary (alarm): time tracked, score, focus sessions and the top site
    */
-  async resetBlockingState() {
+  async sendDailySummary() {
     try {
-      console.log('🧹 Resetting blocking state...');
-      
-      // Clear all blocking rules
-      await this.clearBlockingRules();
-      
-      // Reset internal state
-      this.focusMode = false;
-      this.blockedSites.clear();
-      this.temporaryOverrides.clear();
-      this.focusStartTime = null;
-      this.blockedAttempts = 0;
-      
-      // Clear storage
-      await chrome.storage.local.remove(['focusMode', 'blockedSites', 'focusStartTime', 'blockedAttempts']);
-      
-      // Save clean state
-      await this.saveState();
-      
-      console.log('✅ Blocking state reset successfully');
-      return { success: true, message: 'Blocking state reset' };
+      const today = await this.storageManager.getTodayStats();
+      if (!today.totalTime) return;
+
+      const [topDomain, topSite] = Object.entries(today.sites || {})
+        .sort(([, a], [, b]) => (b.timeSpent || 0) - (a.timeSpent || 0))[0] || [];
+      const sessions = today.completedFocusSessions || 0;
+      const parts = [
+        `${this.storageManager.formatTime(today.totalTime)} tracked`,
+        `score ${today.productivityScore || 0}`
+      ];
+      if (sessions > 0) {
+        parts.push(`${sessions} focus ${sessions === 1 ? 'session' : 'sessions'}`);
+      }
+
+      await this.notify('dailySummary', `summary:${this.storageManager.formatDateKey()}`, {
+        title: '📊 Your day in focus',
+        message: topDomain
+          ? `${parts.join(' · ')}\nTop site: ${topDomain} (${this.storageManager.formatTime(topSite.timeSpent || 0)})`
+          : parts.join(' · ')
+      });
     } catch (error) {
-      console.error('❌ Error resetting blocking state:', error);
-      return { success: false, error: error.message };
+      console.error('Error sending daily summary:', error);
     }
   }
 
   /**
-   * Get all blocked sites
+   * Run the action behind a notification button
    */
-  getBlockedSites() {
-    return Array.from(this.blockedSites);
+  async handleButtonClicked(notificationId, buttonIndex) {
+    const action = this.state.actions[notificationId]?.[buttonIndex];
+    await this.dismiss(notificationId);
+
+    if (action) {
+      try {
+        await this.runAction(action);
+      } catch (error) {
+        console.error('Error running notification action:', action.type, error);
+      }
+    }
+  }
+
+  /**
+   * Close a notification and forget its buttons
+   */
+  async dismiss(notificationId) {
+    await this.forgetActions(notificationId);
+    await chrome.notifications.clear(notificationId);
+  }
+
+  async forgetActions(notificationId) {
+    if (!this.state.actions[notificationId]) return;
+
+    delete this.state.actions[notificationId];
+    await chrome.storage.local.set({ notificationState: this.state });
   }
 }
 
@@ -1027,22 +2682,43 @@ class FocusTimeTracker {
     this.stateManager = null;
     this.storageManager = null;
     this.blockingManager = null; // Add blocking manager
+    this.quotaManager = null; // Daily per-site and per-category budgets
+    this.pomodoroManager = null; // Work/break intervals driving focus mode
+    this.focusSessionManager = null; // History of finished focus sessions
+    this.goalManager = null; // User goals measured from tracked stats
+    this.notificationManager = null; // Usage and goal notifications
     this.currentSession = {
       tabId: null,
       domain: null,
+      url: null,
       startTime: null,
       savedTime: 0,
       isActive: false
     };
-    this.saveInterval = null;
+    this.currentVisit = null; // Raw visit being recorded for the session log
+    this.checkpointAlarmName = 'session-checkpoint'; // Saves the live session every 30 seconds
+    this.cleanupAlarmName = 'daily-cleanup'; // Compacts history past the retention window
+    this.checkpointStaleAfter = 120000; // A longer gap since the last checkpoint means the browser was closed or asleep
+    this.checkpointDelay = 5000; // While there is something to save, the checkpoint is never older than this
+    this.checkpointTimer = null;
+    // Answered only for the popup, options and other extension pages; never for web pages, directly or through content.js
+    this.extensionPageMessages = new Set([
+      'GET_SESSION_EVENTS', 'EXPORT_DATA', 'STOP_TRACKING_SITE', 'SET_PAGE_TRACKING_EXCLUDED', 'COMPACT_STORAGE',
+      'UPDATE_SETTINGS', 'PREVIEW_IMPORT', 'IMPORT_DATA'
+    ]);
     
     // Enhanced activity management
     this.isSessionPaused = false;
     this.pausedAt = null;
     this.totalPausedTime = 0;
-    this.inactivityThreshold = 300000; // 5 minutes
+    this.inactivityThreshold = 300000; // 5 minutes, follows the idleDetectionSeconds setting
     this.lastActivityTime = Date.now();
     this.autoManagementEnabled = true;
+    this.idleState = 'active'; // Last chrome.idle state: 'active', 'idle' or 'locked'
+    this.pageInactive = false; // The content script reported no input for longer than the threshold
+    this.mediaTabs = new Set(); // Tabs whose content script reports unmuted playing media
+    this.audibleTabs = new Set(); // Tabs Chrome marks as audible (covers frames content scripts miss)
+    this.passiveMedia = null; // { domain, since } media watched without input on a 'passive' category
     
     // Focus state tracking
     this.latestFocusState = false;
@@ -1051,7 +2727,11 @@ class FocusTimeTracker {
     this.currentUserId = null;
     this.userInfo = null;
     
-    this.initialize();
+    this.ready = this.initialize();
+
+    // Listeners are registered synchronously so events that wake the worker are not missed;
+    // each one waits for initialization before it touches any state
+    this.setupEventListeners();
   }
 
   /**
@@ -1065,13 +2745,36 @@ class FocusTimeTracker {
       this.stateManager = new StateManager();
       this.storageManager = new StorageManager();
       await this.storageManager.initialize(); // Initialize storage manager
-      this.blockingManager = new BlockingManager(); // Initialize blocking manager
-      
-      // Set up event listeners
-      this.setupEventListeners();
+      this.applyIdleSettings(await this.storageManager.getSettings());
+      this.blockingManager = new BlockingManager(this.storageManager); // Initialize blocking manager
+      this.focusSessionManager = new FocusSessionManager(this.storageManager, () => this.isSessionPaused ? null : this.currentVisit);
+      this.blockingManager.onFocusSessionEnd = async (session) => {
+        const record = await this.focusSessionManager.recordSession(session);
+        await this.notificationManager?.focusSessionEnded(record, this.focusSessionManager.isCompleted(record));
+      };
+      this.quotaManager = new QuotaManager(this.storageManager, this.blockingManager, () => this.getLiveSession());
+      await this.blockingManager.ready; // Quota rules are added on top of the restored blocking rules
+      await this.quotaManager.initialize();
+      this.pomodoroManager = new PomodoroManager(this.blockingManager, (focusMode) => this.notifyFocusModeChange(focusMode));
+      await this.pomodoroManager.initialize();
+      this.goalManager = new GoalManager(this.storageManager);
+      await this.goalManager.initialize();
+      this.storageManager.onStatsChanged = () => this.refreshGoals();
+      this.notificationManager = new NotificationManager(this.storageManager, this.blockingManager, (action) => this.runNotificationAction(action));
+      await this.notificationManager.initialize();
+
+      // Periodic work runs on alarms so it survives service worker suspension
+      await this.scheduleAlarms();
       
-      // Start tracking current tab
-      await this.startTrackingCurrentTab();
+      // Pick up the session that was live before the worker stopped, otherwise start tracking the current tab
+      const resumed = await this.restoreSessionState();
+      if (!resumed) {
+        await this.startTrackingCurrentTab();
+      }
+
+      // The machine may have gone idle or locked while the worker was stopped
+      const idleState = await chrome.idle.queryState(this.inactivityThreshold / 1000);
+      await this.handleIdleStateChanged(idleState);
       
       console.log('✅ Focus Time Tracker initialized successfully');
     } catch (error) {
@@ -1083,50 +2786,160 @@ class FocusTimeTracker {
    * Set up Chrome extension event listeners
    */
   setupEventListeners() {
+    // Installs and updates can change the storage schema; startup migrations run in initialize()
+    chrome.runtime.onInstalled.addListener(async (details) => {
+      await this.ready;
+      console.log(`📦 Extension ${details.reason}, checking storage schema`);
+      await this.storageManager.runMigrations();
+    });
+
+    // Last chance to write recorded time before the worker is unloaded
+    chrome.runtime.onSuspend.addListener(async () => {
+      await this.ready;
+      await this.persistSessionState();
+      await this.flushTrackedTime();
+    });
+
     // Tab events
-    chrome.tabs.onActivated.addListener((activeInfo) => {
+    chrome.tabs.onActivated.addListener(async (activeInfo) => {
+      await this.ready;
       this.handleTabActivated(activeInfo);
     });
 
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+      await this.ready;
       this.handleTabUpdated(tabId, changeInfo, tab);
     });
 
-    chrome.tabs.onRemoved.addListener((tabId) => {
+    chrome.tabs.onRemoved.addListener(async (tabId) => {
+      await this.ready;
       this.handleTabRemoved(tabId);
     });
 
     // Window events
-    chrome.windows.onFocusChanged.addListener((windowId) => {
+    chrome.windows.onFocusChanged.addListener(async (windowId) => {
+      await this.ready;
       this.handleWindowFocusChanged(windowId);
     });
 
     // Navigation events for URL caching
-    chrome.webNavigation.onBeforeNavigate.addListener((details) => {
+    chrome.webNavigation.onBeforeNavigate.addListener(async (details) => {
       if (details.frameId === 0) { // Main frame only
+        await this.ready;
         this.blockingManager.cacheUrl(details.tabId, details.url);
       }
     });
 
+    // System idle and screen lock
+    chrome.idle.onStateChanged.addListener(async (state) => {
+      await this.ready;
+      this.handleIdleStateChanged(state);
+    });
+
+    // Alarms (schedule boundaries, session checkpoints, override expiry, cleanup)
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      await this.ready;
+      this.handleAlarm(alarm);
+    });
+
+    // Notification buttons and clicks
+    chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+      await this.ready;
+      this.notificationManager.handleButtonClicked(notificationId, buttonIndex);
+    });
+
+    chrome.notifications.onClicked.addListener(async (notificationId) => {
+      await this.ready;
+      this.notificationManager.dismiss(notificationId);
+    });
+
+    chrome.notifications.onClosed.addListener(async (notificationId) => {
+      await this.ready;
+      this.notificationManager.forgetActions(notificationId);
+    });
+
     // Message handling from popup and content scripts
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      this.handleMessage(message, sender, sendResponse);
+      this.ready.then(() => this.handleMessage(message, sender, sendResponse));
       return true; // Keep message channel open for async responses
     });
 
     // External message handling from web apps (externally_connectable domains)
     chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
       console.log('📨 External message received from:', sender.origin);
-      this.handleMessage(message, sender, sendResponse);
+      this.ready.then(() => this.handleMessage(message, sender, sendResponse, true));
       return true; // Keep message channel open for async responses
     });
+  }
 
-    // Set up periodic save every 30 seconds
-    this.saveInterval = setInterval(() => {
-      if (this.currentSession.isActive) {
-        this.saveCurrentSession();
+  /**
+   * Create the periodic alarms unless they already exist
+   * Re-creating a periodic alarm would restart its period on every worker wake-up
+   */
+  async scheduleAlarms() {
+    if (!(await chrome.alarms.get(this.checkpointAlarmName))) {
+      await chrome.alarms.create(this.checkpointAlarmName, { periodInMinutes: 0.5 });
+    }
+    if (!(await chrome.alarms.get(this.cleanupAlarmName))) {
+      await chrome.alarms.create(this.cleanupAlarmName, { delayInMinutes: 60, periodInMinutes: 24 * 60 });
+    }
+  }
+
+  /**
+   * Handle chrome.alarms events
+   */
+  async handleAlarm(alarm) {
+    try {
+      if (alarm.name === this.checkpointAlarmName) {
+        await this.checkpointSession();
+      } else if (alarm.name === this.blockingManager.overrideAlarmName) {
+        await this.blockingManager.expireOverrides();
+      } else if (alarm.name === this.cleanupAlarmName) {
+        await this.storageManager.compactHistory();
+        const { focusSessions = [] } = await chrome.storage.local.get(['focusSessions']);
+        await chrome.storage.local.set({ focusSessions: await this.focusSessionManager.pruneSessions(focusSessions) });
+        await this.goalManager.evaluate();
+      } else if (alarm.name === this.pomodoroManager.phaseAlarmName) {
+        await this.pomodoroManager.completePhase();
+      } else if (alarm.name === this.quotaManager.rolloverAlarmName) {
+        await this.quotaManager.evaluate();
+      } else if (alarm.name === this.notificationManager.summaryAlarmName) {
+        await this.notificationManager.sendDailySummary();
+      } else if (alarm.name === this.blockingManager.scheduleAlarmName) {
+        await this.blockingManager.ready;
+        const changed = await this.blockingManager.applySchedule();
+        if (changed) {
+          await this.notifyFocusModeChange(this.blockingManager.focusMode);
+        }
+      }
+    } catch (error) {
+      console.error('Error handling alarm:', alarm.name, error);
+    }
+  }
+
+  /**
+   * Carry out a notification button: block a site until tomorrow or start focus mode
+   */
+  async runNotificationAction(action) {
+    if (action.type === 'block-today') {
+      await this.quotaManager.blockForToday(action.domain);
+    } else if (action.type === 'start-focus' && !this.blockingManager.focusMode) {
+      const result = await this.blockingManager.setManualFocusMode(true);
+      if (result.success) {
+        await this.notifyFocusModeChange(true);
       }
-    }, 30000); // Save every 30 seconds for more frequent updates
+    }
+  }
+
+  /**
+   * Propagate a focus mode switch that did not come from a toggle message
+   */
+  async notifyFocusModeChange(focusMode) {
+    await this.stateManager.dispatch({
+      type: 'FOCUS_MODE_CHANGED',
+      payload: { focusMode }
+    });
+    this.broadcastFocusStateChange(focusMode);
   }
 
   /**
@@ -1135,9 +2948,11 @@ class FocusTimeTracker {
   async handleTabActivated(activeInfo) {
     try {
       console.log('🔄 Tab activated:', activeInfo.tabId);
+      // Switching tabs is input, so an earlier page's inactivity report no longer holds
+      this.pageInactive = false;
       
       // Stop tracking current tab
-      await this.stopCurrentTracking();
+      await this.stopCurrentTracking('tab_switch');
       
       // Get new tab info
       const tab = await chrome.tabs.get(activeInfo.tabId);
@@ -1160,6 +2975,29 @@ class FocusTimeTracker {
         console.log('📝 Tab updated:', { tabId, status: changeInfo.status, url: tab.url });
       }
       
+      if ('audible' in changeInfo) {
+        await this.setTabMedia(tabId, this.audibleTabs, changeInfo.audible);
+      }
+
+      // Same-domain navigation (including in-page routing) moves time to the new page
+      if (changeInfo.url && this.currentSession.isActive && this.currentSession.tabId === tabId &&
+          changeInfo.url !== this.currentSession.url &&
+          this.extractDomain(changeInfo.url) === this.currentSession.domain) {
+        if (this.storageManager.isTrackingExcluded(changeInfo.url)) {
+          await this.stopCurrentTracking('excluded');
+        } else {
+          await this.switchPage(changeInfo.url, changeInfo.title || null);
+        }
+      }
+
+      // Titles usually arrive after tracking started; category title rules need them
+      if (changeInfo.title && this.currentSession.tabId === tabId && this.currentSession.url === tab.url) {
+        this.currentSession.title = changeInfo.title;
+        if (this.currentVisit && this.currentVisit.url === tab.url) {
+          this.currentVisit.title = changeInfo.title;
+        }
+      }
+
       // Only track when tab is complete and is the active tab
       if (changeInfo.status === 'complete' && tab.active && tab.url) {
         const domain = this.extractDomain(tab.url);
@@ -1167,8 +3005,14 @@ class FocusTimeTracker {
         // If domain changed, restart tracking
         if (this.currentSession.tabId === tabId && this.currentSession.domain !== domain) {
           console.log('🔄 Domain changed, restarting tracking');
-          await this.stopCurrentTracking();
+          await this.stopCurrentTracking('navigation');
           await this.startTracking(tab);
+        } else if (!this.currentSession.tabId) {
+          // Nothing tracked (e.g. the tab was on an excluded site): pick it up once it can be
+          const [focusedTab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+          if (focusedTab?.id === tabId) {
+            await this.startTracking(tab);
+          }
         }
       }
     } catch (error) {
@@ -1182,10 +3026,12 @@ class FocusTimeTracker {
   async handleTabRemoved(tabId) {
     try {
       if (this.currentSession.tabId === tabId) {
-        await this.stopCurrentTracking();
+        await this.stopCurrentTracking('tab_closed');
       }
-      // Clean up cached URL
+      // Clean up cached URL and playback state
       this.blockingManager.urlCache.delete(tabId);
+      this.mediaTabs.delete(tabId);
+      this.audibleTabs.delete(tabId);
     } catch (error) {
       console.error('Error handling tab removal:', error);
     }
@@ -1211,13 +3057,39 @@ class FocusTimeTracker {
     }
   }
 
+  /**
+   * Whether a message comes from one of the extension's own pages
+   * Content scripts share the extension id but relay messages from the web page they run in
+   */
+  isExtensionPage(sender, isExternal) {
+    return !isExternal && sender?.id === chrome.runtime.id && (sender.url || '').startsWith(chrome.runtime.getURL(''));
+  }
+
+  /**
+   * Day stats without the per-page paths and titles, for senders that are not extension pages
+   */
+  withoutPages(allStats) {
+    return Object.fromEntries(Object.entries(allStats).map(([date, dayStats]) => [date, {
+      ...dayStats,
+      sites: Object.fromEntries(Object.entries(dayStats.sites || {}).map(([domain, { pages, ...site }]) => [domain, site]))
+    }]));
+  }
+
   /**
    * Handle messages from other extension components
+   * isExternal is set for messages from externally connectable web pages
    */
-  async handleMessage(message, sender, sendResponse) {
+  async handleMessage(message, sender, sendResponse, isExternal = false) {
     try {
       console.log('📨 Message received:', message.type);
 
+      const fromExtensionPage = this.isExtensionPage(sender, isExternal);
+      if (this.extensionPageMessages.has(message.type) && !fromExtensionPage) {
+        console.warn(`🚫 Refused ${message.type} from ${sender?.origin || sender?.url || 'an unknown sender'}`);
+        sendResponse({ success: false, error: `${message.type} is only available to the extension's own pages` });
+        return;
+      }
+
       switch (message.type) {
         case 'GET_CURRENT_STATE':
           const currentState = await this.getCurrentState();
@@ -1230,14 +3102,14 @@ class FocusTimeTracker {
 
         case 'GET_TODAY_STATS':
           const stats = await this.storageManager.getTodayStats();
-          sendResponse({ success: true, data: stats });
+          sendResponse({ success: true, data: fromExtensionPage ? stats : this.withoutPages({ today: stats }).today });
           break;
 
         case 'GET_TIME_DATA_RANGE':
           try {
             const { startDate, endDate } = message.payload;
             const timeData = await this.storageManager.getTimeData(startDate, endDate);
-            sendResponse({ success: true, data: timeData });
+            sendResponse({ success: true, data: fromExtensionPage ? timeData : this.withoutPages(timeData) });
           } catch (error) {
             console.error('Error getting time data range:', error);
             sendResponse({ success: false, error: error.message });
@@ -1249,14 +3121,127 @@ class FocusTimeTracker {
           sendResponse({ success: true, data: settings });
           break;
 
+        case 'GET_SESSION_EVENTS':
+          try {
+            const startTime = message.payload?.startTime ?? Date.now() - 24 * 60 * 60 * 1000;
+            const endTime = message.payload?.endTime ?? Date.now();
+            const events = await this.storageManager.getSessionEvents(
+              startTime,
+              endTime,
+              message.payload?.domain || null
+            );
+            sendResponse({ success: true, data: events });
+          } catch (error) {
+            console.error('Error getting session events:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GET_HOURLY_BREAKDOWN':
+          try {
+            const breakdownStart = message.payload?.startDate || this.storageManager.formatDateKey();
+            const hourlyBreakdown = await this.storageManager.getHourlyBreakdown(
+              breakdownStart,
+              message.payload?.endDate || breakdownStart,
+              message.payload?.domain || null
+            );
+            sendResponse({ success: true, data: hourlyBreakdown });
+          } catch (error) {
+            console.error('Error getting hourly breakdown:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'UPDATE_SETTINGS':
+          try {
+            const updatedSettings = await this.storageManager.updateSettings(message.payload || {});
+            this.applyIdleSettings(updatedSettings);
+            await this.enforceTrackingPrivacy();
+            sendResponse({ success: true, data: updatedSettings });
+          } catch (error) {
+            console.error('Error updating settings:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'STOP_TRACKING_SITE':
+          const stopTrackingResult = await this.stopTrackingSite(message.payload?.domain);
+          sendResponse(stopTrackingResult);
+          break;
+
+        case 'SET_PAGE_TRACKING_EXCLUDED':
+          try {
+            const pageSettings = await this.storageManager.setPageTrackingExcluded(
+              message.payload?.domain,
+              Boolean(message.payload?.excluded)
+            );
+            sendResponse({ success: true, data: pageSettings });
+          } catch (error) {
+            console.error('Error updating page tracking exclusions:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
         case 'GET_TOP_SITES':
           const topSites = await this.storageManager.getTopSites(message.payload?.limit || 5);
           sendResponse({ success: true, data: topSites });
           break;
 
         case 'EXPORT_DATA':
-          const exportResult = await this.exportData(message.payload?.format || 'json');
-          sendResponse(exportResult);
+          try {
+            const exportResult = await this.storageManager.exportData(message.payload?.format || 'json');
+            sendResponse({ success: true, data: exportResult });
+          } catch (error) {
+            console.error('Error exporting data:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'PREVIEW_IMPORT':
+          try {
+            const { text, strategy, includeSettings } = message.payload || {};
+            const preview = await this.storageManager.previewImport(text, strategy, Boolean(includeSettings));
+            sendResponse({ success: true, data: preview });
+          } catch (error) {
+            console.error('Error previewing import:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'IMPORT_DATA':
+          try {
+            const { text, strategy, includeSettings } = message.payload || {};
+            const importSummary = await this.storageManager.importData(text, strategy, Boolean(includeSettings));
+            if (importSummary.settings.length > 0) {
+              this.applyIdleSettings(await this.storageManager.getSettings());
+              await this.enforceTrackingPrivacy();
+            }
+            sendResponse({ success: true, data: importSummary });
+          } catch (error) {
+            console.error('Error importing data:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'GET_STORAGE_USAGE':
+          try {
+            const usage = await this.storageManager.getStorageUsage();
+            sendResponse({ success: true, data: usage });
+          } catch (error) {
+            console.error('Error reading storage usage:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'COMPACT_STORAGE':
+          try {
+            const compactResult = await this.storageManager.compactHistory();
+            const usage = await this.storageManager.getStorageUsage();
+            sendResponse({ success: true, data: { ...compactResult, usage } });
+          } catch (error) {
+            console.error('Error compacting storage:', error);
+            sendResponse({ success: false, error: error.message });
+          }
           break;
 
         case 'ACTIVITY_DETECTED':
@@ -1265,7 +3250,7 @@ class FocusTimeTracker {
           break;
 
         case 'ENHANCED_ACTIVITY_DETECTED':
-          await this.handleEnhancedActivityDetected(message.payload);
+          await this.handleEnhancedActivityDetected(message.payload, sender.tab?.id);
           sendResponse({ success: true });
           break;
 
@@ -1287,6 +3272,10 @@ class FocusTimeTracker {
 
         // Blocking system messages
         case 'TOGGLE_FOCUS_MODE':
+          // The popup toggle may pick denylist or allowlist mode along with the switch
+          if (message.payload?.blockingMode) {
+            await this.blockingManager.setBlockingMode(message.payload.blockingMode);
+          }
           const toggleResult = await this.blockingManager.toggleFocusMode();
           await this.stateManager.dispatch({
             type: 'FOCUS_MODE_CHANGED',
@@ -1369,17 +3358,162 @@ class FocusTimeTracker {
           }
           break;
 
-        case 'GET_BLOCKED_SITES':
-          const blockedSites = Array.from(this.blockingManager.blockedSites);
-          sendResponse({ success: true, data: blockedSites });
+        case 'GET_BLOCKED_SITES':
+          const blockedSites = Array.from(this.blockingManager.blockedSites);
+          sendResponse({ success: true, data: blockedSites });
+          break;
+
+        case 'OVERRIDE_BLOCK':
+          const overrideResult = await this.blockingManager.setTemporaryOverride(
+            message.payload?.domain, 
+            message.payload?.duration,
+            message.payload?.reason
+          );
+          sendResponse(overrideResult);
+          break;
+
+        case 'GET_OVERRIDE_POLICY':
+          try {
+            const overrideDomain = message.payload?.domain
+              ? message.payload.domain.replace(/^www\./, '')
+              : null;
+            sendResponse({
+              success: true,
+              data: {
+                policy: this.blockingManager.overridePolicy,
+                status: this.blockingManager.getOverrideStatus(overrideDomain)
+              }
+            });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'SAVE_OVERRIDE_POLICY':
+          const policyResult = await this.blockingManager.saveOverridePolicy(message.payload?.policy || {});
+          sendResponse(policyResult);
+          break;
+
+        case 'GET_OVERRIDE_LOG':
+          sendResponse({ success: true, data: [...this.blockingManager.overrideLog].reverse() });
+          break;
+
+        case 'CLEAR_OVERRIDE_LOG':
+          const clearLogResult = await this.blockingManager.clearOverrideLog();
+          sendResponse(clearLogResult);
+          break;
+
+        case 'SET_BLOCKING_MODE':
+          const modeResult = await this.blockingManager.setBlockingMode(message.payload?.mode);
+          sendResponse(modeResult);
+          break;
+
+        case 'GET_ALLOWED_SITES':
+          sendResponse({ success: true, data: Array.from(this.blockingManager.allowedSites) });
+          break;
+
+        case 'ADD_ALLOWED_SITE':
+          const addAllowedResult = await this.blockingManager.addAllowedSite(message.payload?.domain);
+          sendResponse(addAllowedResult);
+          break;
+
+        case 'REMOVE_ALLOWED_SITE':
+          const removeAllowedResult = await this.blockingManager.removeAllowedSite(message.payload?.domain);
+          sendResponse(removeAllowedResult);
+          break;
+
+        case 'GET_QUOTAS':
+          try {
+            const quotaStatus = await this.quotaManager.evaluate();
+            sendResponse({ success: true, data: quotaStatus });
+          } catch (error) {
+            console.error('Error getting quotas:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'SAVE_QUOTA':
+          const saveQuotaResult = await this.quotaManager.saveQuota(message.payload?.quota);
+          sendResponse(saveQuotaResult);
+          break;
+
+        case 'DELETE_QUOTA':
+          const deleteQuotaResult = await this.quotaManager.deleteQuota(message.payload?.quotaId);
+          sendResponse(deleteQuotaResult);
+          break;
+
+        case 'GET_FOCUS_SESSIONS':
+          try {
+            const focusSessions = await this.focusSessionManager.getSessions(
+              message.payload?.startTime || 0,
+              message.payload?.endTime || Date.now(),
+              this.blockingManager.currentFocusSession
+            );
+            sendResponse({ success: true, data: focusSessions });
+          } catch (error) {
+            console.error('Error getting focus sessions:', error);
+            sendResponse({ success: false, error: error.message });
+          }
+          break;
+
+        case 'START_POMODORO':
+          const startPomodoroResult = await this.pomodoroManager.start();
+          sendResponse(startPomodoroResult);
+          break;
+
+        case 'PAUSE_POMODORO':
+          const pausePomodoroResult = await this.pomodoroManager.pause();
+          sendResponse(pausePomodoroResult);
+          break;
+
+        case 'SKIP_PHASE':
+          const skipPhaseResult = await this.pomodoroManager.skipPhase();
+          sendResponse(skipPhaseResult);
+          break;
+
+        case 'STOP_POMODORO':
+          const stopPomodoroResult = await this.pomodoroManager.stop();
+          sendResponse(stopPomodoroResult);
           break;
 
-        case 'OVERRIDE_BLOCK':
-          const overrideResult = await this.blockingManager.setTemporaryOverride(
-            message.payload?.domain, 
-            message.payload?.duration
-          );
-          sendResponse(overrideResult);
+        case 'GET_POMODORO_STATE':
+          sendResponse({ success: true, data: this.pomodoroManager.getState() });
+          break;
+
+        case 'SAVE_POMODORO_SETTINGS':
+          const pomodoroSettingsResult = await this.pomodoroManager.saveSettings(message.payload?.settings || {});
+          sendResponse(pomodoroSettingsResult);
+          break;
+
+        case 'GET_NOTIFICATION_SETTINGS':
+          sendResponse({ success: true, data: { settings: this.notificationManager.settings } });
+          break;
+
+        case 'SAVE_NOTIFICATION_SETTINGS':
+          const notificationSettingsResult = await this.notificationManager.saveSettings(message.payload?.settings || {});
+          sendResponse(notificationSettingsResult);
+          break;
+
+        case 'GET_SCHEDULES':
+          sendResponse({ success: true, data: this.blockingManager.getSchedules() });
+          break;
+
+        case 'SAVE_SCHEDULE':
+        case 'DELETE_SCHEDULE':
+          try {
+            const wasFocusMode = this.blockingManager.focusMode;
+            const scheduleResult = message.type === 'SAVE_SCHEDULE'
+              ? await this.blockingManager.saveSchedule(message.payload?.schedule)
+              : await this.blockingManager.deleteSchedule(message.payload?.scheduleId);
+
+            if (this.blockingManager.focusMode !== wasFocusMode) {
+              await this.notifyFocusModeChange(this.blockingManager.focusMode);
+            }
+            sendResponse({ ...scheduleResult, schedules: this.blockingManager.getSchedules() });
+          } catch (error) {
+            console.error('Error updating schedules:', error);
+            sendResponse({ success: false, error: error.message });
+          }
           break;
 
         case 'GET_FOCUS_STATS':
@@ -1462,7 +3596,10 @@ class FocusTimeTracker {
           break;
 
         case 'GET_DEBUG_INFO':
-          const debugInfo = this.blockingManager.getDebugInfo(message.payload?.domain);
+          const debugInfo = this.blockingManager.getDebugInfo(
+            message.payload?.domain,
+            message.payload?.originalUrl
+          );
           sendResponse({ success: true, data: debugInfo });
           break;
 
@@ -1499,7 +3636,11 @@ class FocusTimeTracker {
         case 'GET_ANALYTICS_DATA':
           try {
             const period = message.payload?.period || 'week';
-            const analyticsData = await this.storageManager.getAnalyticsData(period);
+            const analyticsData = await this.storageManager.getAnalyticsData(
+              period,
+              message.payload?.startDate,
+              message.payload?.endDate
+            );
             sendResponse({ success: true, data: analyticsData });
           } catch (error) {
             console.error('Error getting analytics data:', error);
@@ -1509,7 +3650,7 @@ class FocusTimeTracker {
 
         case 'GET_PRODUCTIVITY_GOALS':
           try {
-            const goals = await this.storageManager.getProductivityGoals();
+            const goals = await this.goalManager.evaluate();
             sendResponse({ success: true, data: goals });
           } catch (error) {
             console.error('Error getting productivity goals:', error);
@@ -1517,25 +3658,46 @@ class FocusTimeTracker {
           }
           break;
 
-        case 'UPDATE_GOAL_PROGRESS':
+        case 'SAVE_GOAL':
+          const saveGoalResult = await this.goalManager.saveGoal(message.payload?.goal);
+          sendResponse(saveGoalResult);
+          break;
+
+        case 'DELETE_GOAL':
+          const deleteGoalResult = await this.goalManager.deleteGoal(message.payload?.goalId);
+          sendResponse(deleteGoalResult);
+          break;
+
+        case 'GET_SCORE_MODEL':
           try {
-            const updateResult = await this.storageManager.updateGoalProgress(
-              message.payload?.goalId,
-              message.payload?.progress
-            );
-            sendResponse(updateResult);
+            const todayStats = await this.storageManager.getTodayStats();
+            sendResponse({
+              success: true,
+              data: {
+                model: this.storageManager.scoreModel,
+                today: this.storageManager.calculateProductivityScore(todayStats)
+              }
+            });
           } catch (error) {
-            console.error('Error updating goal progress:', error);
+            console.error('Error getting score model:', error);
             sendResponse({ success: false, error: error.message });
           }
           break;
 
+        case 'SAVE_SCORE_MODEL':
+          const scoreModelResult = await this.storageManager.saveScoreModel(message.payload?.model);
+          sendResponse(scoreModelResult);
+          break;
+
         case 'UPDATE_SITE_CATEGORY':
           try {
             const categoryResult = await this.storageManager.updateSiteCategory(
               message.payload?.domain,
               message.payload?.category
             );
+            if (categoryResult.success) {
+              this.refreshQuotas();
+            }
             sendResponse(categoryResult);
           } catch (error) {
             console.error('Error updating site category:', error);
@@ -1545,7 +3707,11 @@ class FocusTimeTracker {
 
         case 'GET_SITE_CATEGORY':
           try {
-            const category = this.storageManager.getSiteCategory(message.payload?.domain);
+            const category = this.storageManager.getSiteCategory(
+              message.payload?.domain,
+              message.payload?.url,
+              message.payload?.title
+            );
             sendResponse({ success: true, data: { category } });
           } catch (error) {
             console.error('Error getting site category:', error);
@@ -1553,6 +3719,18 @@ class FocusTimeTracker {
           }
           break;
 
+        case 'GET_CATEGORY_TAXONOMY':
+          sendResponse({ success: true, data: this.storageManager.categoryTaxonomy });
+          break;
+
+        case 'SAVE_CATEGORY_TAXONOMY':
+          const taxonomyResult = await this.storageManager.saveCategoryTaxonomy(message.payload?.taxonomy);
+          if (taxonomyResult.success) {
+            this.refreshQuotas();
+          }
+          sendResponse(taxonomyResult);
+          break;
+
         case 'GET_CATEGORY_BREAKDOWN':
           try {
             const analyticsData = await this.storageManager.getAnalyticsData('week');
@@ -1560,6 +3738,7 @@ class FocusTimeTracker {
               success: true, 
               data: { 
                 categories: analyticsData.categoryBreakdown,
+                categoryDefinitions: analyticsData.categoryDefinitions,
                 totalTime: analyticsData.summary.totalTime
               }
             });
@@ -1650,7 +3829,13 @@ class FocusTimeTracker {
 
         case 'GET_FOCUS_STATUS':
           try {
-            sendResponse({ success: true, data: { focusMode: this.blockingManager.focusMode } });
+            sendResponse({
+              success: true,
+              data: {
+                focusMode: this.blockingManager.focusMode,
+                quotaBlockedDomains: Array.from(this.blockingManager.quotaBlockedDomains)
+              }
+            });
           } catch (error) {
             console.error('Error getting focus status:', error);
             sendResponse({ success: false, error: error.message });
@@ -1689,18 +3874,19 @@ class FocusTimeTracker {
     try {
       console.log('🎯 startTracking called with tab:', { id: tab.id, url: tab.url });
       
-      if (!tab || !tab.url || !this.isTrackableUrl(tab.url)) {
+      if (!this.canTrackTab(tab)) {
         console.log('⚠️ Tab not trackable:', { 
           hasTab: !!tab, 
           hasUrl: !!tab?.url, 
-          isTrackable: tab?.url ? this.isTrackableUrl(tab.url) : false 
+          isTrackable: tab?.url ? this.isTrackableUrl(tab.url) : false,
+          incognito: Boolean(tab?.incognito)
         });
         return;
       }
 
       // Save current session if exists
       if (this.currentSession.isActive) {
-        await this.stopCurrentTracking();
+        await this.stopCurrentTracking('tab_switch');
       }
 
       const domain = this.extractDomain(tab.url);
@@ -1711,10 +3897,20 @@ class FocusTimeTracker {
       this.currentSession = {
         tabId: tab.id,
         domain: domain,
+        url: tab.url,
+        title: tab.title || null,
         startTime: now,
         savedTime: 0,
-        isActive: true
+        isActive: true,
+        ephemeral: Boolean(tab.incognito) && this.storageManager.incognitoTracking === 'session'
       };
+      if (this.isSessionPaused) {
+        // Still idle or locked (e.g. a tab closed by itself): the new session starts paused
+        this.pausedAt = now;
+        this.totalPausedTime = 0;
+      } else {
+        this.openVisit(now);
+      }
 
       await this.stateManager.dispatch({
         type: 'START_TRACKING',
@@ -1724,6 +3920,15 @@ class FocusTimeTracker {
         }
       });
 
+      if (tab.audible) {
+        this.audibleTabs.add(tab.id);
+      } else {
+        this.audibleTabs.delete(tab.id);
+      }
+      await this.applyMediaPolicy();
+
+      this.refreshQuotas();
+      await this.persistSessionState();
       console.log(`✅ Started tracking: ${domain}, Tab ID: ${tab.id}`);
     } catch (error) {
       console.error('❌ Error starting tracking:', error);
@@ -1732,35 +3937,43 @@ class FocusTimeTracker {
 
   /**
    * Stop tracking current website and save data
+   * endReason is recorded on the session log entry (tab_switch, tab_closed, navigation, suspended)
    */
-  async stopCurrentTracking() {
+  async stopCurrentTracking(endReason = 'tab_switch', endTime = Date.now()) {
     try {
       if (!this.currentSession.isActive || !this.currentSession.startTime) {
         return;
       }
 
-      const now = Date.now();
-      const timeSpent = now - this.currentSession.startTime + (this.currentSession.savedTime || 0);
+      const now = endTime;
+      await this.stopPassiveMedia(now);
+      await this.closeVisit(endReason, now);
+      // savedTime has already been persisted by periodic saves, only the tail is new
+      const timeSpent = this.getUnsavedTime(now);
+      const totalTime = timeSpent + (this.currentSession.savedTime || 0);
       const domain = this.currentSession.domain;
 
       // Only save if spent more than 1 second and round down to nearest second
-      if (timeSpent > 1000 && domain) {
+      if (totalTime > 1000 && domain) {
         const roundedTime = Math.floor(timeSpent / 1000) * 1000; // Round to nearest second
-        await this.storageManager.saveTimeEntry(domain, roundedTime, 1);
-        console.log(`Stopped tracking: ${domain}, Time: ${this.storageManager.formatTime(roundedTime)}`);
+        this.recordSessionTime(roundedTime, 1, now);
+        console.log(`Stopped tracking: ${domain}, Time: ${this.storageManager.formatTime(totalTime)}`);
       }
 
-      await this.stateManager.dispatch({
-        type: 'STOP_TRACKING'
-      });
-      
+      // Cleared before awaiting anything, so no other handler can record the same stretch again
       this.currentSession = {
         tabId: null,
         domain: null,
+        url: null,
         startTime: null,
         savedTime: 0,
         isActive: false
       };
+
+      await this.stateManager.dispatch({
+        type: 'STOP_TRACKING'
+      });
+      await this.persistSessionState();
     } catch (error) {
       console.error('Error stopping tracking:', error);
     }
@@ -1771,15 +3984,21 @@ class FocusTimeTracker {
    */
   async pauseTracking() {
     if (this.currentSession.isActive) {
-      const activeDuration = Date.now() - this.currentSession.startTime;
-      const totalDuration = (this.currentSession.savedTime || 0) + activeDuration;
-      if (totalDuration > 1000) {
-        await this.storageManager.saveTimeEntry(this.currentSession.domain, totalDuration, 0);
+      const now = Date.now();
+      await this.stopPassiveMedia(now);
+      await this.closeVisit('window_blur', now);
+      // savedTime has already been persisted, only the unsaved stretch is new
+      const activeDuration = this.getUnsavedTime(now);
+      if (activeDuration > 1000) {
+        this.recordSessionTime(activeDuration, 0, now);
       }
       // Reset savedTime since we've persisted it
       this.currentSession.savedTime = 0;
       this.currentSession.isActive = false;
       this.currentSession.startTime = null;
+      this.refreshQuotas();
+      await this.persistSessionState();
+      await this.flushTrackedTime();
     }
   }
 
@@ -1790,6 +4009,63 @@ class FocusTimeTracker {
     if (!this.currentSession.isActive && tab && this.isTrackableUrl(tab.url)) {
       this.currentSession.startTime = Date.now();
       this.currentSession.isActive = true;
+      if (this.isSessionPaused) {
+        this.pausedAt = this.currentSession.startTime;
+        this.totalPausedTime = 0;
+      } else {
+        this.openVisit(this.currentSession.startTime);
+      }
+      this.refreshQuotas();
+      await this.persistSessionState();
+    }
+  }
+
+  /**
+   * Begin recording a raw visit for the current session
+   */
+  openVisit(startTime = Date.now()) {
+    if (!this.currentSession.domain) return;
+
+    this.currentVisit = {
+      ephemeral: Boolean(this.currentSession.ephemeral),
+      tabId: this.currentSession.tabId,
+      domain: this.currentSession.domain,
+      url: this.currentSession.url || null,
+      title: this.currentSession.title || null,
+      startTime,
+      pausedMs: 0
+    };
+  }
+
+  /**
+   * Finish the current visit and append it to the session log
+   * idleMs is the trailing inactive stretch that preceded the end of the visit
+   */
+  async closeVisit(endReason, endTime = Date.now(), idleMs = 0) {
+    const visit = this.currentVisit;
+    if (!visit) return;
+    this.currentVisit = null;
+
+    const durationMs = endTime - visit.startTime;
+    if (durationMs < 1000 || visit.ephemeral) return;
+
+    const pausedMs = Math.min(visit.pausedMs + idleMs, durationMs);
+
+    try {
+      await this.storageManager.saveSessionEvent({
+        id: `${visit.startTime}-${visit.tabId}`,
+        domain: visit.domain,
+        url: visit.url,
+        title: visit.title,
+        tabId: visit.tabId,
+        startTime: visit.startTime,
+        endTime,
+        activeMs: durationMs - pausedMs,
+        pausedMs,
+        endReason
+      });
+    } catch (error) {
+      console.error('Error logging session event:', error);
     }
   }
 
@@ -1801,14 +4077,230 @@ class FocusTimeTracker {
       currentSession: this.currentSession,
       tracking: this.currentSession.isActive,
       focusMode: (await this.storageManager.getSettings()).focusMode,
-      todayStats: await this.storageManager.getTodayStats()
+      todayStats: await this.storageManager.getTodayStats(),
+      quotas: this.quotaManager ? await this.quotaManager.getStatusForDomain(this.currentSession.domain) : [],
+      pomodoro: this.pomodoroManager ? this.pomodoroManager.getState() : null
+    };
+  }
+
+  /**
+   * Time tracked in the current session that has not been saved yet
+   */
+  getLiveSession() {
+    if (!this.currentSession.isActive || !this.currentSession.startTime) {
+      return null;
+    }
+
+    return {
+      tabId: this.currentSession.tabId,
+      domain: this.currentSession.domain,
+      // Off-the-record sessions never reach storage, so everything they counted is still unsaved
+      unsavedTime: this.getUnsavedTime() + (this.currentSession.ephemeral ? this.currentSession.savedTime || 0 : 0)
     };
   }
 
+  getCurrentPage() {
+    return { url: this.currentSession.url, title: this.currentSession.title };
+  }
+
+  /**
+   * Record time for the current session; incognito sessions kept off the record are only counted live
+   * Synchronous, so the session can be advanced past the recorded time before another handler runs
+   */
+  recordSessionTime(timeSpent, visits, endTime) {
+    if (this.currentSession.ephemeral) return;
+    this.storageManager.recordTime(this.currentSession.domain, timeSpent, visits, endTime, this.getCurrentPage());
+  }
+
+  /**
+   * Move the session to another page on the same domain
+   * Time so far is credited to the page being left; the domain visit carries on
+   */
+  async switchPage(url, title = null) {
+    if (!this.isSessionPaused && this.currentSession.startTime) {
+      const now = Date.now();
+      const unsaved = this.getUnsavedTime(now);
+      if (unsaved > 1000) {
+        this.recordSessionTime(unsaved, 0, now);
+        this.currentSession.savedTime = (this.currentSession.savedTime || 0) + unsaved;
+      }
+      this.currentSession.startTime = now;
+      this.totalPausedTime = 0;
+    }
+
+    this.currentSession.url = url;
+    this.currentSession.title = title;
+    await this.persistSessionState();
+  }
+
+  /**
+   * Active time since the last save, up to endTime
+   * Leaves out the current pause and any pause since the last save
+   */
+  getUnsavedTime(endTime = Date.now()) {
+    if (!this.currentSession.startTime) return 0;
+
+    const activeEnd = this.isSessionPaused && this.pausedAt ? Math.min(endTime, this.pausedAt) : endTime;
+    return Math.max(0, activeEnd - this.currentSession.startTime - this.totalPausedTime);
+  }
+
+  /**
+   * Re-check goals after stored stats change and announce any just met
+   */
+  refreshGoals() {
+    this.goalManager?.evaluate()
+      .then(status => this.notificationManager?.checkGoals(status))
+      .catch(error => {
+        console.error('Error evaluating goals:', error);
+      });
+  }
+
+  /**
+   * Re-check daily quotas after the tracked session changes and warn about any running low
+   */
+  refreshQuotas() {
+    this.quotaManager?.evaluate()
+      .then(status => this.notificationManager?.checkQuotas(status, this.getLiveSession()?.domain))
+      .catch(error => {
+        console.error('Error evaluating quotas:', error);
+      });
+  }
+
+  /**
+   * Periodic checkpoint (alarm): record finished minutes, snapshot the live session, write pending time
+   * and check for a long stretch on distracting sites
+   */
+  async checkpointSession() {
+    if (this.currentSession.isActive) {
+      this.saveCurrentSession();
+      this.refreshQuotas();
+    }
+    if (this.passiveMedia) {
+      const now = Date.now();
+      this.storageManager.recordPassiveTime(this.passiveMedia.domain, now - this.passiveMedia.since, now);
+      this.passiveMedia.since = now;
+    }
+    await this.persistSessionState();
+    await this.flushTrackedTime();
+    await this.notificationManager.checkDistraction(
+      this.currentSession.isActive && !this.isSessionPaused ? this.currentVisit : null
+    );
+  }
+
+  /**
+   * Snapshot the in-memory session, with the time recorded but not yet written, so a restarted
+   * worker can pick both up. Both are taken in the same tick, so the record is always consistent.
+   */
+  async persistSessionState() {
+    try {
+      const pendingTime = this.storageManager.getPendingTime();
+      if (this.currentSession.ephemeral) {
+        // Nothing about an off-the-record session reaches disk; a restart simply starts a new one.
+        // Time still pending from earlier sessions is kept.
+        await chrome.storage.local.set({ trackingCheckpoint: { pendingTime, checkpointAt: Date.now() } });
+        if (pendingTime.length > 0) {
+          this.scheduleCheckpoint();
+        }
+        return;
+      }
+      await chrome.storage.local.set({
+        trackingCheckpoint: {
+          currentSession: this.currentSession,
+          currentVisit: this.currentVisit,
+          isSessionPaused: this.isSessionPaused,
+          pausedAt: this.pausedAt,
+          totalPausedTime: this.totalPausedTime,
+          passiveMedia: this.passiveMedia,
+          pendingTime,
+          checkpointAt: Date.now()
+        }
+      });
+      if ((this.currentSession.isActive && !this.isSessionPaused) || this.passiveMedia || pendingTime.length > 0) {
+        this.scheduleCheckpoint();
+      }
+    } catch (error) {
+      console.error('Error saving session checkpoint:', error);
+    }
+  }
+
+  /**
+   * Checkpoint again after checkpointDelay; persistSessionState re-arms it only while a session runs or
+   * time waits for the flush, so a restart after an abrupt stop loses only seconds and an idle worker stays quiet
+   */
+  scheduleCheckpoint() {
+    if (this.checkpointTimer) return;
+    this.checkpointTimer = setTimeout(async () => {
+      this.checkpointTimer = null;
+      await this.persistSessionState();
+    }, this.checkpointDelay);
+  }
+
+  /**
+   * Write recorded time to history now instead of waiting for the scheduled flush
+   */
+  async flushTrackedTime() {
+    try {
+      await this.storageManager.flushPendingTime();
+    } catch (error) {
+      console.error('Error flushing tracked time:', error);
+    }
+  }
+
+  /**
+   * Rehydrate the session saved by the last checkpoint
+   * Returns true when tracking carries on in the same tab
+   */
+  async restoreSessionState() {
+    try {
+      const { trackingCheckpoint } = await chrome.storage.local.get(['trackingCheckpoint']);
+      if (!trackingCheckpoint?.currentSession?.isActive) {
+        return false;
+      }
+
+      this.currentSession = trackingCheckpoint.currentSession;
+      this.currentVisit = trackingCheckpoint.currentVisit || null;
+      this.isSessionPaused = Boolean(trackingCheckpoint.isSessionPaused);
+      this.pausedAt = trackingCheckpoint.pausedAt || null;
+      this.totalPausedTime = trackingCheckpoint.totalPausedTime || 0;
+      this.passiveMedia = trackingCheckpoint.passiveMedia || null;
+
+      // Too long since the last checkpoint: the browser was closed or asleep,
+      // so only time up to that checkpoint (or the pause) is counted
+      if (Date.now() - trackingCheckpoint.checkpointAt > this.checkpointStaleAfter) {
+        const endTime = this.isSessionPaused && this.pausedAt ? this.pausedAt : trackingCheckpoint.checkpointAt;
+        await this.stopPassiveMedia(trackingCheckpoint.checkpointAt);
+        await this.stopCurrentTracking('suspended', endTime);
+        this.isSessionPaused = false;
+        this.pausedAt = null;
+        this.totalPausedTime = 0;
+        return false;
+      }
+
+      const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (activeTab?.id !== this.currentSession.tabId || !activeTab.url ||
+          this.extractDomain(activeTab.url) !== this.currentSession.domain) {
+        // The user moved on while the worker was down
+        await this.stopCurrentTracking('tab_switch');
+        return false;
+      }
+      if (activeTab.audible) {
+        this.audibleTabs.add(activeTab.id);
+      }
+
+      this.refreshQuotas();
+      console.log('♻️ Resumed tracking session:', this.currentSession.domain);
+      return true;
+    } catch (error) {
+      console.error('Error restoring session checkpoint:', error);
+      return false;
+    }
+  }
+
   /**
-   * Save current session progress (enhanced with pause tracking)
+   * Record the finished minutes of the current session (enhanced with pause tracking)
+   * Synchronous like recordSessionTime, so a tab switch can't count the same minutes again
    */
-  async saveCurrentSession() {
+  saveCurrentSession() {
     try {
       if (this.currentSession.isActive && this.currentSession.startTime && !this.isSessionPaused) {
         const now = Date.now();
@@ -1818,16 +4310,16 @@ class FocusTimeTracker {
         // Only save if we have at least 1 minute of activity
         if (netTimeSpent >= 60000) {
           const minutesToSave = Math.floor(netTimeSpent / 60000) * 60000;
-          await this.storageManager.saveTimeEntry(this.currentSession.domain, minutesToSave, 0);
+          const remainder = netTimeSpent - minutesToSave;
+          this.recordSessionTime(minutesToSave, 0, now - remainder);
           
           // Update accumulated savedTime and reset counters
           this.currentSession.savedTime = (this.currentSession.savedTime || 0) + minutesToSave;
-          const remainder = netTimeSpent - minutesToSave;
           // Preserve remainder for continuous counting
           this.currentSession.startTime = now - remainder;
           this.totalPausedTime = 0;
           
-          console.log('💾 Session saved:', {
+          console.log('💾 Session time recorded:', {
             domain: this.currentSession.domain,
             savedMinutes: this.storageManager.formatTime(this.currentSession.savedTime),
             remainingTime: this.storageManager.formatTime(netTimeSpent - minutesToSave)
@@ -1860,25 +4352,55 @@ class FocusTimeTracker {
   }
 
   /**
-   * Export tracking data
+   * Whether a tab may be tracked: a web page that isn't on the exclusion list
+   * and, in incognito, allowed by the incognito policy
    */
-  async exportData(format = 'json') {
-    try {
-      const result = await chrome.storage.local.get(['timeData', 'settings']);
-      const data = {
-        timeData: result.timeData || {},
-        settings: result.settings || {},
-        exportDate: new Date().toISOString()
-      };
+  canTrackTab(tab) {
+    if (!tab?.url || !this.isTrackableUrl(tab.url)) {
+      return false;
+    }
+    if (tab.incognito && this.storageManager.incognitoTracking === 'ignore') {
+      return false;
+    }
+    return !this.storageManager.isTrackingExcluded(tab.url);
+  }
+
+  /**
+   * Stop the current session if privacy settings no longer allow it
+   */
+  async enforceTrackingPrivacy() {
+    if (!this.currentSession.tabId || !this.currentSession.url) return;
+
+    const tab = await chrome.tabs.get(this.currentSession.tabId).catch(() => null);
+    if (!this.canTrackTab(tab || { url: this.currentSession.url })) {
+      await this.stopCurrentTracking('excluded');
+    }
+  }
 
-      if (format === 'json') {
-        return JSON.stringify(data, null, 2);
+  /**
+   * Never track a site again and delete what was recorded for it
+   */
+  async stopTrackingSite(domain) {
+    try {
+      const [pattern] = this.storageManager.normalizeExclusionPatterns([domain || '']);
+      if (!pattern || pattern.includes('/') || pattern.includes('*')) {
+        throw new Error('Invalid domain');
       }
-      
-      return data;
+
+      const settings = await this.storageManager.getSettings();
+      await this.storageManager.updateSettings({
+        trackingExclusions: [...(settings.trackingExclusions || []), pattern]
+      });
+      // Stopping saves the session's tail, so purge afterwards
+      await this.enforceTrackingPrivacy();
+      const purgedDays = await this.storageManager.purgeSiteHistory(pattern);
+      this.refreshQuotas();
+
+      console.log(`🙈 Stopped tracking ${pattern}, purged ${purgedDays} day(s) of history`);
+      return { success: true, domain: pattern, purgedDays };
     } catch (error) {
-      console.error('Error exporting data:', error);
-      throw error;
+      console.error('Error stopping tracking for site:', error);
+      return { success: false, error: error.message };
     }
   }
 
@@ -1902,22 +4424,26 @@ class FocusTimeTracker {
   /**
    * Enhanced activity detection handler
    */
-  async handleEnhancedActivityDetected(activityData) {
+  async handleEnhancedActivityDetected(activityData, tabId = null) {
     try {
       console.log('🎯 Enhanced activity detected:', {
         isActive: activityData.isActive,
         timeSinceActivity: Math.round(activityData.timeSinceLastActivity / 1000) + 's',
         isVisible: activityData.isVisible,
+        isMediaPlaying: activityData.isMediaPlaying,
         eventType: activityData.eventType
       });
 
       this.updateActivity(activityData);
 
-      // Handle inactivity-based auto-pause
-      if (!activityData.isActive && this.autoManagementEnabled && !this.isSessionPaused) {
-        if (activityData.timeSinceLastActivity > this.inactivityThreshold) {
-          await this.pauseSession(activityData.timeSinceLastActivity);
-        }
+      if ('isMediaPlaying' in activityData) {
+        await this.setTabMedia(tabId, this.mediaTabs, Boolean(activityData.isMediaPlaying));
+      }
+
+      // Inactivity seen by the page goes through the same media policy as chrome.idle
+      if (!activityData.isActive && activityData.timeSinceLastActivity > this.inactivityThreshold) {
+        this.pageInactive = true;
+        await this.applyMediaPolicy(activityData.timeSinceLastActivity);
       }
       
       // Handle activity-based auto-resume
@@ -1933,9 +4459,11 @@ class FocusTimeTracker {
    * Update activity timestamp and state
    */
   updateActivity(activityData = {}) {
-    this.lastActivityTime = Date.now();
+    // Inactivity reports carry how long ago the last input was; a screen lock trims back to it
+    this.lastActivityTime = Date.now() - (activityData.isActive ? 0 : Math.max(0, Number(activityData.timeSinceLastActivity) || 0));
     
     if (activityData.isActive) {
+      this.pageInactive = false;
       // Resume session if it was paused and activity is detected
       if (this.isSessionPaused && this.autoManagementEnabled) {
         this.resumeSession();
@@ -1944,29 +4472,173 @@ class FocusTimeTracker {
   }
 
   /**
-   * Pause session due to inactivity
+   * Pause the session after inactivity or a screen lock
+   * Counting stops at the last real activity; idle minutes that checkpoints already saved are taken back
    */
-  async pauseSession(inactivityDuration = 0) {
+  async pauseSession(inactivityDuration = 0, reason = 'idle_pause') {
     if (this.isSessionPaused || !this.currentSession.isActive) {
       return;
     }
 
-    console.log(`🛑 Pausing session due to inactivity: ${Math.round(inactivityDuration / 1000)}s`);
-    
-    // Save current progress before pausing
-    await this.saveCurrentSession();
-    
+    const now = Date.now();
+    // Idle time can't reach back past the start of the visit being recorded
+    const trackedSince = this.currentVisit?.startTime ?? this.currentSession.startTime;
+    const lastActive = Math.min(now, Math.max(now - inactivityDuration, trackedSince));
+    const domain = this.currentSession.domain;
+
+    console.log(`🛑 Pausing session (${reason}), inactive for ${Math.round((now - lastActive) / 1000)}s`);
+
+    if (lastActive >= this.currentSession.startTime) {
+      // Save the unsaved stretch up to the last activity
+      const activeTime = this.getUnsavedTime(lastActive);
+      if (activeTime > 1000) {
+        this.recordSessionTime(activeTime, 0, lastActive);
+        this.currentSession.savedTime = (this.currentSession.savedTime || 0) + activeTime;
+      }
+    } else {
+      // Checkpoints saved through startTime; take back what they saved after the last activity
+      if (!this.currentSession.ephemeral) {
+        await this.storageManager.removeTimeEntry(domain, lastActive, this.currentSession.startTime, this.getCurrentPage());
+      }
+      this.currentSession.savedTime = Math.max(0, (this.currentSession.savedTime || 0) - (this.currentSession.startTime - lastActive));
+    }
+    await this.closeVisit(reason, now, now - lastActive);
+
+    // Nothing is unsaved now; the pause runs from the last activity
+    this.currentSession.startTime = lastActive;
     this.isSessionPaused = true;
-    this.pausedAt = Date.now();
-    
-    // Reset total paused time for new session
+    this.pausedAt = lastActive;
     this.totalPausedTime = 0;
+    this.refreshQuotas();
+    await this.persistSessionState();
+    await this.flushTrackedTime();
+  }
+
+  /**
+   * Apply the idle detection interval and auto-pause preference from settings
+   */
+  applyIdleSettings(settings) {
+    const seconds = Math.max(15, Math.round(Number(settings.idleDetectionSeconds)) || 300); // chrome.idle minimum is 15s
+    this.inactivityThreshold = seconds * 1000;
+    this.autoManagementEnabled = settings.autoSessionManagement ?? true;
+    chrome.idle.setDetectionInterval(seconds);
+  }
+
+  /**
+   * Pause on system idle or screen lock, resume on input
+   * A locked screen always pauses; plain idleness only when auto-pause is on, and subject to media playback
+   */
+  async handleIdleStateChanged(state) {
+    try {
+      this.idleState = state;
+
+      if (state === 'active') {
+        this.lastActivityTime = Date.now();
+        this.pageInactive = false;
+        await this.resumeSession();
+        return;
+      }
+
+      if (state === 'locked') {
+        await this.stopPassiveMedia();
+        // Trim back to the last input; chrome.idle would have reported idle had there been none for longer
+        await this.pauseSession(Math.min(Date.now() - this.lastActivityTime, this.inactivityThreshold), 'locked');
+        return;
+      }
+
+      // chrome.idle reports idle once the detection interval has passed without input,
+      // so the last activity was that long ago
+      await this.applyMediaPolicy(this.inactivityThreshold);
+    } catch (error) {
+      console.error('Error handling idle state:', state, error);
+    }
+  }
+
+  /**
+   * Whether audio or video is playing in the tracked tab
+   */
+  isMediaPlaying() {
+    const tabId = this.currentSession.tabId;
+    return tabId !== null && (this.mediaTabs.has(tabId) || this.audibleTabs.has(tabId));
+  }
+
+  /**
+   * Media policy of the tracked page while it plays media, otherwise null
+   */
+  getPlaybackPolicy() {
+    if (!this.isMediaPlaying()) return null;
+
+    const { domain, url, title } = this.currentSession;
+    return this.storageManager.getMediaPolicy(domain, url, title);
+  }
+
+  /**
+   * Record a playback change for a tab (tabs is mediaTabs or audibleTabs)
+   * and re-apply the media policy when the tracked tab starts or stops playing
+   */
+  async setTabMedia(tabId, tabs, playing) {
+    if (tabId === null || tabId === undefined) return;
+
+    const wasPlaying = this.isMediaPlaying();
+    if (playing) {
+      tabs.add(tabId);
+    } else {
+      tabs.delete(tabId);
+    }
+
+    if (tabId === this.currentSession.tabId && this.isMediaPlaying() !== wasPlaying) {
+      await this.applyMediaPolicy();
+    }
+  }
+
+  /**
+   * While the user is idle (per chrome.idle or the content script), playback in the tracked tab decides what the time counts as:
+   * 'active' keeps the session running, 'passive' pauses it and counts passive time,
+   * 'ignore' or no playback pauses it
+   * inactivityDuration is how long ago the last input was, so a new pause is trimmed back to it
+   */
+  async applyMediaPolicy(inactivityDuration = 0) {
+    if ((this.idleState !== 'idle' && !this.pageInactive) || !this.autoManagementEnabled || !this.currentSession.isActive) {
+      return;
+    }
+
+    const policy = this.getPlaybackPolicy();
+    if (policy === 'active') {
+      await this.resumeSession();
+      return;
+    }
+
+    const wasPaused = this.isSessionPaused;
+    await this.pauseSession(inactivityDuration);
+
+    if (policy !== 'passive') {
+      await this.stopPassiveMedia();
+    } else if (!this.passiveMedia && !this.currentSession.ephemeral) {
+      // Playback that outlasted the input is passive from the last input on
+      this.passiveMedia = { domain: this.currentSession.domain, since: wasPaused ? Date.now() : this.pausedAt };
+      await this.persistSessionState();
+    }
+  }
+
+  /**
+   * Save the passive media stretch up to endTime and end it
+   */
+  async stopPassiveMedia(endTime = Date.now()) {
+    const passive = this.passiveMedia;
+    if (!passive) return;
+
+    this.passiveMedia = null;
+    if (endTime - passive.since >= 1000) {
+      this.storageManager.recordPassiveTime(passive.domain, endTime - passive.since, endTime);
+    }
+    await this.persistSessionState();
   }
 
   /**
    * Resume session after activity detected
    */
   async resumeSession() {
+    await this.stopPassiveMedia();
     if (!this.isSessionPaused) {
       return;
     }
@@ -1979,6 +4651,11 @@ class FocusTimeTracker {
     this.isSessionPaused = false;
     this.pausedAt = null;
     this.lastActivityTime = Date.now();
+
+    if (this.currentSession.isActive) {
+      this.openVisit(this.lastActivityTime);
+    }
+    await this.persistSessionState();
   }
 
   /**
@@ -1993,7 +4670,10 @@ class FocusTimeTracker {
       pausedAt: this.pausedAt ? new Date(this.pausedAt) : null,
       totalPausedTime: this.totalPausedTime,
       autoManagementEnabled: this.autoManagementEnabled,
-      inactivityThreshold: this.inactivityThreshold
+      inactivityThreshold: this.inactivityThreshold,
+      idleState: this.idleState,
+      mediaPlaying: this.isMediaPlaying(),
+      passiveSince: this.passiveMedia?.since || null
     };
   }
 
@@ -27,7 +27,11 @@ class BlockedPage {
         const focusResponse = await chrome.runtime.sendMessage({ type: 'GET_FOCUS_STATUS' });
         console.log('🔍 Focus status response:', focusResponse);
         
-        if (focusResponse?.success && focusResponse.data && !focusResponse.data.focusMode) {
+        // Quota blocks apply outside focus mode, so only auto-redirect when no quota covers this site
+        this.quotaBlocked = (focusResponse?.data?.quotaBlockedDomains || [])
+          .some(blockedDomain => domain === blockedDomain || domain.endsWith(`.${blockedDomain}`));
+
+        if (focusResponse?.success && focusResponse.data && !focusResponse.data.focusMode && !this.quotaBlocked) {
           console.log('🔓 Focus mode is OFF, auto-redirecting to:', this.originalUrl);
           if (this.originalUrl && this.originalUrl !== 'Unknown Site') {
             // Clear cached URL before redirecting
@@ -80,6 +84,9 @@ class BlockedPage {
         const debug = debugResponse.data;
         document.getElementById('debugUrl').textContent = originalUrl;
         document.getElementById('debugFocusMode').textContent = debug.focusMode ? 'ON' : 'OFF';
+        document.getElementById('debugBlockingMode').textContent = debug.allowedSites && debug.blockingMode === 'allowlist'
+          ? `Allowlist (${debug.allowedSites.join(', ') || 'nothing allowed'})`
+          : 'Block list';
         document.getElementById('debugBlockedCount').textContent = debug.blockedSites ? debug.blockedSites.length : 0;
         document.getElementById('debugBlockedSites').textContent = debug.blockedSites ? 
           (debug.blockedSites.length > 0 ? debug.blockedSites.join(', ') : 'None') : 'Error loading';
@@ -127,6 +134,15 @@ class BlockedPage {
         document.getElementById('focusTime').textContent = this.formatTime(stats.focusTime || 0);
         document.getElementById('blockedAttempts').textContent = stats.blockedAttempts || 0;
         document.getElementById('overrideTime').textContent = this.formatTime(stats.overrideTime || 0);
+        if (this.quotaBlocked) {
+          document.getElementById('blockReason').textContent =
+            "You've used today's time budget for this site. It opens again when the day rolls over.";
+          document.getElementById('overrideBtn').style.display = 'none';
+        } else {
+          document.getElementById('blockReason').textContent = stats.blockingMode === 'allowlist'
+            ? 'Allowlist focus is on: only your allowed sites are open right now.'
+            : 'This site is on your block list.';
+        }
       }
     } catch (error) {
       console.error('Error loading focus stats:', error);
@@ -152,63 +168,148 @@ class BlockedPage {
         return;
       }
 
-      const confirmed = confirm(
-        'This will temporarily allow access to this site for 5 minutes. Are you sure?'
-      );
+      const domain = document.getElementById('blockedSite').textContent;
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_OVERRIDE_POLICY',
+        payload: { domain }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Could not load override policy');
+      }
+
+      this.showOverrideModal(response.data);
+    } catch (error) {
+      console.error('Error handling override:', error);
+    }
+  }
+
+  /**
+   * Show the override modal, or why no override is available right now
+   */
+  showOverrideModal({ policy, status }) {
+    const form = document.getElementById('overrideForm');
+    const durationSelect = document.getElementById('overrideDuration');
+    const reasonInput = document.getElementById('overrideReason');
+    const confirmBtn = document.getElementById('overrideConfirm');
+    const blockedReason = this.getOverrideBlockedReason(policy, status);
+
+    clearInterval(this.unlockTimer);
+    document.getElementById('modalTitle').textContent = 'Override Session';
+    document.getElementById('overrideError').textContent = '';
+
+    if (blockedReason) {
+      document.getElementById('modalContent').textContent = blockedReason;
+      form.style.display = 'none';
+      document.getElementById('actionModal').classList.add('visible');
+      return;
+    }
+
+    document.getElementById('modalContent').textContent = this.describeOverrideAllowance(policy, status);
+    durationSelect.innerHTML = '';
+    policy.durations.forEach(minutes => durationSelect.add(new Option(`${minutes} minutes`, minutes)));
+
+    reasonInput.value = '';
+    reasonInput.style.display = policy.requireReason ? '' : 'none';
+    document.getElementById('overrideReasonLabel').style.display = policy.requireReason ? '' : 'none';
+    reasonInput.placeholder = `At least ${policy.minReasonLength} characters`;
+
+    // The button stays locked until the countdown ends and any required reason is long enough
+    let secondsLeft = policy.unlockDelaySeconds || 0;
+    const updateConfirm = () => {
+      const reasonReady = !policy.requireReason || reasonInput.value.trim().length >= policy.minReasonLength;
+      confirmBtn.disabled = secondsLeft > 0 || !reasonReady;
+      confirmBtn.textContent = secondsLeft > 0 ? `Unlocks in ${secondsLeft}s` : 'Override';
+    };
+
+    reasonInput.oninput = updateConfirm;
+    confirmBtn.onclick = () => this.confirmOverride(Number(durationSelect.value), reasonInput.value.trim());
+    updateConfirm();
+
+    if (secondsLeft > 0) {
+      this.unlockTimer = setInterval(() => {
+        secondsLeft--;
+        updateConfirm();
+        if (secondsLeft <= 0) clearInterval(this.unlockTimer);
+      }, 1000);
+    }
+
+    form.style.display = '';
+    document.getElementById('actionModal').classList.add('visible');
+  }
+
+  getOverrideBlockedReason(policy, status) {
+    if (status.remainingToday === 0) {
+      return `You've used all ${policy.maxPerDay} overrides for today. Stay with it - the block lifts when focus mode ends.`;
+    }
+    if (status.remainingForSite === 0) {
+      return `You've used all ${policy.maxPerSitePerDay} overrides for this site today.`;
+    }
+    if (status.cooldownUntil) {
+      const availableAt = new Date(status.cooldownUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      return `Overrides are cooling down. The next one is available at ${availableAt}.`;
+    }
+    return null;
+  }
+
+  describeOverrideAllowance(policy, status) {
+    const limits = [];
+    if (status.remainingToday !== null) {
+      limits.push(`${status.remainingToday} of ${policy.maxPerDay} overrides left today`);
+    }
+    if (status.remainingForSite !== null) {
+      limits.push(`${status.remainingForSite} of ${policy.maxPerSitePerDay} left for this site`);
+    }
+    return ['This will temporarily allow access to this site.', ...limits.map(limit => `${limit}.`)].join(' ');
+  }
+
+  async confirmOverride(minutes, reason) {
+    const confirmBtn = document.getElementById('overrideConfirm');
+    const errorText = document.getElementById('overrideError');
+    const overrideBtn = document.getElementById('overrideBtn');
+
+    try {
+      confirmBtn.disabled = true;
+      overrideBtn.disabled = true;
+      confirmBtn.textContent = 'Processing...';
+      errorText.textContent = '';
+
+      const domain = document.getElementById('blockedSite').textContent;
+      const response = await chrome.runtime.sendMessage({ 
+        type: 'OVERRIDE_BLOCK', 
+        payload: { domain, duration: minutes * 60000, reason }
+      });
       
-      if (confirmed) {
-        // Disable button and update content
-        overrideBtn.disabled = true;
-        const originalContent = overrideBtn.innerHTML;
-        overrideBtn.innerHTML = `
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M12 2v4m0 12v4M4.93 4.93l2.83 2.83m8.48 8.48l2.83 2.83M2 12h4m12 0h4M4.93 19.07l2.83-2.83m8.48-8.48l2.83-2.83"/>
-          </svg>
-          Processing...
-        `;
-        
-        const domain = document.getElementById('blockedSite').textContent;
-        const response = await chrome.runtime.sendMessage({ 
-          type: 'OVERRIDE_BLOCK', 
-          payload: { domain, duration: 300000 } // 5 minutes
+      if (response && response.success) {
+        // Record override in web app if connected (the local override log is kept regardless)
+        await chrome.runtime.sendMessage({ 
+          type: 'RECORD_OVERRIDE_SESSION', 
+          payload: { domain, duration: minutes, reason }
         });
         
-        if (response && response.success) {
-          // Record override in web app if connected
-          await chrome.runtime.sendMessage({ 
-            type: 'RECORD_OVERRIDE_SESSION', 
-            payload: { domain, duration: 5 } // 5 minutes
-          });
-          
-          // Clear cached URL before redirecting
-          await chrome.runtime.sendMessage({ type: 'CLEAR_CACHED_URL' });
-          
-          // Redirect to original site using cached URL
-          if (this.originalUrl && this.originalUrl !== 'Unknown Site') {
-            window.location.href = this.originalUrl;
-          } else {
-            // Fallback - try to go back or to domain homepage
-            const domain = document.getElementById('blockedSite').textContent;
-            window.location.href = `https://${domain}`;
-          }
+        // Clear cached URL before redirecting
+        await chrome.runtime.sendMessage({ type: 'CLEAR_CACHED_URL' });
+        
+        // Redirect to original site using cached URL
+        if (this.originalUrl && this.originalUrl !== 'Unknown Site') {
+          window.location.href = this.originalUrl;
         } else {
-          // Re-enable button if override failed
-          overrideBtn.disabled = false;
-          overrideBtn.innerHTML = originalContent;
+          // Fallback - try to go back or to domain homepage
+          window.location.href = `https://${domain}`;
         }
+      } else {
+        // Policy refusals come back with a user-facing message
+        errorText.textContent = response?.error || 'Override failed';
+        confirmBtn.textContent = 'Override';
+        confirmBtn.disabled = false;
+        overrideBtn.disabled = false;
       }
     } catch (error) {
-      console.error('Error handling override:', error);
-      // Re-enable button on error
-      const overrideBtn = document.getElementById('overrideBtn');
+      console.error('Error confirming override:', error);
+      errorText.textContent = 'Override failed';
+      confirmBtn.textContent = 'Override';
+      confirmBtn.disabled = false;
       overrideBtn.disabled = false;
-      overrideBtn.innerHTML = `
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <circle cx="12" cy="12" r="10"/>
-          <polyline points="12 6 12 12 16 14"/>
-        </svg>
-        Override (5 min)
-      `;
     }
   }
 
@@ -224,7 +325,31 @@ class BlockedPage {
       } catch (error) {
         // Silently handle errors to avoid spam
       }
+
+      this.updatePomodoroTimer();
     }, 1000);
+    this.updatePomodoroTimer();
+  }
+
+  async updatePomodoroTimer() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_POMODORO_STATE' });
+      const timer = document.getElementById('pomodoroTimer');
+      const pomodoro = response?.data;
+      if (!response?.success || !timer) return;
+
+      if (!pomodoro || pomodoro.status === 'idle') {
+        timer.style.display = 'none';
+        return;
+      }
+
+      const phaseLabels = { work: 'Focus', shortBreak: 'Short break', longBreak: 'Long break' };
+      const suffix = pomodoro.status === 'running' ? 'left' : pomodoro.status === 'paused' ? 'left (paused)' : 'up next';
+      timer.textContent = `🍅 ${phaseLabels[pomodoro.phase]}: ${this.formatTime(pomodoro.remaining, 'clock')} ${suffix}`;
+      timer.style.display = '';
+    } catch (error) {
+      // Silently handle errors to avoid spam
+    }
   }
 
   extractDomain(url) {
@@ -270,10 +395,7 @@ document.addEventListener('DOMContentLoaded', function() {
   // Get DOM elements
   const backBtn = document.getElementById('backBtn');
   const openPopupBtn = document.getElementById('openPopupBtn');
-  const overrideBtn = document.getElementById('overrideBtn');
   const modal = document.getElementById('actionModal');
-  const modalTitle = document.getElementById('modalTitle');
-  const modalContent = document.getElementById('modalContent');
   const modalClose = document.getElementById('modalClose');
 
   const DASHBOARD_URL = 'https://make10000hours.com/#/deep-focus';
@@ -289,18 +411,9 @@ document.addEventListener('DOMContentLoaded', function() {
   backBtn.addEventListener('click', navigateToDashboard);
   openPopupBtn.addEventListener('click', navigateToDashboard);
 
-  // Override button handler
-  overrideBtn.addEventListener('click', function() {
-    showModal('Override Session', 'Are you sure you want to override for 5 minutes?');
-  });
+  // The override button is handled by BlockedPage, which fills this modal with the override form
 
   // Modal functions
-  function showModal(title, content) {
-    modalTitle.textContent = title;
-    modalContent.textContent = content;
-    modal.classList.add('visible');
-  }
-
   function hideModal() {
     modal.classList.remove('visible');
   }
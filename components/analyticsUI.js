@@ -298,6 +298,7 @@ class AnalyticsUI {
 
       if (response.success) {
         this.currentData = response.data;
+        this.charts.setCategories(response.data.categoryDefinitions);
         this.renderAnalytics();
       } else {
         throw new Error(response.error || 'Failed to load analytics data');
@@ -438,7 +439,7 @@ class AnalyticsUI {
         <div style="
           width: 32px; 
           height: 32px; 
-          background: ${this.charts.colors[site.category] || this.charts.colors.other}; 
+          background: ${this.charts.getCategoryColor(site.category)}; 
           border-radius: 8px; 
           display: flex; 
           align-items: center; 
@@ -456,7 +457,7 @@ class AnalyticsUI {
             ${site.domain}
           </div>
           <div style="font-size: 12px; color: #6B7280; text-transform: capitalize;">
-            ${site.category} • ${site.visits} visits
+            ${this.charts.getCategoryLabel(site.category)} • ${site.visits} visits
           </div>
         </div>
         
@@ -583,14 +584,27 @@ class AnalyticsUI {
           Loading goals...
         </div>
         
-        <div id="goals-content" style="display: none;">
-          <div id="daily-goal" class="goal-item"></div>
-          <div id="weekly-goal" class="goal-item"></div>
-          <div id="monthly-goal" class="goal-item"></div>
-        </div>
+        <div id="goals-content" style="display: none;"></div>
+
+        <button id="manage-goals-btn" style="
+          width: 100%;
+          padding: 8px;
+          border: 1px dashed #D1D5DB;
+          border-radius: 8px;
+          background: none;
+          color: #6B7280;
+          font-size: 12px;
+          cursor: pointer;
+        ">
+          ⚙️ Add or edit goals
+        </button>
       </div>
     `;
 
+    document.getElementById('manage-goals-btn').addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+
     this.loadProductivityGoals();
   }
 
@@ -612,21 +626,39 @@ class AnalyticsUI {
   }
 
   /**
-   * Render productivity goals
+   * Render productivity goals with progress, streaks and recent met/missed periods
    */
   renderProductivityGoals(goals) {
     const goalsLoading = document.getElementById('goals-loading');
     const goalsContent = document.getElementById('goals-content');
     
     if (goalsLoading) goalsLoading.style.display = 'none';
-    if (goalsContent) goalsContent.style.display = 'block';
+    if (!goalsContent) return;
+    goalsContent.style.display = 'block';
+
+    if (goals.length === 0) {
+      goalsContent.innerHTML = `
+        <div style="text-align: center; color: #6B7280; padding: 20px; font-size: 12px;">
+          No goals yet. Add one to start a streak.
+        </div>
+      `;
+      return;
+    }
 
-    Object.entries(goals).forEach(([key, goal]) => {
-      const goalEl = document.getElementById(`${key}-goal`);
-      if (!goalEl) return;
+    goalsContent.innerHTML = '';
+
+    goals.forEach(goal => {
+      const goalEl = document.createElement('div');
+      goalEl.className = 'goal-item';
+
+      const isLimit = goal.type === 'time-max';
+      const progress = goal.target > 0 ? (goal.current / goal.target) * 100 : (goal.current > 0 ? 100 : 0);
+      const status = isLimit
+        ? (goal.met ? 'Within limit' : 'Over limit')
+        : (goal.met ? 'Met' : `${Math.round(progress)}%`);
+      const statusColor = goal.met ? '#10B981' : (isLimit ? '#EF4444' : '#6B7280');
+      const periodName = { daily: 'day', weekly: 'week', monthly: 'month' }[goal.period];
 
-      const progress = goal.target > 0 ? (goal.current / goal.target) * 100 : 0;
-      
       goalEl.innerHTML = `
         <div style="
           background: white; 
@@ -637,45 +669,95 @@ class AnalyticsUI {
         ">
           <div style="
             display: flex; 
-            justify-content: between; 
+            justify-content: space-between; 
             align-items: center; 
-            margin-bottom: 12px;
+            margin-bottom: 4px;
           ">
-            <h4 style="
+            <h4 class="goal-title" style="
               font-size: 13px; 
               font-weight: 500; 
               color: #1F2937; 
               margin: 0;
-              text-transform: capitalize;
-            ">
-              ${goal.type} Goal
-            </h4>
+            "></h4>
             <span style="
               font-size: 12px; 
-              color: #6B7280;
+              color: ${statusColor};
             ">
-              ${Math.round(progress)}%
+              ${status}
             </span>
           </div>
           
-          <p style="
+          <p class="goal-description" style="
             font-size: 12px; 
             color: #6B7280; 
             margin: 0 0 12px 0;
-          ">
-            ${goal.description}
-          </p>
+          "></p>
           
-          <div id="goal-progress-${key}"></div>
+          <div id="goal-progress-${goal.id}"></div>
+
+          <div style="
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-top: 10px;
+            font-size: 11px;
+            color: #6B7280;
+          ">
+            <span>${goal.streak > 0 ? `🔥 ${goal.streak} ${periodName} streak` : 'No streak yet'} · best ${goal.bestStreak || 0}</span>
+            <span class="goal-history" style="display: flex; gap: 3px;"></span>
+          </div>
         </div>
       `;
 
-      // Create progress bar
-      this.charts.createProgressBar(`goal-progress-${key}`, goal.current, goal.target, {
-        height: 6
+      goalEl.querySelector('.goal-title').textContent = goal.title || this.describeGoal(goal);
+      goalEl.querySelector('.goal-description').textContent =
+        `${this.describeGoal(goal)} · ${this.formatGoalValue(goal, goal.current)} so far`;
+
+      const historyEl = goalEl.querySelector('.goal-history');
+      goal.history.forEach(entry => {
+        const dot = document.createElement('span');
+        dot.style.cssText = `width: 8px; height: 8px; border-radius: 2px; background: ${entry.met ? '#10B981' : '#EF4444'};`;
+        dot.title = `${entry.key}: ${this.formatGoalValue(goal, entry.value)} (${entry.met ? 'met' : 'missed'})`;
+        historyEl.appendChild(dot);
       });
+
+      goalsContent.appendChild(goalEl);
+
+      const barOptions = { height: 6 };
+      if (isLimit && !goal.met) {
+        barOptions.fillColor = this.charts.colors.social;
+      }
+      this.charts.createProgressBar(`goal-progress-${goal.id}`, goal.current, Math.max(goal.target, 1), barOptions);
     });
   }
+
+  /**
+   * One-line summary of what a goal asks for
+   */
+  describeGoal(goal) {
+    const periodText = { daily: 'a day', weekly: 'a week', monthly: 'a month' }[goal.period];
+    const target = this.formatGoalValue(goal, goal.target);
+
+    switch (goal.type) {
+      case 'category-min':
+        return `At least ${target} on ${goal.scopeLabel} ${periodText}`;
+      case 'time-max':
+        return `At most ${target} on ${goal.scopeLabel} ${periodText}`;
+      case 'focus-sessions':
+        return `${target} completed focus sessions ${periodText}`;
+      case 'score-min':
+        return `Average productivity score of ${target}+ ${periodText}`;
+      default:
+        return '';
+    }
+  }
+
+  formatGoalValue(goal, value) {
+    if (goal.type === 'category-min' || goal.type === 'time-max') {
+      return value > 0 ? this.charts.formatTime(value) : '0m';
+    }
+    return String(value);
+  }
 }
 
 // Export for use in other files
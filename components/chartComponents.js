@@ -15,6 +15,26 @@ class ChartComponents {
       secondary: '#9CA3AF',  // Light Gray
       accent: '#8B5CF6'      // Purple
     };
+    this.categoryColors = {}; // User-defined categories, by id
+    this.categoryLabels = {};
+  }
+
+  /**
+   * Register the colours and names of the user's categories
+   */
+  setCategories(categories = []) {
+    categories.forEach(category => {
+      this.categoryColors[category.id] = category.color;
+      this.categoryLabels[category.id] = category.name;
+    });
+  }
+
+  getCategoryColor(category) {
+    return this.categoryColors[category] || this.colors[category] || this.colors.other;
+  }
+
+  getCategoryLabel(category) {
+    return this.categoryLabels[category] || category;
   }
 
   /**
@@ -232,7 +252,7 @@ class ChartComponents {
     
     data.forEach((item, index) => {
       const segmentAngle = (item.value / total) * 2 * Math.PI;
-      const color = this.colors[item.category] || this.colors.other;
+      const color = this.getCategoryColor(item.category);
       
       // Draw segment
       ctx.fillStyle = color;
@@ -344,7 +364,7 @@ class ChartComponents {
       <div style="display: flex; align-items: end; gap: 8px; height: ${config.maxHeight}px;">
         ${data.map(item => {
           const height = maxValue > 0 ? (item.value / maxValue) * config.maxHeight : 0;
-          const color = this.colors[item.category] || config.barColor;
+          const color = this.categoryColors[item.category] || this.colors[item.category] || config.barColor;
           
           return `
             <div style="
@@ -390,7 +410,7 @@ class ChartComponents {
     legend.style.fontSize = '12px';
 
     data.forEach(item => {
-      const color = this.colors[item.category] || this.colors.other;
+      const color = this.getCategoryColor(item.category);
       const legendItem = document.createElement('div');
       legendItem.style.display = 'flex';
       legendItem.style.alignItems = 'center';
@@ -404,7 +424,7 @@ class ChartComponents {
           border-radius: 2px;
         "></div>
         <span style="color: ${this.colors.primary}; text-transform: capitalize;">
-          ${item.category}
+          ${this.getCategoryLabel(item.category)}
         </span>
         <span style="color: ${this.colors.secondary}; margin-left: auto;">
           ${this.formatTime(item.value)}
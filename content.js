@@ -14,6 +14,7 @@ class ActivityDetector {
     this.isActive = true;
     this.isPageVisible = !document.hidden;
     this.isWindowFocused = document.hasFocus();
+    this.mediaPlaying = false;
     this.activityCheckInterval = null;
     this.reportingInterval = null;
     this.inactivityThreshold = 30000; // 30 seconds
@@ -220,6 +221,13 @@ class ActivityDetector {
       }, { passive: true });
     });
 
+    // Media playback changes (media events don't bubble, so listen in the capture phase)
+    ['play', 'pause', 'ended', 'volumechange'].forEach(eventType => {
+      document.addEventListener(eventType, () => {
+        this.handleMediaChange();
+      }, true);
+    });
+
     // Enhanced page visibility change
     document.addEventListener('visibilitychange', () => {
       this.handleEnhancedVisibilityChange();
@@ -279,6 +287,27 @@ class ActivityDetector {
     }
   }
 
+  /**
+   * Whether an unmuted <video> or <audio> element is playing
+   */
+  isMediaPlaying() {
+    return Array.from(document.querySelectorAll('video, audio')).some(media =>
+      !media.paused && !media.ended && !media.muted && media.volume > 0
+    );
+  }
+
+  /**
+   * Report playback starting or stopping right away, so watching keeps the session active
+   */
+  handleMediaChange() {
+    const playing = this.isMediaPlaying();
+    if (playing === this.mediaPlaying) return;
+
+    console.log(`🎬 Media ${playing ? 'playing' : 'stopped'}`);
+    this.mediaPlaying = playing;
+    this.reportEnhancedActivity('media');
+  }
+
   /**
    * Enhanced visibility change handling
    */
@@ -405,6 +434,7 @@ class ActivityDetector {
         timeSinceLastActivity: timeSinceLastActivity,
         isVisible: this.isPageVisible,
         isWindowFocused: this.isWindowFocused,
+        isMediaPlaying: this.isMediaPlaying(),
         url: window.location.href,
         domain: window.location.hostname,
         timestamp: now,
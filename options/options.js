@@ -119,12 +119,7 @@ class BlockedSitesManager {
       return;
     }
 
-    // Validate domain format
-    if (!this.isValidDomain(domain)) {
-      this.showToast('Please enter a valid domain (e.g., facebook.com)', 'error');
-      return;
-    }
-
+    // The background validates the pattern and reports why it was rejected
     try {
       const response = await this.sendMessage('ADD_BLOCKED_SITE', { domain });
       
@@ -271,11 +266,6 @@ class BlockedSitesManager {
           continue;
         }
 
-        if (!this.isValidDomain(domain)) {
-          skippedCount++;
-          continue;
-        }
-
         const response = await this.sendMessage('ADD_BLOCKED_SITE', { domain });
         if (response && response.success) {
           this.blockedSites.add(response.domain);
@@ -348,18 +338,21 @@ class BlockedSitesManager {
     
     card.innerHTML = `
       <div class="site-info">
-        <div class="site-domain">${domain}</div>
-        <div class="site-meta">Blocked since today</div>
+        <div class="site-domain"></div>
+        <div class="site-meta">${this.describeBlockPattern(domain)}</div>
       </div>
       <div class="site-actions">
-        <button class="btn danger small remove-site-btn" data-domain="${domain}">
+        <button class="btn danger small remove-site-btn">
           🗑️ Remove
         </button>
       </div>
     `;
+    // Patterns may contain markup characters, so set them as text
+    card.querySelector('.site-domain').textContent = domain;
 
     // Add event listener to the remove button (CSP compliant)
     const removeBtn = card.querySelector('.remove-site-btn');
+    removeBtn.setAttribute('data-domain', domain);
     removeBtn.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
@@ -417,10 +410,16 @@ class BlockedSitesManager {
     }
   }
 
-  isValidDomain(domain) {
-    // Basic domain validation
-    const domainRegex = /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9]?\.([a-zA-Z]{2,}\.?)+$/;
-    return domainRegex.test(domain) || /^[a-zA-Z0-9][a-zA-Z0-9-]{0,61}[a-zA-Z0-9]?\.[a-zA-Z]{2,}$/.test(domain);
+  /**
+   * Describe which kind of block pattern an entry is, for the label under it in the list
+   * Domains, path prefixes (youtube.com/shorts), wildcards (*.reddit.com/r/*)
+   * and regular expressions wrapped in slashes; the background checks that a pattern is valid
+   */
+  describeBlockPattern(pattern) {
+    if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) return 'Regular expression';
+    if (pattern.includes('*')) return 'Wildcard pattern';
+    if (pattern.includes('/')) return 'Path prefix';
+    return 'Entire site';
   }
 
   async sendMessage(type, payload = {}) {
@@ -454,8 +453,1852 @@ class BlockedSitesManager {
   }
 }
 
+/**
+ * Allowlist Manager - focus mode that blocks every site except an allowlist
+ */
+class AllowlistManager {
+  constructor(app) {
+    this.app = app; // Shared messaging, pattern labels and toast helpers
+    this.allowedSites = new Set();
+    this.blockingMode = 'blocklist';
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const [sitesResponse, statsResponse] = await Promise.all([
+        this.app.sendMessage('GET_ALLOWED_SITES'),
+        this.app.sendMessage('GET_FOCUS_STATS')
+      ]);
+
+      if (sitesResponse && sitesResponse.success) {
+        this.allowedSites = new Set(sitesResponse.data || []);
+      }
+      if (statsResponse && statsResponse.success) {
+        this.blockingMode = statsResponse.data.blockingMode || 'blocklist';
+      }
+
+      this.setupEventListeners();
+      this.renderMode();
+      this.renderAllowedSites();
+    } catch (error) {
+      console.error('❌ Failed to load allowlist:', error);
+      this.app.showToast('Failed to load allowlist', 'error');
+    }
+  }
+
+  setupEventListeners() {
+    const input = document.getElementById('new-allowed-site-input');
+
+    document.getElementById('add-allowed-site-btn')?.addEventListener('click', () => this.handleAddAllowedSite());
+    input?.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.handleAddAllowedSite();
+      }
+    });
+
+    document.querySelectorAll('input[name="blocking-mode"]').forEach(radio => {
+      radio.addEventListener('change', () => this.handleModeChange(radio.value));
+    });
+  }
+
+  renderMode() {
+    document.querySelectorAll('input[name="blocking-mode"]').forEach(radio => {
+      radio.checked = radio.value === this.blockingMode;
+    });
+  }
+
+  async handleModeChange(mode) {
+    try {
+      const response = await this.app.sendMessage('SET_BLOCKING_MODE', { mode });
+
+      if (response && response.success) {
+        this.blockingMode = mode;
+        this.app.showToast(
+          mode === 'allowlist' ? 'Focus mode will allow only your allowed sites' : 'Focus mode will block your block list',
+          'success'
+        );
+      } else {
+        this.renderMode();
+        this.app.showToast(`Failed to change mode: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error changing blocking mode:', error);
+      this.renderMode();
+      this.app.showToast('Failed to change mode', 'error');
+    }
+  }
+
+  async handleAddAllowedSite() {
+    const input = document.getElementById('new-allowed-site-input');
+    const domain = input?.value?.trim();
+
+    if (!domain) {
+      this.app.showToast('Please enter a domain', 'warning');
+      return;
+    }
+
+    try {
+      const response = await this.app.sendMessage('ADD_ALLOWED_SITE', { domain });
+
+      if (response && response.success) {
+        this.allowedSites.add(response.domain);
+        input.value = '';
+        this.renderAllowedSites();
+        this.app.showToast(`Site "${response.domain}" is allowed`, 'success');
+      } else {
+        this.app.showToast(`Failed to allow site: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error adding allowed site:', error);
+      this.app.showToast('Failed to add allowed site', 'error');
+    }
+  }
+
+  async handleRemoveAllowedSite(domain) {
+    try {
+      const response = await this.app.sendMessage('REMOVE_ALLOWED_SITE', { domain });
+
+      if (response && response.success) {
+        this.allowedSites.delete(domain);
+        this.renderAllowedSites();
+        this.app.showToast(`Site "${domain}" removed from allowlist`, 'success');
+      } else {
+        this.app.showToast(`Failed to remove site: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error removing allowed site:', error);
+      this.app.showToast('Failed to remove allowed site', 'error');
+    }
+  }
+
+  renderAllowedSites() {
+    const container = document.getElementById('allowed-sites-container');
+    const countElement = document.getElementById('allowed-count');
+    if (!container || !countElement) return;
+
+    countElement.textContent = this.allowedSites.size;
+    container.innerHTML = '';
+
+    if (this.allowedSites.size === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">✅</div>
+          <h4>No allowed sites yet</h4>
+          <p>In allowlist mode every site will be blocked until you add some.</p>
+        </div>
+      `;
+      return;
+    }
+
+    Array.from(this.allowedSites).sort().forEach(domain => {
+      const card = document.createElement('div');
+      card.className = 'site-card';
+      card.innerHTML = `
+        <div class="site-info">
+          <div class="site-domain"></div>
+          <div class="site-meta">${this.app.describeBlockPattern(domain)}</div>
+        </div>
+        <div class="site-actions">
+          <button class="btn danger small">🗑️ Remove</button>
+        </div>
+      `;
+      card.querySelector('.site-domain').textContent = domain;
+      card.querySelector('.btn').addEventListener('click', () => this.handleRemoveAllowedSite(domain));
+      container.appendChild(card);
+    });
+  }
+}
+
+/**
+ * Category Taxonomy Manager - user-defined categories and the rules that sort sites into them
+ */
+class CategoryTaxonomyManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.taxonomy = { categories: [], rules: [] };
+    this.editingId = null;
+    this.ruleTypeLabels = {
+      domain: 'Exact domain',
+      subdomain: 'Domain and subdomains',
+      path: 'Path prefix',
+      regex: 'URL regex',
+      title: 'Title keyword'
+    };
+    this.rulePlaceholders = {
+      domain: 'e.g., youtube.com',
+      subdomain: 'e.g., google.com (also mail.google.com)',
+      path: 'e.g., youtube.com/feed',
+      regex: 'e.g., ^https://[^/]+/docs/',
+      title: 'e.g., tutorial'
+    };
+    this.mediaPolicyLabels = {
+      active: 'media active',
+      passive: 'media passive',
+      ignore: 'media ignored'
+    };
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const response = await this.app.sendMessage('GET_CATEGORY_TAXONOMY');
+      if (response && response.success) {
+        this.taxonomy = response.data;
+      }
+
+      this.setupEventListeners();
+      this.render();
+    } catch (error) {
+      console.error('❌ Failed to load categories:', error);
+      this.app.showToast('Failed to load categories', 'error');
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('save-category-btn')?.addEventListener('click', () => this.handleSaveCategory());
+    document.getElementById('cancel-category-btn')?.addEventListener('click', () => this.resetForm());
+    document.getElementById('add-rule-btn')?.addEventListener('click', () => this.handleAddRule());
+    document.getElementById('rule-type-select')?.addEventListener('change', (e) => {
+      document.getElementById('rule-pattern-input').placeholder = this.rulePlaceholders[e.target.value];
+    });
+
+    const importInput = document.getElementById('import-taxonomy-input');
+    document.getElementById('export-taxonomy-btn')?.addEventListener('click', () => this.exportTaxonomy());
+    document.getElementById('import-taxonomy-btn')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', (e) => this.importTaxonomy(e));
+  }
+
+  getCategory(categoryId) {
+    return this.taxonomy.categories.find(category => category.id === categoryId);
+  }
+
+  /**
+   * Send the whole taxonomy to the background, which validates it before storing
+   */
+  async submitTaxonomy(taxonomy, successMessage) {
+    try {
+      const response = await this.app.sendMessage('SAVE_CATEGORY_TAXONOMY', { taxonomy });
+
+      if (response && response.success) {
+        this.taxonomy = response.data;
+        this.render();
+        window.scoreModelManager?.loadModel(); // Weights feed the score preview
+        this.app.showToast(successMessage, 'success');
+        return true;
+      }
+
+      this.app.showToast(`Failed to save categories: ${response?.error || 'Unknown error'}`, 'error');
+    } catch (error) {
+      console.error('❌ Error saving categories:', error);
+      this.app.showToast('Failed to save categories', 'error');
+    }
+    return false;
+  }
+
+  async handleSaveCategory() {
+    const name = document.getElementById('category-name-input').value.trim();
+    const color = document.getElementById('category-color-input').value;
+    const weight = Number(document.getElementById('category-weight-input').value);
+    const mediaPolicy = document.getElementById('category-media-input').value;
+
+    if (!name) {
+      this.app.showToast('Please enter a category name', 'warning');
+      return;
+    }
+
+    const categories = this.editingId
+      ? this.taxonomy.categories.map(category => (
+        category.id === this.editingId ? { ...category, name, color, weight, mediaPolicy } : category
+      ))
+      : [...this.taxonomy.categories, { name, color, weight, mediaPolicy }];
+
+    if (await this.submitTaxonomy({ ...this.taxonomy, categories }, `Category "${name}" saved`)) {
+      this.resetForm();
+    }
+  }
+
+  editCategory(categoryId) {
+    const category = this.getCategory(categoryId);
+    if (!category) return;
+
+    this.editingId = categoryId;
+    document.getElementById('category-form-title').textContent = `Edit "${category.name}"`;
+    document.getElementById('category-name-input').value = category.name;
+    document.getElementById('category-color-input').value = category.color;
+    document.getElementById('category-weight-input').value = category.weight;
+    document.getElementById('category-media-input').value = category.mediaPolicy;
+    document.getElementById('cancel-category-btn').style.display = '';
+    document.getElementById('category-form').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  resetForm() {
+    this.editingId = null;
+    document.getElementById('category-form-title').textContent = 'Add Category';
+    document.getElementById('category-name-input').value = '';
+    document.getElementById('category-color-input').value = '#8B5CF6';
+    document.getElementById('category-weight-input').value = 0;
+    document.getElementById('category-media-input').value = 'active';
+    document.getElementById('cancel-category-btn').style.display = 'none';
+  }
+
+  async handleDeleteCategory(categoryId) {
+    const category = this.getCategory(categoryId);
+    const ruleCount = this.taxonomy.rules.filter(rule => rule.categoryId === categoryId).length;
+    if (!category || !confirm(`Delete "${category.name}" and its ${ruleCount} rules? Its sites will fall back to other rules or Other.`)) return;
+
+    const taxonomy = {
+      categories: this.taxonomy.categories.filter(item => item.id !== categoryId),
+      rules: this.taxonomy.rules.filter(rule => rule.categoryId !== categoryId)
+    };
+
+    if (await this.submitTaxonomy(taxonomy, `Category "${category.name}" deleted`) && this.editingId === categoryId) {
+      this.resetForm();
+    }
+  }
+
+  async handleAddRule() {
+    const patternInput = document.getElementById('rule-pattern-input');
+    const rule = {
+      type: document.getElementById('rule-type-select').value,
+      pattern: patternInput.value.trim(),
+      categoryId: document.getElementById('rule-category-select').value,
+      priority: Number(document.getElementById('rule-priority-input').value) || 0
+    };
+
+    if (!rule.pattern) {
+      this.app.showToast('Please enter a pattern', 'warning');
+      return;
+    }
+
+    const taxonomy = { ...this.taxonomy, rules: [...this.taxonomy.rules, rule] };
+    if (await this.submitTaxonomy(taxonomy, `Rule added for ${this.getCategory(rule.categoryId)?.name}`)) {
+      patternInput.value = '';
+    }
+  }
+
+  async handleRulePriorityChange(ruleId, priority) {
+    const rules = this.taxonomy.rules.map(rule => (rule.id === ruleId ? { ...rule, priority } : rule));
+    await this.submitTaxonomy({ ...this.taxonomy, rules }, 'Rule priority updated');
+  }
+
+  async handleDeleteRule(ruleId) {
+    const rules = this.taxonomy.rules.filter(rule => rule.id !== ruleId);
+    await this.submitTaxonomy({ ...this.taxonomy, rules }, 'Rule removed');
+  }
+
+  exportTaxonomy() {
+    const exportData = {
+      version: 1,
+      exportDate: new Date().toISOString(),
+      categories: this.taxonomy.categories,
+      rules: this.taxonomy.rules
+    };
+
+    const dataBlob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(dataBlob);
+    link.download = `focus-tracker-categories-${new Date().toISOString().split('T')[0]}.json`;
+    link.click();
+
+    this.app.showToast(`Exported ${this.taxonomy.categories.length} categories and ${this.taxonomy.rules.length} rules`, 'success');
+  }
+
+  /**
+   * Replace the taxonomy with one from a file; the background rejects it whole if anything is invalid
+   */
+  async importTaxonomy(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const importData = JSON.parse(await file.text());
+      if (!Array.isArray(importData.categories) || !Array.isArray(importData.rules)) {
+        throw new Error('Invalid file format. Expected "categories" and "rules" arrays.');
+      }
+
+      if (confirm(`Replace your categories with ${importData.categories.length} categories and ${importData.rules.length} rules from ${file.name}?`)) {
+        this.resetForm();
+        await this.submitTaxonomy(
+          { categories: importData.categories, rules: importData.rules },
+          `Imported ${importData.categories.length} categories`
+        );
+      }
+    } catch (error) {
+      console.error('❌ Error importing categories:', error);
+      this.app.showToast('Failed to import categories. Please check the file format.', 'error');
+    }
+
+    // Clear the file input
+    event.target.value = '';
+  }
+
+  render() {
+    this.renderCategories();
+    this.renderRules();
+
+    const ruleCategorySelect = document.getElementById('rule-category-select');
+    if (ruleCategorySelect) {
+      const selected = ruleCategorySelect.value;
+      this.fillCategorySelect(ruleCategorySelect);
+      if (this.getCategory(selected)) {
+        ruleCategorySelect.value = selected;
+      }
+    }
+
+    window.dailyQuotaManager?.setCategories(this.taxonomy.categories);
+    window.goalSettingsManager?.setCategories(this.taxonomy.categories);
+  }
+
+  fillCategorySelect(select) {
+    select.innerHTML = '';
+    this.taxonomy.categories.forEach(category => {
+      const option = document.createElement('option');
+      option.value = category.id;
+      option.textContent = category.name;
+      select.appendChild(option);
+    });
+  }
+
+  renderCategories() {
+    const container = document.getElementById('categories-container');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    this.taxonomy.categories.forEach(category => {
+      const ruleCount = this.taxonomy.rules.filter(rule => rule.categoryId === category.id).length;
+      const card = document.createElement('div');
+      card.className = 'site-card';
+
+      card.innerHTML = `
+        <div class="site-info">
+          <div class="site-domain"><span class="category-swatch"></span><span class="category-name"></span></div>
+          <div class="site-meta">Weight ${category.weight > 0 ? '+' : ''}${category.weight} · ${this.mediaPolicyLabels[category.mediaPolicy] || ''} · ${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'}</div>
+        </div>
+        <div class="site-actions">
+          <button class="btn secondary small edit-category-btn">✏️ Edit</button>
+          ${category.id === 'other' ? '' : '<button class="btn danger small delete-category-btn">🗑️</button>'}
+        </div>
+      `;
+      card.querySelector('.category-swatch').style.background = category.color;
+      card.querySelector('.category-name').textContent = category.name;
+
+      card.querySelector('.edit-category-btn').addEventListener('click', () => this.editCategory(category.id));
+      card.querySelector('.delete-category-btn')?.addEventListener('click', () => this.handleDeleteCategory(category.id));
+      container.appendChild(card);
+    });
+  }
+
+  renderRules() {
+    const container = document.getElementById('category-rules-container');
+    if (!container) return;
+
+    document.getElementById('category-rules-count').textContent = this.taxonomy.rules.length;
+    container.innerHTML = '';
+
+    if (this.taxonomy.rules.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">🏷️</div>
+          <h4>No rules yet</h4>
+          <p>Every site counts as Other until a rule matches it.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+      <thead>
+        <tr><th>Priority</th><th>Match</th><th>Pattern</th><th>Category</th><th></th></tr>
+      </thead>
+      <tbody></tbody>
+    `;
+
+    const tbody = table.querySelector('tbody');
+    this.taxonomy.rules.forEach(rule => {
+      const row = tbody.insertRow();
+
+      const priorityInput = document.createElement('input');
+      priorityInput.type = 'number';
+      priorityInput.step = '1';
+      priorityInput.value = rule.priority;
+      priorityInput.addEventListener('change', () => {
+        const priority = Number(priorityInput.value);
+        if (Number.isFinite(priority) && priority !== rule.priority) {
+          this.handleRulePriorityChange(rule.id, priority);
+        }
+      });
+      row.insertCell().appendChild(priorityInput);
+
+      row.insertCell().textContent = this.ruleTypeLabels[rule.type] || rule.type;
+      row.insertCell().textContent = rule.pattern;
+      row.insertCell().textContent = this.getCategory(rule.categoryId)?.name || rule.categoryId;
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'btn danger small';
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.addEventListener('click', () => this.handleDeleteRule(rule.id));
+      row.insertCell().appendChild(deleteBtn);
+    });
+
+    container.appendChild(table);
+  }
+}
+
+/**
+ * Score Model Manager - how the daily productivity score is calculated
+ */
+class ScoreModelManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.model = null;
+    this.today = null;
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      await this.loadModel();
+      this.setupEventListeners();
+    } catch (error) {
+      console.error('❌ Failed to load score model:', error);
+      this.app.showToast('Failed to load score model', 'error');
+    }
+  }
+
+  async loadModel() {
+    const response = await this.app.sendMessage('GET_SCORE_MODEL');
+    if (response && response.success) {
+      this.model = response.data.model;
+      this.today = response.data.today;
+      this.renderModel();
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('save-score-model-btn')?.addEventListener('click', () => this.handleSaveModel());
+    document.getElementById('score-focus-bonus-enabled')?.addEventListener('change', () => this.updateBonusState());
+  }
+
+  renderModel() {
+    if (!this.model) return;
+
+    document.getElementById('score-target-hours').value = this.model.targetHours;
+    document.getElementById('score-switch-penalty').value = this.model.switchPenalty;
+    document.getElementById('score-free-switches').value = this.model.freeSwitchesPerHour;
+    document.getElementById('score-max-switch-penalty').value = this.model.maxSwitchPenalty;
+    document.getElementById('score-focus-bonus-enabled').checked = this.model.focusBonusEnabled;
+    document.getElementById('score-focus-session-bonus').value = this.model.focusSessionBonus;
+    document.getElementById('score-max-focus-bonus').value = this.model.maxFocusBonus;
+    this.updateBonusState();
+    this.renderPreview();
+  }
+
+  updateBonusState() {
+    const enabled = document.getElementById('score-focus-bonus-enabled').checked;
+    document.getElementById('score-focus-session-bonus').disabled = !enabled;
+    document.getElementById('score-max-focus-bonus').disabled = !enabled;
+  }
+
+  renderPreview() {
+    const preview = document.getElementById('score-model-preview');
+    if (!preview || !this.today) return;
+
+    const today = this.today;
+    preview.textContent = `Today: ${today.score} — ${today.baseScore} from ${this.app.formatTime(today.productiveTime)} productive ` +
+      `and ${this.app.formatTime(today.distractingTime)} distracting time, ` +
+      `−${today.switchPenalty} for ${today.contextSwitches} switches` +
+      (this.model.focusBonusEnabled ? `, +${today.focusBonus} focus bonus` : '');
+  }
+
+  async handleSaveModel() {
+    const model = {
+      targetHours: Number(document.getElementById('score-target-hours').value),
+      switchPenalty: Number(document.getElementById('score-switch-penalty').value),
+      freeSwitchesPerHour: Number(document.getElementById('score-free-switches').value),
+      maxSwitchPenalty: Number(document.getElementById('score-max-switch-penalty').value),
+      focusBonusEnabled: document.getElementById('score-focus-bonus-enabled').checked,
+      focusSessionBonus: Number(document.getElementById('score-focus-session-bonus').value),
+      maxFocusBonus: Number(document.getElementById('score-max-focus-bonus').value)
+    };
+
+    try {
+      const response = await this.app.sendMessage('SAVE_SCORE_MODEL', { model });
+
+      if (response && response.success) {
+        await this.loadModel();
+        this.app.showToast(`Score model saved, ${response.rescoredDays} days rescored`, 'success');
+      } else {
+        this.app.showToast(`Failed to save score model: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error saving score model:', error);
+      this.app.showToast('Failed to save score model', 'error');
+    }
+  }
+}
+
+/**
+ * Goal Settings Manager - goals measured from tracked time, focus sessions and scores
+ */
+class GoalSettingsManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.goals = [];
+    this.categories = [];
+    this.editingId = null;
+    this.periodNames = { daily: 'day', weekly: 'week', monthly: 'month' };
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const [goalsResponse, taxonomyResponse] = await Promise.all([
+        this.app.sendMessage('GET_PRODUCTIVITY_GOALS'),
+        this.app.sendMessage('GET_CATEGORY_TAXONOMY')
+      ]);
+      if (goalsResponse && goalsResponse.success) {
+        this.goals = goalsResponse.data || [];
+      }
+      if (taxonomyResponse && taxonomyResponse.success) {
+        this.setCategories(taxonomyResponse.data.categories);
+      }
+
+      this.setupEventListeners();
+      this.updateFormFields();
+      this.renderGoals();
+    } catch (error) {
+      console.error('❌ Failed to load goals:', error);
+      this.app.showToast('Failed to load goals', 'error');
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('goal-type-select')?.addEventListener('change', () => this.updateFormFields());
+    document.getElementById('save-goal-btn')?.addEventListener('click', () => this.handleSaveGoal());
+    document.getElementById('cancel-goal-btn')?.addEventListener('click', () => this.resetForm());
+  }
+
+  /**
+   * Keep the category picker in step with the taxonomy
+   */
+  setCategories(categories) {
+    this.categories = categories;
+
+    const select = document.getElementById('goal-category-select');
+    if (select) {
+      const selected = select.value;
+      select.innerHTML = '';
+      categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = category.name;
+        select.appendChild(option);
+      });
+      if (categories.some(category => category.id === selected)) {
+        select.value = selected;
+      }
+    }
+  }
+
+  /**
+   * Show the scope and target fields that fit the chosen goal type
+   */
+  updateFormFields() {
+    const [type, scopeKind] = document.getElementById('goal-type-select').value.split(':');
+    const targetInput = document.getElementById('goal-target-input');
+    const isTime = type === 'category-min' || type === 'time-max';
+
+    document.getElementById('goal-category-select').style.display = isTime && scopeKind !== 'site' ? '' : 'none';
+    document.getElementById('goal-site-input').style.display = scopeKind === 'site' ? '' : 'none';
+    targetInput.placeholder = isTime ? 'Minutes' : (type === 'score-min' ? 'Score (1-100)' : 'Sessions');
+    targetInput.max = type === 'score-min' ? '100' : '';
+  }
+
+  async handleSaveGoal() {
+    const [type, scopeKind] = document.getElementById('goal-type-select').value.split(':');
+    const targetValue = document.getElementById('goal-target-input').value;
+    const isTime = type === 'category-min' || type === 'time-max';
+
+    if (targetValue === '') {
+      this.app.showToast('Please enter a target', 'warning');
+      return;
+    }
+
+    const goal = {
+      id: this.editingId || undefined,
+      title: document.getElementById('goal-title-input').value.trim(),
+      type,
+      period: document.getElementById('goal-period-select').value,
+      scope: isTime
+        ? {
+          kind: scopeKind === 'site' ? 'site' : 'category',
+          value: scopeKind === 'site'
+            ? document.getElementById('goal-site-input').value.trim()
+            : document.getElementById('goal-category-select').value
+        }
+        : null,
+      target: isTime ? Number(targetValue) * 60000 : Number(targetValue)
+    };
+
+    try {
+      const response = await this.app.sendMessage('SAVE_GOAL', { goal });
+
+      if (response && response.success) {
+        this.goals = response.data;
+        this.resetForm();
+        this.renderGoals();
+        this.app.showToast('Goal saved', 'success');
+      } else {
+        this.app.showToast(`Failed to save goal: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error saving goal:', error);
+      this.app.showToast('Failed to save goal', 'error');
+    }
+  }
+
+  async handleDeleteGoal(goalId) {
+    const goal = this.goals.find(item => item.id === goalId);
+    if (!goal || !confirm(`Delete goal "${this.getGoalTitle(goal)}" and its history?`)) return;
+
+    try {
+      const response = await this.app.sendMessage('DELETE_GOAL', { goalId });
+
+      if (response && response.success) {
+        this.goals = response.data;
+        if (this.editingId === goalId) {
+          this.resetForm();
+        }
+        this.renderGoals();
+        this.app.showToast('Goal deleted', 'success');
+      } else {
+        this.app.showToast(`Failed to delete goal: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error deleting goal:', error);
+      this.app.showToast('Failed to delete goal', 'error');
+    }
+  }
+
+  editGoal(goalId) {
+    const goal = this.goals.find(item => item.id === goalId);
+    if (!goal) return;
+
+    const isTime = goal.type === 'category-min' || goal.type === 'time-max';
+    this.editingId = goalId;
+    document.getElementById('goal-form-title').textContent = `Edit "${this.getGoalTitle(goal)}"`;
+    document.getElementById('goal-title-input').value = goal.title || '';
+    document.getElementById('goal-type-select').value = goal.type === 'time-max' ? `time-max:${goal.scope.kind}` : goal.type;
+    document.getElementById('goal-period-select').value = goal.period;
+    if (goal.scope?.kind === 'site') {
+      document.getElementById('goal-site-input').value = goal.scope.value;
+    } else if (goal.scope) {
+      document.getElementById('goal-category-select').value = goal.scope.value;
+    }
+    document.getElementById('goal-target-input').value = isTime ? Math.round(goal.target / 60000) : goal.target;
+    document.getElementById('cancel-goal-btn').style.display = '';
+    this.updateFormFields();
+    document.getElementById('goal-form').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  resetForm() {
+    this.editingId = null;
+    document.getElementById('goal-form-title').textContent = 'Add Goal';
+    document.getElementById('goal-title-input').value = '';
+    document.getElementById('goal-site-input').value = '';
+    document.getElementById('goal-target-input').value = '';
+    document.getElementById('cancel-goal-btn').style.display = 'none';
+  }
+
+  /**
+   * One-line summary of what a goal asks for
+   */
+  describeGoal(goal) {
+    const per = `per ${this.periodNames[goal.period]}`;
+    switch (goal.type) {
+      case 'category-min':
+        return `At least ${this.app.formatTime(goal.target)} on ${goal.scopeLabel} ${per}`;
+      case 'time-max':
+        return `At most ${this.app.formatTime(goal.target)} on ${goal.scopeLabel} ${per}`;
+      case 'focus-sessions':
+        return `${goal.target} completed focus sessions ${per}`;
+      case 'score-min':
+        return `Average productivity score of ${goal.target}+ ${per}`;
+      default:
+        return goal.type;
+    }
+  }
+
+  getGoalTitle(goal) {
+    return goal.title || this.describeGoal(goal);
+  }
+
+  renderGoals() {
+    const container = document.getElementById('goals-container');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.goals.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">🎯</div>
+          <h4>No goals yet</h4>
+          <p>Add a goal above to start tracking streaks.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.goals.forEach(goal => {
+      const card = document.createElement('div');
+      card.className = 'site-card';
+
+      card.innerHTML = `
+        <div class="site-info">
+          <div class="site-domain"></div>
+          <div class="site-meta"></div>
+        </div>
+        <div class="site-actions">
+          <button class="btn secondary small edit-goal-btn">✏️ Edit</button>
+          <button class="btn danger small delete-goal-btn">🗑️</button>
+        </div>
+      `;
+      card.querySelector('.site-domain').textContent = this.getGoalTitle(goal);
+      card.querySelector('.site-meta').textContent = goal.title
+        ? `${this.describeGoal(goal)} · streak ${goal.streak}, best ${goal.bestStreak || 0}`
+        : `Streak ${goal.streak}, best ${goal.bestStreak || 0}`;
+
+      card.querySelector('.edit-goal-btn').addEventListener('click', () => this.editGoal(goal.id));
+      card.querySelector('.delete-goal-btn').addEventListener('click', () => this.handleDeleteGoal(goal.id));
+      container.appendChild(card);
+    });
+  }
+}
+
+/**
+ * Daily Quota Manager - per-site and per-category daily time budgets
+ */
+class DailyQuotaManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.quotas = [];
+    this.categories = [];
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const [response, taxonomyResponse] = await Promise.all([
+        this.app.sendMessage('GET_QUOTAS'),
+        this.app.sendMessage('GET_CATEGORY_TAXONOMY')
+      ]);
+      if (response && response.success) {
+        this.quotas = response.data || [];
+      }
+      if (taxonomyResponse && taxonomyResponse.success) {
+        this.setCategories(taxonomyResponse.data.categories);
+      }
+
+      this.setupEventListeners();
+      this.renderQuotas();
+    } catch (error) {
+      console.error('❌ Failed to load quotas:', error);
+      this.app.showToast('Failed to load quotas', 'error');
+    }
+  }
+
+  /**
+   * Keep the category picker in step with the taxonomy
+   */
+  setCategories(categories) {
+    this.categories = categories;
+
+    const select = document.getElementById('quota-category-select');
+    if (select) {
+      const selected = select.value;
+      select.innerHTML = '';
+      categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = category.name;
+        select.appendChild(option);
+      });
+      if (categories.some(category => category.id === selected)) {
+        select.value = selected;
+      }
+    }
+
+    this.renderQuotas();
+  }
+
+  getQuotaLabel(quota) {
+    if (quota.type !== 'category') return quota.target;
+    return this.categories.find(category => category.id === quota.target)?.name || quota.target;
+  }
+
+  setupEventListeners() {
+    const typeSelect = document.getElementById('quota-type-select');
+    typeSelect?.addEventListener('change', () => {
+      const isCategory = typeSelect.value === 'category';
+      document.getElementById('quota-domain-input').style.display = isCategory ? 'none' : '';
+      document.getElementById('quota-category-select').style.display = isCategory ? '' : 'none';
+    });
+
+    document.getElementById('add-quota-btn')?.addEventListener('click', () => this.handleSaveQuota());
+  }
+
+  async handleSaveQuota() {
+    const type = document.getElementById('quota-type-select').value;
+    const target = type === 'category'
+      ? document.getElementById('quota-category-select').value
+      : document.getElementById('quota-domain-input').value.trim();
+    const minutes = Number(document.getElementById('quota-minutes-input').value);
+
+    if (!target) {
+      this.app.showToast('Please enter a domain', 'warning');
+      return;
+    }
+    if (!minutes || minutes < 1) {
+      this.app.showToast('Please enter a daily limit in minutes', 'warning');
+      return;
+    }
+
+    // One quota per target: saving again updates the existing limit
+    const existing = this.quotas.find(quota => quota.type === type && quota.target === target);
+
+    try {
+      const response = await this.app.sendMessage('SAVE_QUOTA', {
+        quota: { id: existing?.id, type, target, limit: minutes * 60000 }
+      });
+
+      if (response && response.success) {
+        this.quotas = response.data;
+        document.getElementById('quota-domain-input').value = '';
+        document.getElementById('quota-minutes-input').value = '';
+        this.renderQuotas();
+        this.app.showToast(`Quota saved: ${minutes} min/day for ${this.getQuotaLabel(response.quota)}`, 'success');
+      } else {
+        this.app.showToast(`Failed to save quota: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error saving quota:', error);
+      this.app.showToast('Failed to save quota', 'error');
+    }
+  }
+
+  async handleDeleteQuota(quotaId) {
+    try {
+      const response = await this.app.sendMessage('DELETE_QUOTA', { quotaId });
+
+      if (response && response.success) {
+        this.quotas = response.data;
+        this.renderQuotas();
+        this.app.showToast('Quota removed', 'success');
+      } else {
+        this.app.showToast(`Failed to remove quota: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error removing quota:', error);
+      this.app.showToast('Failed to remove quota', 'error');
+    }
+  }
+
+  renderQuotas() {
+    const container = document.getElementById('quotas-container');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.quotas.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">⏳</div>
+          <h4>No quotas yet</h4>
+          <p>Add a daily limit above to cap time on a site or category.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.quotas.forEach(quota => {
+      const card = document.createElement('div');
+      card.className = `site-card${quota.exhausted ? ' exhausted' : ''}`;
+      const usedPercent = Math.min(100, Math.round((quota.used / quota.limit) * 100));
+
+      card.innerHTML = `
+        <div class="site-info">
+          <div class="site-domain"></div>
+          <div class="site-meta">
+            ${quota.type === 'category' ? 'Category' : 'Site'} ·
+            ${this.app.formatTime(quota.used)} of ${this.app.formatTime(quota.limit)} used today
+            ${quota.exhausted ? '· blocked until tomorrow' : ''}
+          </div>
+          <div class="quota-progress"><div class="quota-progress-fill" style="width: ${usedPercent}%"></div></div>
+        </div>
+        <div class="site-actions">
+          <button class="btn danger small">🗑️ Remove</button>
+        </div>
+      `;
+      card.querySelector('.site-domain').textContent = this.getQuotaLabel(quota);
+      card.querySelector('.btn').addEventListener('click', () => this.handleDeleteQuota(quota.id));
+      container.appendChild(card);
+    });
+  }
+}
+
+/**
+ * Pomodoro Settings Manager - interval lengths and auto-start for the built-in timer
+ */
+class PomodoroSettingsManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.settings = null;
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const response = await this.app.sendMessage('GET_POMODORO_STATE');
+      if (response && response.success) {
+        this.settings = response.data.settings;
+      }
+
+      document.getElementById('save-pomodoro-settings-btn')?.addEventListener('click', () => this.handleSaveSettings());
+      this.renderSettings();
+    } catch (error) {
+      console.error('❌ Failed to load Pomodoro settings:', error);
+      this.app.showToast('Failed to load Pomodoro settings', 'error');
+    }
+  }
+
+  renderSettings() {
+    if (!this.settings) return;
+
+    document.getElementById('pomodoro-work-minutes').value = this.settings.workMinutes;
+    document.getElementById('pomodoro-short-break-minutes').value = this.settings.shortBreakMinutes;
+    document.getElementById('pomodoro-long-break-minutes').value = this.settings.longBreakMinutes;
+    document.getElementById('pomodoro-cycles').value = this.settings.cyclesBeforeLongBreak;
+    document.getElementById('pomodoro-auto-start-breaks').checked = this.settings.autoStartBreaks;
+    document.getElementById('pomodoro-auto-start-work').checked = this.settings.autoStartWork;
+  }
+
+  async handleSaveSettings() {
+    const settings = {
+      workMinutes: Number(document.getElementById('pomodoro-work-minutes').value),
+      shortBreakMinutes: Number(document.getElementById('pomodoro-short-break-minutes').value),
+      longBreakMinutes: Number(document.getElementById('pomodoro-long-break-minutes').value),
+      cyclesBeforeLongBreak: Number(document.getElementById('pomodoro-cycles').value),
+      autoStartBreaks: document.getElementById('pomodoro-auto-start-breaks').checked,
+      autoStartWork: document.getElementById('pomodoro-auto-start-work').checked
+    };
+
+    try {
+      const response = await this.app.sendMessage('SAVE_POMODORO_SETTINGS', { settings });
+
+      if (response && response.success) {
+        this.settings = response.settings;
+        this.renderSettings();
+        this.app.showToast('Pomodoro settings saved', 'success');
+      } else {
+        this.app.showToast(`Failed to save Pomodoro settings: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error saving Pomodoro settings:', error);
+      this.app.showToast('Failed to save Pomodoro settings', 'error');
+    }
+  }
+}
+
+/**
+ * Notification Settings Manager - triggers, thresholds and quiet hours for notifications
+ */
+class NotificationSettingsManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.settings = null;
+
+    // Checkbox id -> setting toggled by it
+    this.toggles = {
+      'notifications-enabled': 'enabled',
+      'notify-quota-warning': 'quotaWarning',
+      'notify-goal-achieved': 'goalAchieved',
+      'notify-focus-session-ended': 'focusSessionEnded',
+      'notify-distraction-streak': 'distractionStreak',
+      'notify-daily-summary': 'dailySummary',
+      'notify-quiet-hours': 'quietHoursEnabled'
+    };
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const response = await this.app.sendMessage('GET_NOTIFICATION_SETTINGS');
+      if (response && response.success) {
+        this.settings = response.data.settings;
+      }
+
+      document.getElementById('save-notification-settings-btn')?.addEventListener('click', () => this.handleSaveSettings());
+      this.renderSettings();
+    } catch (error) {
+      console.error('❌ Failed to load notification settings:', error);
+      this.app.showToast('Failed to load notification settings', 'error');
+    }
+  }
+
+  renderSettings() {
+    if (!this.settings) return;
+
+    Object.entries(this.toggles).forEach(([id, key]) => {
+      document.getElementById(id).checked = this.settings[key];
+    });
+    document.getElementById('notify-quota-warning-minutes').value = this.settings.quotaWarningMinutes;
+    document.getElementById('notify-distraction-minutes').value = this.settings.distractionMinutes;
+    document.getElementById('notify-summary-time').value = this.settings.summaryTime;
+    document.getElementById('notify-quiet-start').value = this.settings.quietStart;
+    document.getElementById('notify-quiet-end').value = this.settings.quietEnd;
+  }
+
+  async handleSaveSettings() {
+    const settings = {
+      quotaWarningMinutes: Number(document.getElementById('notify-quota-warning-minutes').value),
+      distractionMinutes: Number(document.getElementById('notify-distraction-minutes').value),
+      summaryTime: document.getElementById('notify-summary-time').value,
+      quietStart: document.getElementById('notify-quiet-start').value,
+      quietEnd: document.getElementById('notify-quiet-end').value
+    };
+    Object.entries(this.toggles).forEach(([id, key]) => {
+      settings[key] = document.getElementById(id).checked;
+    });
+
+    try {
+      const response = await this.app.sendMessage('SAVE_NOTIFICATION_SETTINGS', { settings });
+
+      if (response && response.success) {
+        this.settings = response.settings;
+        this.renderSettings();
+        this.app.showToast('Notification settings saved', 'success');
+      } else {
+        this.app.showToast(`Failed to save notification settings: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error saving notification settings:', error);
+      this.app.showToast('Failed to save notification settings', 'error');
+    }
+  }
+}
+
+/**
+ * Override Rules Manager - limits on overriding blocked sites, plus the local override log
+ */
+class OverrideRulesManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.policy = null;
+    this.log = [];
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const [policyResponse, logResponse] = await Promise.all([
+        this.app.sendMessage('GET_OVERRIDE_POLICY'),
+        this.app.sendMessage('GET_OVERRIDE_LOG')
+      ]);
+
+      if (policyResponse && policyResponse.success) {
+        this.policy = policyResponse.data.policy;
+      }
+      if (logResponse && logResponse.success) {
+        this.log = logResponse.data || [];
+      }
+
+      this.setupEventListeners();
+      this.renderPolicy();
+      this.renderLog();
+    } catch (error) {
+      console.error('❌ Failed to load override rules:', error);
+      this.app.showToast('Failed to load override rules', 'error');
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('save-override-policy-btn')?.addEventListener('click', () => this.handleSavePolicy());
+    document.getElementById('clear-override-log-btn')?.addEventListener('click', () => this.handleClearLog());
+    document.getElementById('override-require-reason')?.addEventListener('change', () => this.updateReasonLengthState());
+  }
+
+  renderPolicy() {
+    if (!this.policy) return;
+
+    document.getElementById('override-max-per-day').value = this.policy.maxPerDay;
+    document.getElementById('override-max-per-site').value = this.policy.maxPerSitePerDay;
+    document.getElementById('override-cooldown').value = this.policy.cooldownMinutes;
+    document.getElementById('override-cooldown-multiplier').value = String(this.policy.cooldownMultiplier);
+    document.getElementById('override-durations').value = this.policy.durations.join(', ');
+    document.getElementById('override-unlock-delay').value = this.policy.unlockDelaySeconds;
+    document.getElementById('override-require-reason').checked = this.policy.requireReason;
+    document.getElementById('override-min-reason-length').value = this.policy.minReasonLength;
+    this.updateReasonLengthState();
+  }
+
+  updateReasonLengthState() {
+    document.getElementById('override-min-reason-length').disabled =
+      !document.getElementById('override-require-reason').checked;
+  }
+
+  async handleSavePolicy() {
+    const durations = document.getElementById('override-durations').value
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(Number);
+
+    if (durations.length === 0 || durations.some(minutes => !Number.isInteger(minutes) || minutes < 1)) {
+      this.app.showToast('Please enter durations as whole minutes, e.g. 5, 10, 15', 'warning');
+      return;
+    }
+
+    const policy = {
+      maxPerDay: Number(document.getElementById('override-max-per-day').value),
+      maxPerSitePerDay: Number(document.getElementById('override-max-per-site').value),
+      cooldownMinutes: Number(document.getElementById('override-cooldown').value),
+      cooldownMultiplier: Number(document.getElementById('override-cooldown-multiplier').value),
+      durations,
+      unlockDelaySeconds: Number(document.getElementById('override-unlock-delay').value),
+      requireReason: document.getElementById('override-require-reason').checked,
+      minReasonLength: Number(document.getElementById('override-min-reason-length').value)
+    };
+
+    try {
+      const response = await this.app.sendMessage('SAVE_OVERRIDE_POLICY', { policy });
+
+      if (response && response.success) {
+        this.policy = response.policy;
+        this.renderPolicy();
+        this.app.showToast('Override rules saved', 'success');
+      } else {
+        this.app.showToast(`Failed to save override rules: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error saving override rules:', error);
+      this.app.showToast('Failed to save override rules', 'error');
+    }
+  }
+
+  async handleClearLog() {
+    if (this.log.length === 0 || !confirm(`Clear all ${this.log.length} logged overrides?`)) return;
+
+    try {
+      const response = await this.app.sendMessage('CLEAR_OVERRIDE_LOG');
+
+      if (response && response.success) {
+        this.log = [];
+        this.renderLog();
+        this.app.showToast('Override log cleared', 'success');
+      } else {
+        this.app.showToast(`Failed to clear override log: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error clearing override log:', error);
+      this.app.showToast('Failed to clear override log', 'error');
+    }
+  }
+
+  renderLog() {
+    const container = document.getElementById('override-log-container');
+    if (!container) return;
+
+    document.getElementById('override-log-count').textContent = this.log.length;
+    container.innerHTML = '';
+
+    if (this.log.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">🔓</div>
+          <h4>No overrides yet</h4>
+          <p>Overrides you take from the blocked page will show up here.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const table = document.createElement('table');
+    table.innerHTML = `
+      <thead>
+        <tr><th>When</th><th>Site</th><th>Duration</th><th>Reason</th></tr>
+      </thead>
+      <tbody></tbody>
+    `;
+
+    const tbody = table.querySelector('tbody');
+    this.log.forEach(entry => {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = new Date(entry.timestamp).toLocaleString();
+      row.insertCell().textContent = entry.domain;
+      row.insertCell().textContent = this.app.formatTime(entry.duration);
+      row.insertCell().textContent = entry.reason || '—';
+    });
+
+    container.appendChild(table);
+  }
+}
+
+/**
+ * Schedule Manager - named weekday time windows that switch focus mode automatically
+ */
+class ScheduleManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.schedules = [];
+    this.editingId = null;
+    this.dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      const response = await this.app.sendMessage('GET_SCHEDULES');
+      if (response && response.success) {
+        this.schedules = response.data || [];
+      }
+
+      this.setupEventListeners();
+      this.renderSchedules();
+    } catch (error) {
+      console.error('❌ Failed to load schedules:', error);
+      this.app.showToast('Failed to load schedules', 'error');
+    }
+  }
+
+  setupEventListeners() {
+    document.getElementById('save-schedule-btn')?.addEventListener('click', () => this.handleSaveSchedule());
+    document.getElementById('cancel-schedule-btn')?.addEventListener('click', () => this.resetForm());
+  }
+
+  /**
+   * Parse "09:00-12:00, 14:00-17:00" into window objects
+   */
+  parseWindows(text) {
+    return text.split(',')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const [start, end] = part.split(/\s*[-–]\s*/);
+        return { start: (start || '').trim(), end: (end || '').trim() };
+      });
+  }
+
+  formatWindows(windows) {
+    return windows.map(window => `${window.start}-${window.end}`).join(', ');
+  }
+
+  formatDays(days) {
+    if (days.length === 7) return 'Every day';
+    if (days.join() === '1,2,3,4,5') return 'Weekdays';
+    if (days.join() === '0,6') return 'Weekends';
+    return days.map(day => this.dayNames[day]).join(', ');
+  }
+
+  async handleSaveSchedule() {
+    const nameInput = document.getElementById('schedule-name-input');
+    const windowsInput = document.getElementById('schedule-windows-input');
+    const days = Array.from(document.querySelectorAll('#schedule-days input:checked'))
+      .map(input => Number(input.value));
+    const existing = this.schedules.find(schedule => schedule.id === this.editingId);
+
+    const schedule = {
+      id: this.editingId || undefined,
+      name: nameInput.value.trim(),
+      enabled: existing ? existing.enabled : true,
+      days,
+      windows: this.parseWindows(windowsInput.value)
+    };
+
+    await this.submitSchedule(schedule, `Schedule "${schedule.name}" saved`);
+  }
+
+  async submitSchedule(schedule, successMessage) {
+    try {
+      const response = await this.app.sendMessage('SAVE_SCHEDULE', { schedule });
+
+      if (response && response.success) {
+        this.schedules = response.schedules;
+        this.resetForm();
+        this.renderSchedules();
+        this.app.showToast(successMessage, 'success');
+      } else {
+        this.app.showToast(`Failed to save schedule: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error saving schedule:', error);
+      this.app.showToast('Failed to save schedule', 'error');
+    }
+  }
+
+  async handleToggleSchedule(scheduleId) {
+    const schedule = this.schedules.find(item => item.id === scheduleId);
+    if (!schedule) return;
+
+    const updated = { ...schedule, enabled: !schedule.enabled };
+    await this.submitSchedule(updated, `Schedule "${schedule.name}" ${updated.enabled ? 'enabled' : 'paused'}`);
+  }
+
+  async handleDeleteSchedule(scheduleId) {
+    const schedule = this.schedules.find(item => item.id === scheduleId);
+    if (!schedule || !confirm(`Delete schedule "${schedule.name}"?`)) return;
+
+    try {
+      const response = await this.app.sendMessage('DELETE_SCHEDULE', { scheduleId });
+
+      if (response && response.success) {
+        this.schedules = response.schedules;
+        if (this.editingId === scheduleId) {
+          this.resetForm();
+        }
+        this.renderSchedules();
+        this.app.showToast(`Schedule "${schedule.name}" deleted`, 'success');
+      } else {
+        this.app.showToast(`Failed to delete schedule: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error deleting schedule:', error);
+      this.app.showToast('Failed to delete schedule', 'error');
+    }
+  }
+
+  editSchedule(scheduleId) {
+    const schedule = this.schedules.find(item => item.id === scheduleId);
+    if (!schedule) return;
+
+    this.editingId = scheduleId;
+    document.getElementById('schedule-form-title').textContent = `Edit "${schedule.name}"`;
+    document.getElementById('schedule-name-input').value = schedule.name;
+    document.getElementById('schedule-windows-input').value = this.formatWindows(schedule.windows);
+    document.querySelectorAll('#schedule-days input').forEach(input => {
+      input.checked = schedule.days.includes(Number(input.value));
+    });
+    document.getElementById('cancel-schedule-btn').style.display = '';
+    document.getElementById('schedule-form').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  resetForm() {
+    this.editingId = null;
+    document.getElementById('schedule-form-title').textContent = 'Add Schedule';
+    document.getElementById('schedule-name-input').value = '';
+    document.getElementById('schedule-windows-input').value = '';
+    document.querySelectorAll('#schedule-days input').forEach(input => {
+      input.checked = false;
+    });
+    document.getElementById('cancel-schedule-btn').style.display = 'none';
+  }
+
+  renderSchedules() {
+    const container = document.getElementById('schedules-container');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    if (this.schedules.length === 0) {
+      container.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">🗓️</div>
+          <h4>No schedules yet</h4>
+          <p>Focus mode is only switched on and off by hand.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.schedules.forEach(schedule => {
+      container.appendChild(this.createScheduleCard(schedule));
+    });
+  }
+
+  createScheduleCard(schedule) {
+    const card = document.createElement('div');
+    card.className = `site-card${schedule.enabled ? '' : ' disabled'}`;
+
+    card.innerHTML = `
+      <div class="site-info">
+        <div class="site-domain"></div>
+        <div class="site-meta"></div>
+      </div>
+      <div class="site-actions">
+        <button class="btn secondary small toggle-schedule-btn">${schedule.enabled ? '⏸️ Pause' : '▶️ Enable'}</button>
+        <button class="btn secondary small edit-schedule-btn">✏️ Edit</button>
+        <button class="btn danger small delete-schedule-btn">🗑️</button>
+      </div>
+    `;
+    card.querySelector('.site-domain').textContent = schedule.name;
+    card.querySelector('.site-meta').textContent =
+      `${this.formatDays(schedule.days)} · ${this.formatWindows(schedule.windows)}`;
+
+    card.querySelector('.toggle-schedule-btn').addEventListener('click', () => this.handleToggleSchedule(schedule.id));
+    card.querySelector('.edit-schedule-btn').addEventListener('click', () => this.editSchedule(schedule.id));
+    card.querySelector('.delete-schedule-btn').addEventListener('click', () => this.handleDeleteSchedule(schedule.id));
+
+    return card;
+  }
+}
+
+/**
+ * Preferences Manager - binds [data-setting] fields to the stored settings
+ */
+class PreferencesManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.settings = {};
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      await this.loadSettings();
+      this.populateDayStartOptions();
+      this.renderSettings();
+      this.setupEventListeners();
+    } catch (error) {
+      console.error('❌ Failed to load preferences:', error);
+      this.app.showToast('Failed to load preferences', 'error');
+    }
+  }
+
+  async loadSettings() {
+    const response = await this.app.sendMessage('GET_SETTINGS');
+    if (response && response.success) {
+      this.settings = response.data || {};
+    }
+  }
+
+  populateDayStartOptions() {
+    const select = document.getElementById('day-start-hour');
+    if (!select || select.options.length > 0) return;
+
+    for (let hour = 0; hour < 24; hour++) {
+      const label = new Date(2000, 0, 1, hour).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      select.add(new Option(hour === 0 ? `${label} (midnight)` : label, hour));
+    }
+  }
+
+  renderSettings() {
+    document.querySelectorAll('[data-setting]').forEach(field => {
+      const value = this.settings[field.dataset.setting];
+      if (value === undefined) return;
+
+      if (field.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else if (field.dataset.valueType === 'list') {
+        field.value = (value || []).join(', ');
+      } else {
+        field.value = value;
+      }
+    });
+  }
+
+  setupEventListeners() {
+    document.querySelectorAll('[data-setting]').forEach(field => {
+      field.addEventListener('change', () => this.handleSettingChange(field));
+    });
+  }
+
+  readFieldValue(field) {
+    if (field.type === 'checkbox') {
+      return field.checked;
+    }
+    if (field.type === 'number' || field.dataset.valueType === 'number') {
+      return Number(field.value);
+    }
+    if (field.dataset.valueType === 'list') {
+      return field.value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+    return field.value;
+  }
+
+  async handleSettingChange(field) {
+    const key = field.dataset.setting;
+    const value = this.readFieldValue(field);
+
+    try {
+      const response = await this.app.sendMessage('UPDATE_SETTINGS', { [key]: value });
+
+      if (response && response.success) {
+        this.settings = response.data;
+        this.renderSettings();
+        this.app.showToast('Preferences saved', 'success');
+      } else {
+        this.renderSettings();
+        this.app.showToast(`Failed to save preferences: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error saving preferences:', error);
+      this.renderSettings();
+      this.app.showToast('Failed to save preferences', 'error');
+    }
+  }
+}
+
+/**
+ * Storage Usage Manager - space used, what the history holds, and manual compaction
+ */
+class StorageUsageManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.usage = null;
+
+    this.initialize();
+  }
+
+  async initialize() {
+    document.getElementById('compact-storage-btn')?.addEventListener('click', () => this.handleCompact());
+    await this.loadUsage();
+  }
+
+  async loadUsage() {
+    try {
+      const response = await this.app.sendMessage('GET_STORAGE_USAGE');
+      if (response && response.success) {
+        this.usage = response.data;
+      }
+      this.renderUsage();
+    } catch (error) {
+      console.error('❌ Failed to load storage usage:', error);
+      this.app.showToast('Failed to load storage usage', 'error');
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  renderUsage() {
+    const list = document.getElementById('storage-usage-list');
+    if (!list || !this.usage) return;
+
+    const usage = this.usage;
+    const rows = [
+      `Settings and current state: ${this.formatBytes(usage.localBytes)}`,
+      usage.historyBytes !== null
+        ? `History database: ${this.formatBytes(usage.historyBytes)} of ${this.formatBytes(usage.quotaBytes)} available`
+        : 'History database: size not reported by this browser',
+      `Daily records: ${usage.days}${usage.oldestDay ? ` (since ${usage.oldestDay})` : ''}`,
+      `Summaries: ${usage.rollups}${usage.oldestRollup ? ` (since ${usage.oldestRollup})` : ''}`,
+      `Logged visits: ${usage.sessions}`
+    ];
+
+    list.innerHTML = '';
+    rows.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+  }
+
+  async handleCompact() {
+    const button = document.getElementById('compact-storage-btn');
+    button.disabled = true;
+
+    try {
+      const response = await this.app.sendMessage('COMPACT_STORAGE');
+
+      if (response && response.success) {
+        const { rolledUpDays, deletedSessions, usage } = response.data;
+        this.usage = usage;
+        this.renderUsage();
+        this.app.showToast(`Compacted ${rolledUpDays} days and removed ${deletedSessions} old visits`, 'success');
+      } else {
+        this.app.showToast(`Failed to compact storage: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error compacting storage:', error);
+      this.app.showToast('Failed to compact storage', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+}
+
+/**
+ * Import History Manager - validated import of exported history with a preview before anything is written
+ */
+class ImportHistoryManager {
+  constructor(app) {
+    this.app = app; // Shared messaging and toast helpers
+    this.fileText = null; // Contents of the chosen file, kept until the import is confirmed or cancelled
+    this.fileName = null;
+    this.maxListedChanges = 10;
+    this.maxListedErrors = 20;
+
+    this.initialize();
+  }
+
+  initialize() {
+    const fileInput = document.getElementById('import-history-input');
+
+    document.getElementById('import-history-btn')?.addEventListener('click', () => fileInput?.click());
+    fileInput?.addEventListener('change', (event) => this.handleFileChosen(event));
+    document.getElementById('import-strategy')?.addEventListener('change', () => this.loadPreview());
+    document.getElementById('import-include-settings')?.addEventListener('change', () => this.loadPreview());
+    document.getElementById('import-confirm-btn')?.addEventListener('click', () => this.handleConfirm());
+    document.getElementById('import-cancel-btn')?.addEventListener('click', () => this.reset());
+
+    // The popup's export area links here
+    if (window.location.hash === '#import-history') {
+      document.getElementById('import-history')?.scrollIntoView({ behavior: 'smooth' });
+    }
+  }
+
+  getOptions() {
+    return {
+      text: this.fileText,
+      strategy: document.getElementById('import-strategy').value,
+      includeSettings: document.getElementById('import-include-settings').checked
+    };
+  }
+
+  async handleFileChosen(event) {
+    const file = event.target.files[0];
+    // Clear the file input so choosing the same file again still fires
+    event.target.value = '';
+    if (!file) return;
+
+    this.fileText = await file.text();
+    this.fileName = file.name;
+    await this.loadPreview();
+  }
+
+  async loadPreview() {
+    if (!this.fileText) return;
+
+    try {
+      const response = await this.app.sendMessage('PREVIEW_IMPORT', this.getOptions());
+
+      if (response && response.success) {
+        this.renderPreview(response.data);
+      } else {
+        this.reset();
+        this.app.showToast(`Can't import ${this.fileName}: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error previewing import:', error);
+      this.reset();
+      this.app.showToast('Failed to read the import file', 'error');
+    }
+  }
+
+  renderPreview(preview) {
+    const { days, rollups, sessions, focusSessions } = preview;
+    const rows = [
+      `From ${this.fileName}${preview.exportDate ? `, exported ${new Date(preview.exportDate).toLocaleDateString()}` : ''}`,
+      `Days: ${days.added} new, ${days.merged} added to, ${days.replaced} replaced, ${days.unchanged} unchanged` +
+        (days.summarized > 0 ? `, ${days.summarized} already in summaries` : ''),
+      `Summaries: ${rollups.added} new, ${rollups.merged + rollups.replaced} updated, ${rollups.unchanged} unchanged`,
+      `Visits: ${sessions.added} new, ${sessions.duplicates} already here` +
+        (sessions.expired > 0 ? `, ${sessions.expired} older than the visit log keeps` : ''),
+      `Focus sessions: ${focusSessions.added} new, ${focusSessions.duplicates} already here`
+    ];
+    if (preview.excluded.length > 0) {
+      rows.push(`Left out, on your never-track list: ${preview.excluded.join(', ')}`);
+    }
+    if (preview.settings.length > 0) {
+      rows.push(`Preferences changed: ${preview.settings.join(', ')}`);
+    }
+
+    const changes = [...preview.changes].sort((a, b) => b.date.localeCompare(a.date));
+    changes.slice(0, this.maxListedChanges).forEach(change => {
+      rows.push(`${change.date}: ${this.app.formatTime(change.before)} → ${this.app.formatTime(change.after)}`);
+    });
+    if (changes.length > this.maxListedChanges) {
+      rows.push(`...and ${changes.length - this.maxListedChanges} more days`);
+    }
+
+    this.renderList('import-summary', rows);
+    this.renderList('import-errors', preview.errors.slice(0, this.maxListedErrors)
+      .map(error => `Skipped ${error.record}: ${error.message}`)
+      .concat(preview.errors.length > this.maxListedErrors ? [`...and ${preview.errors.length - this.maxListedErrors} more skipped records`] : []));
+
+    document.getElementById('import-preview').style.display = '';
+  }
+
+  renderList(id, rows) {
+    const list = document.getElementById(id);
+    list.innerHTML = '';
+    rows.forEach(text => {
+      const item = document.createElement('li');
+      item.textContent = text;
+      list.appendChild(item);
+    });
+  }
+
+  async handleConfirm() {
+    if (!this.fileText) return;
+    const button = document.getElementById('import-confirm-btn');
+    button.disabled = true;
+
+    try {
+      const response = await this.app.sendMessage('IMPORT_DATA', this.getOptions());
+
+      if (response && response.success) {
+        const { days, sessions, errors, settings } = response.data;
+        this.reset();
+        this.app.showToast(
+          `Imported ${days.added + days.merged + days.replaced} days and ${sessions.added} visits` +
+            (errors.length > 0 ? ` (${errors.length} records skipped)` : ''),
+          'success'
+        );
+
+        window.storageUsageManager?.loadUsage();
+        if (settings.length > 0 && window.preferencesManager) {
+          await window.preferencesManager.loadSettings();
+          window.preferencesManager.renderSettings();
+        }
+      } else {
+        this.app.showToast(`Failed to import: ${response?.error || 'Unknown error'}`, 'error');
+      }
+    } catch (error) {
+      console.error('❌ Error importing data:', error);
+      this.app.showToast('Failed to import data', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  reset() {
+    this.fileText = null;
+    this.fileName = null;
+    document.getElementById('import-preview').style.display = 'none';
+  }
+}
+
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
   console.log('🎯 Focus Time Tracker Options - Phase 2 with Blocked Sites Management');
   window.blockedSitesManager = new BlockedSitesManager();
+  window.preferencesManager = new PreferencesManager(window.blockedSitesManager);
+  window.scheduleManager = new ScheduleManager(window.blockedSitesManager);
+  window.allowlistManager = new AllowlistManager(window.blockedSitesManager);
+  window.dailyQuotaManager = new DailyQuotaManager(window.blockedSitesManager);
+  window.categoryTaxonomyManager = new CategoryTaxonomyManager(window.blockedSitesManager);
+  window.scoreModelManager = new ScoreModelManager(window.blockedSitesManager);
+  window.goalSettingsManager = new GoalSettingsManager(window.blockedSitesManager);
+  window.overrideRulesManager = new OverrideRulesManager(window.blockedSitesManager);
+  window.pomodoroSettingsManager = new PomodoroSettingsManager(window.blockedSitesManager);
+  window.notificationSettingsManager = new NotificationSettingsManager(window.blockedSitesManager);
+  window.storageUsageManager = new StorageUsageManager(window.blockedSitesManager);
+  window.importHistoryManager = new ImportHistoryManager(window.blockedSitesManager);
 }); 
\ No newline at end of file
@@ -10,6 +10,7 @@ class PopupManager {
     this.userInfo = null;
     this.sessionTimer = null;
     this.updateInterval = null;
+    this.pomodoroTimer = null; // Ticks the Pomodoro countdown between state refreshes
     this.analyticsUI = null;
     this.currentTab = 'overview';
     
@@ -115,6 +116,22 @@ class PopupManager {
       console.error('❌ Focus mode button not found!');
     }
 
+    // Focus blocking mode (denylist or allowlist)
+    const blockingModeSelect = document.getElementById('blocking-mode-select');
+    blockingModeSelect?.addEventListener('change', () => this.changeBlockingMode(blockingModeSelect.value));
+
+    // Pomodoro controls
+    document.getElementById('pomodoro-start-btn')?.addEventListener('click', () => {
+      const running = this.currentState?.pomodoro?.status === 'running';
+      this.handlePomodoroAction(running ? 'PAUSE_POMODORO' : 'START_POMODORO');
+    });
+    document.getElementById('pomodoro-skip-btn')?.addEventListener('click', () => this.handlePomodoroAction('SKIP_PHASE'));
+    document.getElementById('pomodoro-stop-btn')?.addEventListener('click', () => this.handlePomodoroAction('STOP_POMODORO'));
+
+    // Focus session history
+    document.getElementById('focus-sessions-range')?.addEventListener('change', () => this.updateFocusSessions());
+    document.getElementById('view-all-sessions-btn')?.addEventListener('click', () => this.showAllFocusSessions());
+
     // Block current site button
     const blockCurrentBtn = document.getElementById('block-current-site');
     if (blockCurrentBtn) {
@@ -127,6 +144,14 @@ class PopupManager {
       console.error('❌ Block current site button not found!');
     }
 
+    // Stop tracking the current site
+    document.getElementById('stop-tracking-site-btn')?.addEventListener('click', () => {
+      const domain = this.currentState?.currentSession?.domain;
+      if (domain) {
+        this.stopTrackingSite(domain);
+      }
+    });
+
     // Manage blocked sites
     const manageBlockedBtn = document.getElementById('manageBlockedBtn');
     if (manageBlockedBtn) {
@@ -365,6 +390,9 @@ class PopupManager {
   updateUI() {
     // Update header with focus mode status
     this.updateHeader();
+
+    // Update active blocking schedule
+    this.updateScheduleIndicator();
     
     // Update user info section
     this.updateUserInfo();
@@ -374,10 +402,16 @@ class PopupManager {
     
     // Update current session info
     this.updateCurrentSession();
+
+    // Update Pomodoro countdown
+    this.updatePomodoro();
     
     // Update top sites
     this.updateTopSites();
 
+    // Update focus session history
+    this.updateFocusSessions();
+
     // Update focus mode button text
     const focusModeBtn = document.getElementById('focus-mode-toggle');
     if (focusModeBtn) {
@@ -387,6 +421,13 @@ class PopupManager {
         btnText.textContent = isFocusModeActive ? 'Disable Focus Mode' : 'Enable Focus Mode';
       }
     }
+
+    // Keep the blocking mode selector in sync unless the user is using it
+    const blockingModeSelect = document.getElementById('blocking-mode-select');
+    const blockingMode = this.currentState?.focusStats?.blockingMode;
+    if (blockingModeSelect && blockingMode && document.activeElement !== blockingModeSelect) {
+      blockingModeSelect.value = blockingMode;
+    }
   }
 
   /**
@@ -429,6 +470,120 @@ class PopupManager {
     }
   }
 
+  /**
+   * Show the Pomodoro phase, countdown and controls
+   */
+  updatePomodoro() {
+    const pomodoro = this.currentState?.pomodoro;
+    const countdown = document.getElementById('pomodoro-countdown');
+    if (!pomodoro || !countdown) return;
+
+    const phaseLabels = { work: 'Focus', shortBreak: 'Short break', longBreak: 'Long break' };
+    const isIdle = pomodoro.status === 'idle';
+    const isRunning = pomodoro.status === 'running';
+
+    const phase = document.getElementById('pomodoro-phase');
+    phase.textContent = isIdle
+      ? 'Ready to focus'
+      : `${phaseLabels[pomodoro.phase]}${pomodoro.status === 'paused' ? ' (paused)' : pomodoro.status === 'ready' ? ' (up next)' : ''}`;
+    phase.classList.toggle('break', pomodoro.phase === 'shortBreak' || pomodoro.phase === 'longBreak');
+
+    document.getElementById('pomodoro-cycle').textContent = isIdle
+      ? ''
+      : `${pomodoro.completedCycles} of ${pomodoro.settings.cyclesBeforeLongBreak} before long break`;
+
+    const startBtn = document.getElementById('pomodoro-start-btn');
+    startBtn.querySelector('.btn-icon').textContent = isRunning ? '⏸️' : '▶️';
+    startBtn.querySelector('.btn-text').textContent = isRunning ? 'Pause' : pomodoro.status === 'paused' ? 'Resume' : 'Start';
+    document.getElementById('pomodoro-skip-btn').disabled = isIdle;
+    document.getElementById('pomodoro-stop-btn').disabled = isIdle;
+
+    // Count down locally from the phase end time until the next refresh
+    const renderCountdown = () => {
+      const remaining = isIdle
+        ? pomodoro.settings.workMinutes * 60000
+        : isRunning ? Math.max(0, pomodoro.endTime - Date.now()) : pomodoro.remaining;
+      countdown.textContent = this.formatCountdown(remaining);
+    };
+
+    clearInterval(this.pomodoroTimer);
+    this.pomodoroTimer = isRunning ? setInterval(renderCountdown, 1000) : null;
+    renderCountdown();
+  }
+
+  /**
+   * Send a Pomodoro command and refresh, since phases switch focus mode
+   */
+  async handlePomodoroAction(type) {
+    try {
+      const response = await this.sendMessage(type);
+
+      if (response?.success) {
+        await this.refreshState();
+      } else {
+        this.showError(response?.error || 'Pomodoro action failed');
+      }
+    } catch (error) {
+      console.error('Error with Pomodoro action:', error);
+      this.showError('Pomodoro action failed');
+    }
+  }
+
+  /**
+   * Format milliseconds as mm:ss
+   */
+  formatCountdown(ms) {
+    const totalSeconds = Math.ceil((ms || 0) / 1000);
+    return `${String(Math.floor(totalSeconds / 60)).padStart(2, '0')}:${String(totalSeconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Show the tightest daily quota left for the current site
+   */
+  updateQuotaBudget(currentSite) {
+    const quotaElement = currentSite.querySelector('.site-quota');
+    if (!quotaElement) return;
+
+    const quotas = this.currentState?.quotas || [];
+    if (quotas.length === 0) {
+      quotaElement.classList.add('hidden');
+      return;
+    }
+
+    const tightest = quotas.reduce((min, quota) => (quota.remaining < min.remaining ? quota : min));
+    const label = tightest.type === 'category' ? `${tightest.label} sites` : tightest.target;
+
+    quotaElement.textContent = tightest.exhausted
+      ? `⏳ Daily limit for ${label} reached`
+      : `⏳ ${this.formatTime(tightest.remaining)} left today for ${label}`;
+    quotaElement.classList.toggle('exhausted', tightest.exhausted);
+    quotaElement.classList.remove('hidden');
+  }
+
+  /**
+   * Show the blocking schedule in effect, or a manual override of it
+   */
+  updateScheduleIndicator() {
+    const indicator = document.getElementById('schedule-indicator');
+    if (!indicator) return;
+
+    const { activeSchedule, scheduleOverride } = this.currentState?.focusStats || {};
+    const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const text = indicator.querySelector('.status-text');
+
+    if (scheduleOverride) {
+      text.textContent = `Manual ${scheduleOverride.focusMode ? 'on' : 'off'} until ${formatClock(scheduleOverride.until)}`;
+      indicator.title = activeSchedule ? `Overriding schedule "${activeSchedule.name}"` : 'Overriding blocking schedule';
+      indicator.classList.remove('hidden');
+    } else if (activeSchedule) {
+      text.textContent = `${activeSchedule.name} until ${formatClock(activeSchedule.endTime)}`;
+      indicator.title = 'Blocking schedule in effect';
+      indicator.classList.remove('hidden');
+    } else {
+      indicator.classList.add('hidden');
+    }
+  }
+
   /**
    * Update user info display
    */
@@ -555,6 +710,9 @@ class PopupManager {
           siteTime.textContent = activeText;
         }
 
+        this.updateQuotaBudget(currentSite);
+        document.getElementById('stop-tracking-site-btn')?.classList.remove('hidden');
+
         // Remove dashed border when active
         currentSite.style.border = '2px solid var(--primary-color)';
       }
@@ -573,6 +731,8 @@ class PopupManager {
         currentSite.style.border = '2px dashed var(--border-color)';
         const siteTime = currentSite.querySelector('.site-time');
         if (siteTime) siteTime.textContent = 'Not active';
+        currentSite.querySelector('.site-quota')?.classList.add('hidden');
+        document.getElementById('stop-tracking-site-btn')?.classList.add('hidden');
       }
       if (sessionTimer) {
         sessionTimer.textContent = '00:00';
@@ -580,6 +740,113 @@ class PopupManager {
     }
   }
 
+  /**
+   * Fetch focus sessions for the selected number of days
+   */
+  async fetchFocusSessions() {
+    const days = Number(document.getElementById('focus-sessions-range')?.value || 7);
+    const rangeStart = new Date();
+    rangeStart.setHours(0, 0, 0, 0);
+    rangeStart.setDate(rangeStart.getDate() - (days - 1));
+
+    const response = await this.sendMessage('GET_FOCUS_SESSIONS', { startTime: rangeStart.getTime() });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to load focus sessions');
+    }
+    return response.data;
+  }
+
+  /**
+   * Update focus session totals and the most recent sessions
+   */
+  async updateFocusSessions() {
+    const listEl = document.getElementById('focus-sessions-list');
+    if (!listEl) return;
+
+    try {
+      const { sessions, totals } = await this.fetchFocusSessions();
+
+      document.getElementById('focus-sessions-count').textContent = totals.count;
+      document.getElementById('focus-sessions-time').textContent = this.formatTime(totals.focusTime);
+      document.getElementById('focus-sessions-blocked').textContent = totals.blockedAttempts;
+      document.getElementById('focus-sessions-overrides').textContent = totals.overridesUsed;
+
+      listEl.innerHTML = '';
+      if (sessions.length === 0) {
+        listEl.innerHTML = `
+          <div class="empty-state">
+            <div style="font-size: 2rem; margin-bottom: 0.5rem;">🧘</div>
+            <div style="color: var(--text-muted); font-size: 0.875rem;">No focus sessions yet</div>
+          </div>
+        `;
+        return;
+      }
+
+      sessions.slice(0, 3).forEach(session => listEl.appendChild(this.createFocusSessionCard(session)));
+    } catch (error) {
+      console.error('Error updating focus sessions:', error);
+    }
+  }
+
+  /**
+   * Show every session in the selected range
+   */
+  async showAllFocusSessions() {
+    try {
+      const { sessions, totals } = await this.fetchFocusSessions();
+      const completion = totals.plannedCount
+        ? ` · ${totals.completedPlanned} of ${totals.plannedCount} planned sessions completed`
+        : '';
+
+      this.showModal('Focus Sessions', `
+        <p class="site-card-stats">
+          ${totals.count} sessions · ${this.formatTime(totals.focusTime)} focused ·
+          ${this.formatTime(totals.productiveTime)} productive · ${this.formatTime(totals.distractingTime)} distracting${completion}
+        </p>
+        <div id="focus-sessions-modal-list" class="sites-list"></div>
+      `);
+
+      const modalList = document.getElementById('focus-sessions-modal-list');
+      sessions.forEach(session => modalList.appendChild(this.createFocusSessionCard(session)));
+    } catch (error) {
+      console.error('Error showing focus sessions:', error);
+      this.showError('Failed to load focus sessions');
+    }
+  }
+
+  /**
+   * Create a focus session card
+   */
+  createFocusSessionCard(session) {
+    const sourceIcons = { manual: '🎯', schedule: '🗓️', pomodoro: '🍅' };
+    const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const day = new Date(session.startTime).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' });
+    const planned = session.plannedDuration ? `of ${this.formatTime(session.plannedDuration)} planned` : 'no plan';
+
+    const card = document.createElement('div');
+    card.className = `site-card${session.inProgress ? ' in-progress' : ''}`;
+    card.innerHTML = `
+      <div class="site-card-left">
+        <div class="site-card-icon">${sourceIcons[session.source] || '🎯'}</div>
+        <div class="site-card-info">
+          <div class="site-card-name">
+            ${day}, ${formatClock(session.startTime)} – ${session.inProgress ? 'now' : formatClock(session.endTime)}
+          </div>
+          <div class="site-card-stats">
+            ${session.blockedAttempts} blocked · ${session.overridesUsed} overrides ·
+            ${this.formatTime(session.productiveTime)} productive / ${this.formatTime(session.distractingTime)} distracting
+          </div>
+        </div>
+      </div>
+      <div class="site-card-right">
+        <div class="site-card-time">${this.formatTime(session.actualDuration)}</div>
+        <div class="site-card-percentage">${session.inProgress ? 'in progress' : planned}</div>
+      </div>
+    `;
+
+    return card;
+  }
+
   /**
    * Update top sites list
    */
@@ -629,7 +896,7 @@ class PopupManager {
         <div class="site-card-icon">${this.getSiteIcon(site.domain)}</div>
         <div class="site-card-info">
           <div class="site-card-name">${site.domain}</div>
-          <div class="site-card-stats">${site.visits} visits</div>
+          <div class="site-card-stats">${site.visits} visits${site.passiveTime ? ` · ${this.formatTime(site.passiveTime)} passive` : ''}</div>
           <div class="progress-bar">
             <div class="progress-fill" style="width: ${percentage}%"></div>
           </div>
@@ -776,12 +1043,16 @@ class PopupManager {
     try {
       this.showLoading();
       
-      const response = await this.sendMessage('TOGGLE_FOCUS_MODE');
+      const blockingMode = document.getElementById('blocking-mode-select')?.value;
+      const response = await this.sendMessage('TOGGLE_FOCUS_MODE', blockingMode ? { blockingMode } : {});
       
       if (response.success) {
+        const activatedMessage = blockingMode === 'allowlist'
+          ? 'Focus mode activated! Only your allowed sites are open.'
+          : 'Focus mode activated! Distracting sites are now blocked.';
         this.showNotification(
           response.focusMode 
-            ? 'Focus mode activated! Distracting sites are now blocked.' 
+            ? activatedMessage 
             : 'Focus mode deactivated. All sites are accessible.',
           response.focusMode ? 'success' : 'info'
         );
@@ -799,6 +1070,33 @@ class PopupManager {
     }
   }
 
+  /**
+   * Switch between blocking listed sites and allowing only listed sites
+   */
+  async changeBlockingMode(mode) {
+    try {
+      const response = await this.sendMessage('SET_BLOCKING_MODE', { mode });
+
+      if (response?.success) {
+        if (this.currentState?.focusStats) {
+          this.currentState.focusStats.blockingMode = mode;
+        }
+        if (this.currentState?.focusStats?.focusMode) {
+          this.showNotification(
+            mode === 'allowlist' ? 'Now allowing only your allowed sites.' : 'Now blocking sites on your block list.',
+            'info'
+          );
+        }
+      } else {
+        this.showError('Failed to change blocking mode: ' + response?.error);
+        this.updateUI();
+      }
+    } catch (error) {
+      console.error('Error changing blocking mode:', error);
+      this.showError('Failed to change blocking mode');
+    }
+  }
+
   /**
    * Open settings page
    */
@@ -807,7 +1105,7 @@ class PopupManager {
   }
 
   /**
-   * Export data
+   * Export data, or go to importing a previous export
    */
   async exportData() {
     try {
@@ -817,6 +1115,10 @@ class PopupManager {
           <button id="export-json" class="btn secondary">JSON</button>
           <button id="export-csv" class="btn secondary">CSV</button>
         </div>
+        <p style="margin-top: 1rem;">Restore or merge a JSON export:</p>
+        <div style="display: flex; gap: 1rem; margin-top: 1rem;">
+          <button id="import-data" class="btn secondary">Import...</button>
+        </div>
       `);
 
       // Add export handlers
@@ -827,6 +1129,12 @@ class PopupManager {
       document.getElementById('export-csv')?.addEventListener('click', () => {
         this.performExport('csv');
       });
+
+      // The file picker would close the popup, so importing happens on the options page
+      document.getElementById('import-data')?.addEventListener('click', () => {
+        chrome.tabs.create({ url: chrome.runtime.getURL('options/options.html#import-history') });
+        window.close();
+      });
     } catch (error) {
       console.error('Error exporting data:', error);
       this.showNotification('Failed to export data', 'error');
@@ -878,7 +1186,7 @@ class PopupManager {
   /**
    * Show site details modal
    */
-  showSiteDetails(site) {
+  async showSiteDetails(site) {
     const percentage = this.todayStats?.totalTime ? 
       Math.round((site.timeSpent / this.todayStats.totalTime) * 100) : 0;
 
@@ -907,11 +1215,16 @@ class PopupManager {
             ${percentage}% of today's time
           </div>
         </div>
+
+        <div id="site-pages" style="text-align: left; margin-bottom: 1rem;"></div>
         
         <div style="margin-top: 1rem;">
           <button id="block-site-btn" class="btn secondary" style="width: 100%;">
             🚫 Block This Site
           </button>
+          <button id="stop-tracking-details-btn" class="btn secondary" style="width: 100%; margin-top: 0.5rem;">
+            🙈 Stop Tracking This Site
+          </button>
         </div>
       </div>
     `);
@@ -928,6 +1241,116 @@ class PopupManager {
         this.showNotification('Failed to block site', 'error');
       }
     });
+
+    document.getElementById('stop-tracking-details-btn')?.addEventListener('click', () => this.stopTrackingSite(site.domain));
+
+    await this.renderSitePages(site);
+  }
+
+  /**
+   * Fill the site details modal with time per page, plus the per-site recording switch
+   */
+  async renderSitePages(site) {
+    const container = document.getElementById('site-pages');
+    if (!container) return;
+
+    let settings = {};
+    try {
+      const response = await this.sendMessage('GET_SETTINGS');
+      settings = response.success ? response.data : {};
+    } catch (error) {
+      console.error('Error loading page tracking settings:', error);
+    }
+
+    const excludedDomains = settings.pageTrackingExcludedDomains || [];
+    const excluded = excludedDomains.some(domain => site.domain === domain || site.domain.endsWith(`.${domain}`));
+    const pages = Object.entries(site.pages || {})
+      .map(([path, page]) => ({ path, ...page }))
+      .filter(page => page.timeSpent > 0)
+      .sort((a, b) => b.timeSpent - a.timeSpent);
+
+    container.innerHTML = '';
+
+    const heading = document.createElement('h4');
+    heading.style.marginBottom = '0.5rem';
+    heading.textContent = 'Pages';
+    container.appendChild(heading);
+
+    if (!settings.pageTrackingEnabled) {
+      container.appendChild(this.createPagesNote('Page tracking is off. Turn it on in Settings to see time per page.'));
+    } else if (excluded) {
+      container.appendChild(this.createPagesNote('Pages are not recorded on this site.'));
+    } else if (pages.length === 0) {
+      container.appendChild(this.createPagesNote('No pages recorded today.'));
+    } else {
+      const list = document.createElement('div');
+      list.style.cssText = 'max-height: 180px; overflow-y: auto;';
+
+      pages.forEach(page => {
+        const row = document.createElement('div');
+        row.style.cssText = 'display: flex; justify-content: space-between; gap: 0.5rem; padding: 0.375rem 0; border-bottom: 1px solid var(--gray-200);';
+
+        const info = document.createElement('div');
+        info.style.cssText = 'min-width: 0;';
+        const title = document.createElement('div');
+        title.style.cssText = 'font-size: 0.8125rem; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+        title.textContent = page.title || page.path;
+        const path = document.createElement('div');
+        path.style.cssText = 'font-size: 0.75rem; color: var(--text-muted); white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+        path.textContent = page.path === '*' ? 'Pages past the per-day limit' : page.path;
+        info.append(title, path);
+
+        const time = document.createElement('div');
+        time.style.cssText = 'font-size: 0.8125rem; font-weight: 600; white-space: nowrap;';
+        time.textContent = this.formatTime(page.timeSpent);
+
+        row.append(info, time);
+        list.appendChild(row);
+      });
+      container.appendChild(list);
+    }
+
+    if (settings.pageTrackingEnabled) {
+      const toggle = document.createElement('label');
+      toggle.style.cssText = 'display: flex; align-items: center; gap: 0.5rem; margin-top: 0.75rem; font-size: 0.8125rem;';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !excluded;
+      toggle.append(checkbox, document.createTextNode('Record pages on this site'));
+      container.appendChild(toggle);
+
+      checkbox.addEventListener('change', async () => {
+        if (!checkbox.checked && !confirm(`Stop recording pages on ${site.domain}? Pages already recorded will be deleted.`)) {
+          checkbox.checked = true;
+          return;
+        }
+
+        try {
+          const response = await this.sendMessage('SET_PAGE_TRACKING_EXCLUDED', {
+            domain: site.domain,
+            excluded: !checkbox.checked
+          });
+          if (!response.success) {
+            throw new Error(response.error);
+          }
+          if (!checkbox.checked) {
+            site.pages = {};
+          }
+          this.showNotification(checkbox.checked ? 'Pages will be recorded' : 'Page history removed for this site', 'success');
+          await this.renderSitePages(site);
+        } catch (error) {
+          checkbox.checked = !checkbox.checked;
+          this.showNotification('Failed to update page tracking', 'error');
+        }
+      });
+    }
+  }
+
+  createPagesNote(text) {
+    const note = document.createElement('div');
+    note.style.cssText = 'font-size: 0.8125rem; color: var(--text-muted);';
+    note.textContent = text;
+    return note;
   }
 
   /**
@@ -1199,6 +1622,9 @@ class PopupManager {
     if (this.sessionTimer) {
       clearInterval(this.sessionTimer);
     }
+    if (this.pomodoroTimer) {
+      clearInterval(this.pomodoroTimer);
+    }
   }
 
   /**
@@ -1219,7 +1645,11 @@ class PopupManager {
         if (activityDot && activityText) {
           if (activityState.isSessionPaused) {
             activityDot.className = 'activity-dot paused';
-            activityText.textContent = 'Paused';
+            if (activityState.passiveSince) {
+              activityText.textContent = 'Paused (passive media)';
+            } else {
+              activityText.textContent = activityState.idleState === 'locked' ? 'Paused (screen locked)' : 'Paused';
+            }
             
             if (pauseInfo && pauseDuration) {
               const pausedFor = activityState.pausedAt ? 
@@ -1227,9 +1657,9 @@ class PopupManager {
               pauseDuration.textContent = `Paused for ${this.formatDuration(pausedFor)}`;
               pauseInfo.classList.remove('hidden');
             }
-          } else if (activityState.isUserActive) {
+          } else if (activityState.isUserActive || activityState.mediaPlaying) {
             activityDot.className = 'activity-dot active';
-            activityText.textContent = 'Active';
+            activityText.textContent = activityState.isUserActive ? 'Active' : 'Playing media';
             if (pauseInfo) pauseInfo.classList.add('hidden');
           } else {
             activityDot.className = 'activity-dot inactive';
@@ -1301,6 +1731,34 @@ class PopupManager {
   /**
    * Toggle blocking for the current site
    */
+  /**
+   * Add a site to the "never track" list and delete its history
+   */
+  async stopTrackingSite(domain) {
+    if (!confirm(`Stop tracking ${domain}? All time recorded for it will be deleted.`)) {
+      return;
+    }
+
+    try {
+      this.showLoading();
+
+      const response = await this.sendMessage('STOP_TRACKING_SITE', { domain });
+
+      if (response.success) {
+        this.hideModal();
+        this.showNotification(`${response.domain} will no longer be tracked`, 'success');
+        await this.refreshState();
+      } else {
+        this.showError('Failed to stop tracking site: ' + response.error);
+      }
+    } catch (error) {
+      console.error('Error stopping tracking for site:', error);
+      this.showError('Failed to stop tracking site');
+    } finally {
+      this.hideLoading();
+    }
+  }
+
   async toggleCurrentSiteBlock() {
     try {
       this.showLoading();
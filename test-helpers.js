@@ -0,0 +1,144 @@
+/**
+ * Shared fixtures and runner for the Node test scripts (test-*.js run with `node`)
+ * Mocks only what StorageManager and the background managers touch
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { StorageManager } = require('./utils/storage.js');
+
+/**
+ * In-memory chrome.storage.local and chrome.alarms
+ */
+function createChromeMock(initialItems = {}) {
+  const store = JSON.parse(JSON.stringify(initialItems));
+  const copy = value => JSON.parse(JSON.stringify(value));
+
+  return {
+    store,
+    storage: {
+      local: {
+        async get(keys) {
+          if (keys === null) return copy(store);
+          const result = {};
+          [].concat(keys).forEach(key => {
+            if (key in store) result[key] = copy(store[key]);
+          });
+          return result;
+        },
+        async set(items) {
+          Object.assign(store, copy(items));
+        },
+        async remove(keys) {
+          [].concat(keys).forEach(key => delete store[key]);
+        }
+      }
+    },
+    alarms: {
+      async create() {},
+      async clear() {
+        return true;
+      }
+    }
+  };
+}
+
+/**
+ * In-memory stand-in for the IndexedDB history store
+ * changes lists every method that rewrote history, in call order
+ */
+function createHistoryMock() {
+  return {
+    days: {},
+    sessions: [],
+    changes: [],
+    async getDays() {
+      return JSON.parse(JSON.stringify(this.days));
+    },
+    async putDays(allStats, categorize) {
+      this.changes.push('putDays');
+      Object.entries(allStats).forEach(([date, dayStats]) => {
+        this.days[date] = JSON.parse(JSON.stringify(dayStats));
+        Object.entries(this.days[date].sites).forEach(([domain, site]) => {
+          site.category = categorize(domain);
+        });
+      });
+    },
+    async replaceDays(allStats, categorize) {
+      this.days = {};
+      await this.putDays(allStats, categorize);
+    },
+    async updateDays() {
+      this.changes.push('updateDays');
+      return 0;
+    },
+    async putSessions(sessions) {
+      this.changes.push('putSessions');
+      this.sessions.push(...sessions);
+    },
+    async redateSessions() {
+      this.changes.push('redateSessions');
+    }
+  };
+}
+
+function createStorageManager() {
+  const storageManager = new StorageManager();
+  storageManager.applyCategoryTaxonomy(storageManager.getDefaultCategoryTaxonomy());
+  storageManager.history = createHistoryMock();
+  return storageManager;
+}
+
+/**
+ * The manager classes of background.js, without starting the tracker
+ */
+function loadBackgroundClasses(chrome) {
+  const source = fs.readFileSync(path.join(__dirname, 'background.js'), 'utf8');
+  const classes = source.slice(0, source.indexOf('// Initialize the tracker when the service worker starts'));
+  const context = vm.createContext({ chrome, console, importScripts() {} });
+  return vm.runInContext(`${classes}\n({ PomodoroManager });`, context);
+}
+
+const tests = [];
+
+function test(name, run) {
+  tests.push({ name, run });
+}
+
+/**
+ * Run every registered test in order and set the exit code
+ */
+async function runTests(title) {
+  console.log(`🧪 ${title}...`);
+  const { log, warn } = console;
+  let failed = 0;
+
+  for (const { name, run } of tests) {
+    try {
+      // Keep the code's own logging out of the results
+      console.log = () => {};
+      console.warn = () => {};
+      await run();
+      Object.assign(console, { log, warn });
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      Object.assign(console, { log, warn });
+      console.error(`❌ ${name}`);
+      console.error(`   ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log(`\n📊 Results: ${tests.length - failed} passed, ${failed} failed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+module.exports = {
+  createChromeMock,
+  createHistoryMock,
+  createStorageManager,
+  loadBackgroundClasses,
+  test,
+  runTests
+};
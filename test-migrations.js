@@ -0,0 +1,184 @@
+/**
+ * Storage Migration Tests
+ * Run with Node from the extension folder: node test-migrations.js
+ * Upgrades stored layouts (the `stats` blob and older ones) through the migration runner
+ */
+
+// Fix the timezone so UTC to local re-keying is predictable; set before any Date is created
+process.env.TZ = 'America/New_York';
+
+const assert = require('assert');
+const { STORAGE_SCHEMA_VERSION, STORAGE_MIGRATIONS } = require('./utils/storage.js');
+const { createChromeMock, createStorageManager, test, runTests } = require('./test-helpers.js');
+
+/**
+ * Day record as the v2 layout stored it
+ */
+function createDay(sites, hourly = {}) {
+  return {
+    totalTime: 0,
+    sitesVisited: 0,
+    productivityScore: 0,
+    sites,
+    hourly
+  };
+}
+
+test('Migrations are ordered and end at the schema version', () => {
+  const versions = STORAGE_MIGRATIONS.map(migration => migration.version);
+  assert.deepStrictEqual(versions, [...versions].sort((a, b) => a - b));
+  assert.strictEqual(versions[versions.length - 1], STORAGE_SCHEMA_VERSION);
+});
+
+test('Stats blob moves to the history store without losing data', async () => {
+  const storageManager = createStorageManager();
+  const items = {
+    dateKeyFormat: 'local',
+    settings: { dayStartHour: 0 },
+    stats: {
+      '2024-03-10': createDay(
+        { 'github.com': { timeSpent: 5400000, visits: 4 }, 'youtube.com': { timeSpent: 1800000, visits: 2 } },
+        { 9: { 'github.com': 3600000 }, 10: { 'github.com': 1800000, 'youtube.com': 1800000 } }
+      )
+    },
+    blockedSites: ['twitter.com']
+  };
+
+  const applied = await storageManager.migrateItems(items);
+  const days = storageManager.history.days;
+
+  assert.deepStrictEqual(applied, [1, 2, 3]);
+  assert.strictEqual(items.schemaVersion, STORAGE_SCHEMA_VERSION);
+  assert.ok(!('dateKeyFormat' in items));
+  assert.ok(!('stats' in items));
+  assert.deepStrictEqual(Object.keys(days), ['2024-03-10']);
+  assert.strictEqual(days['2024-03-10'].sites['github.com'].timeSpent, 5400000);
+  assert.strictEqual(days['2024-03-10'].sites['github.com'].category, 'productive');
+  assert.strictEqual(days['2024-03-10'].totalTime, 7200000);
+  assert.strictEqual(days['2024-03-10'].sitesVisited, 2);
+  assert.deepStrictEqual(items.blockedSites, ['twitter.com']);
+});
+
+test('Session log moves to the history store with its day and category', async () => {
+  const storageManager = createStorageManager();
+  const startTime = new Date(2024, 2, 10, 23, 30).getTime();
+  const items = {
+    schemaVersion: 2,
+    sessionLog: {
+      '2024-03-10': [{ id: `${startTime}-1`, domain: 'github.com', startTime, endTime: startTime + 60000, duration: 60000 }]
+    }
+  };
+
+  const applied = await storageManager.migrateItems(items);
+  const [session] = storageManager.history.sessions;
+
+  assert.deepStrictEqual(applied, [3]);
+  assert.ok(!('sessionLog' in items));
+  assert.strictEqual(storageManager.history.sessions.length, 1);
+  assert.strictEqual(session.date, '2024-03-10');
+  assert.strictEqual(session.category, 'productive');
+});
+
+test('UTC-keyed stats move to local days', async () => {
+  const storageManager = createStorageManager();
+  // Hourly buckets use local hours: 02:00 local on 2024-03-10 is 07:00 UTC the same day,
+  // while 22:00 local on 2024-03-09 is 03:00 UTC on 2024-03-10, so both were stored under 2024-03-10
+  const items = {
+    stats: {
+      '2024-03-10': createDay(
+        { 'github.com': { timeSpent: 2400000, visits: 2 } },
+        { 2: { 'github.com': 600000 }, 22: { 'github.com': 1800000 } }
+      )
+    }
+  };
+
+  await storageManager.migrateItems(items);
+  const days = storageManager.history.days;
+
+  assert.strictEqual(days['2024-03-09'].sites['github.com'].timeSpent, 1800000);
+  assert.strictEqual(days['2024-03-10'].sites['github.com'].timeSpent, 600000);
+  assert.strictEqual(days['2024-03-09'].totalTime + days['2024-03-10'].totalTime, 2400000);
+});
+
+test('Legacy dailyStats_<date> records fold into stats', async () => {
+  const storageManager = createStorageManager();
+  const items = {
+    dateKeyFormat: 'local',
+    stats: {
+      '2024-03-10': createDay({ 'github.com': { timeSpent: 60000, visits: 1 } }, { 9: { 'github.com': 60000 } })
+    },
+    'dailyStats_2024-03-10': {
+      totalTime: 180000,
+      sites: {
+        'github.com': { domain: 'github.com', timeSpent: 120000, visits: 2, category: 'productive' },
+        'news.ycombinator.com': { domain: 'news.ycombinator.com', timeSpent: 60000, visits: 1 }
+      }
+    },
+    'dailyStats_2024-03-09': {
+      sites: { 'reddit.com': { domain: 'reddit.com', timeSpent: '30000', visits: 1 } }
+    }
+  };
+
+  await storageManager.migrateItems(items);
+  const days = storageManager.history.days;
+
+  assert.ok(!Object.keys(items).some(key => key.startsWith('dailyStats_')));
+  assert.strictEqual(days['2024-03-10'].sites['github.com'].timeSpent, 180000);
+  assert.strictEqual(days['2024-03-10'].sites['github.com'].visits, 3);
+  assert.strictEqual(days['2024-03-10'].totalTime, 240000);
+  assert.strictEqual(days['2024-03-09'].sites['reddit.com'].timeSpent, 30000);
+});
+
+test('Runner writes the new layout and removes legacy keys', async () => {
+  global.chrome = createChromeMock({
+    stats: { '2024-03-10': createDay({ 'github.com': { timeSpent: 60000, visits: 1 } }) },
+    dateKeyFormat: 'local',
+    'dailyStats_2024-03-08': { sites: { 'example.com': { timeSpent: 1000, visits: 1 } } }
+  });
+  const storageManager = createStorageManager();
+
+  const result = await storageManager.runMigrations();
+
+  assert.ok(result.success);
+  assert.strictEqual(result.fromVersion, 0);
+  assert.deepStrictEqual(result.applied, [1, 2, 3]);
+  assert.strictEqual(chrome.store.schemaVersion, STORAGE_SCHEMA_VERSION);
+  assert.ok(!('dateKeyFormat' in chrome.store));
+  assert.ok(!('dailyStats_2024-03-08' in chrome.store));
+  assert.ok(!('stats' in chrome.store));
+  assert.strictEqual(storageManager.history.days['2024-03-08'].sites['example.com'].timeSpent, 1000);
+});
+
+test('Runner is a no-op once current', async () => {
+  const stats = { '2024-03-10': createDay({ 'github.com': { timeSpent: 60000, visits: 1 } }) };
+  global.chrome = createChromeMock({ schemaVersion: STORAGE_SCHEMA_VERSION, stats });
+  const storageManager = createStorageManager();
+
+  const result = await storageManager.runMigrations();
+
+  assert.ok(result.success);
+  assert.deepStrictEqual(result.applied, []);
+  assert.deepStrictEqual(chrome.store.stats, stats);
+});
+
+test('Runner leaves storage from a newer version untouched', async () => {
+  global.chrome = createChromeMock({ schemaVersion: STORAGE_SCHEMA_VERSION + 1, dateKeyFormat: 'local' });
+  const storageManager = createStorageManager();
+
+  const result = await storageManager.runMigrations();
+
+  assert.ok(!result.success);
+  assert.strictEqual(chrome.store.schemaVersion, STORAGE_SCHEMA_VERSION + 1);
+  assert.strictEqual(chrome.store.dateKeyFormat, 'local');
+});
+
+test('Fresh install only records the schema version', async () => {
+  global.chrome = createChromeMock();
+  const storageManager = createStorageManager();
+
+  await storageManager.runMigrations();
+
+  assert.deepStrictEqual(Object.keys(chrome.store), ['schemaVersion']);
+});
+
+runTests('Testing storage migrations');
@@ -37,7 +37,7 @@ async function testPhase3Features() {
     
     if (goalsResponse?.success) {
       console.log('✅ Productivity goals loaded successfully');
-      console.log('🎯 Goals:', Object.keys(goalsResponse.data));
+      console.log('🎯 Goals:', goalsResponse.data.map(goal => goal.title || goal.type));
       tests.push({ name: 'Productivity Goals', status: 'PASS' });
     } else {
       throw new Error(goalsResponse?.error || 'Unknown error');
@@ -123,9 +123,9 @@ async function testStorageManager() {
       console.log('✅ Storage Manager analytics test passed');
       console.log('📊 Sample data:', analyticsData.summary);
       
-      const goals = await tracker.storageManager.getProductivityGoals();
-      console.log('✅ Storage Manager goals test passed');
-      console.log('🎯 Goals:', Object.keys(goals));
+      const goals = await tracker.goalManager.evaluate();
+      console.log('✅ Goal Manager test passed');
+      console.log('🎯 Goals:', goals.map(goal => goal.title || goal.type));
       
       return true;
     } else {
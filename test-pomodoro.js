@@ -0,0 +1,65 @@
+/**
+ * Pomodoro Tests
+ * Run with Node from the extension folder: node test-pomodoro.js
+ * Drives PomodoroManager through its phases and checks the focus mode it leaves behind
+ */
+
+const assert = require('assert');
+const { createChromeMock, loadBackgroundClasses, test, runTests } = require('./test-helpers.js');
+
+/**
+ * Blocking manager stand-in that only keeps the focus mode flag
+ */
+function createBlockingManagerMock() {
+  return {
+    focusMode: false,
+    async setManualFocusMode(focusMode) {
+      this.focusMode = focusMode;
+    }
+  };
+}
+
+async function createPomodoroManager() {
+  const { PomodoroManager } = loadBackgroundClasses(createChromeMock());
+  const blockingManager = createBlockingManagerMock();
+  const pomodoroManager = new PomodoroManager(blockingManager, async () => {});
+  await pomodoroManager.initialize();
+  return { pomodoroManager, blockingManager };
+}
+
+test('Stopping a running work interval ends focus mode', async () => {
+  const { pomodoroManager, blockingManager } = await createPomodoroManager();
+
+  await pomodoroManager.start();
+  assert.strictEqual(blockingManager.focusMode, true);
+  await pomodoroManager.stop();
+
+  assert.strictEqual(blockingManager.focusMode, false);
+  assert.strictEqual(pomodoroManager.state.status, 'idle');
+});
+
+test('Stopping a paused work interval ends focus mode', async () => {
+  const { pomodoroManager, blockingManager } = await createPomodoroManager();
+
+  await pomodoroManager.start();
+  await pomodoroManager.pause();
+  assert.strictEqual(blockingManager.focusMode, true);
+  await pomodoroManager.stop();
+
+  assert.strictEqual(blockingManager.focusMode, false);
+  assert.strictEqual(pomodoroManager.state.status, 'idle');
+});
+
+test('Stopping during a break leaves focus mode alone', async () => {
+  const { pomodoroManager, blockingManager } = await createPomodoroManager();
+
+  await pomodoroManager.start();
+  await pomodoroManager.skipPhase();
+  assert.strictEqual(pomodoroManager.state.phase, 'shortBreak');
+  blockingManager.focusMode = true; // Switched on by hand during the break
+  await pomodoroManager.stop();
+
+  assert.strictEqual(blockingManager.focusMode, true);
+});
+
+runTests('Testing the Pomodoro timer');
@@ -0,0 +1,74 @@
+/**
+ * Settings Validation Tests
+ * Run with Node from the extension folder: node test-settings.js
+ * Out-of-range values are rejected before any history is re-keyed or deleted
+ */
+
+const assert = require('assert');
+const { createChromeMock, createStorageManager, test, runTests } = require('./test-helpers.js');
+
+test('Out-of-range day start hours are rejected without touching history', async () => {
+  global.chrome = createChromeMock({ settings: { dayStartHour: 4 } });
+  const storageManager = createStorageManager();
+
+  for (const dayStartHour of [30, -1, 2.5, 'noon', null]) {
+    await assert.rejects(storageManager.updateSettings({ dayStartHour }), /0 to 23/);
+  }
+
+  assert.deepStrictEqual(storageManager.history.changes, []);
+  assert.strictEqual(chrome.store.settings.dayStartHour, 4);
+});
+
+test('A rejected value elsewhere in the update leaves the day start hour unapplied', async () => {
+  global.chrome = createChromeMock({ settings: { dayStartHour: 0 } });
+  const storageManager = createStorageManager();
+
+  await assert.rejects(storageManager.updateSettings({ dayStartHour: 5, rollupPeriod: 'daily' }), /rollup period/);
+  await assert.rejects(storageManager.updateSettings({ dayStartHour: 5, dataRetentionDays: 1 }), /7 to 3650/);
+  await assert.rejects(storageManager.updateSettings({ dayStartHour: 5, pageTrackingExcludedDomains: ['a.com'], pagePathDepth: 0 }), /1 to 10/);
+
+  assert.deepStrictEqual(storageManager.history.changes, []);
+  assert.strictEqual(storageManager.dayStartHour, 0);
+  assert.strictEqual(chrome.store.settings.dayStartHour, 0);
+});
+
+test('Valid numeric strings are stored as numbers', async () => {
+  global.chrome = createChromeMock();
+  const storageManager = createStorageManager();
+
+  const settings = await storageManager.updateSettings({ dayStartHour: '6', idleDetectionSeconds: '600' });
+
+  assert.strictEqual(settings.dayStartHour, 6);
+  assert.strictEqual(settings.idleDetectionSeconds, 600);
+  assert.strictEqual(storageManager.dayStartHour, 6);
+});
+
+test('An invalid stored value only blocks updates to that setting', async () => {
+  global.chrome = createChromeMock({ settings: { idleDetectionSeconds: 5, rollupPeriod: 'daily' } });
+  const storageManager = createStorageManager();
+
+  await storageManager.updateSettings({ pageTitlesEnabled: false });
+  const settings = await storageManager.updateSettings({ idleDetectionSeconds: 60, rollupPeriod: 'monthly' });
+
+  assert.strictEqual(settings.pageTitlesEnabled, false);
+  assert.strictEqual(settings.idleDetectionSeconds, 60);
+  assert.strictEqual(settings.rollupPeriod, 'monthly');
+});
+
+test('Imported settings are checked value by value', () => {
+  const storageManager = createStorageManager();
+  const rejected = [];
+
+  const validated = storageManager.validateImportedSettings({
+    dayStartHour: 30,
+    idleDetectionSeconds: 5,
+    dataRetentionDays: 60,
+    rollupPeriod: 'yearly',
+    pageTrackingEnabled: true
+  }, (record, message) => rejected.push(record));
+
+  assert.deepStrictEqual(validated, { dataRetentionDays: 60, pageTrackingEnabled: true });
+  assert.deepStrictEqual(rejected, ['settings.dayStartHour', 'settings.idleDetectionSeconds', 'settings.rollupPeriod']);
+});
+
+runTests('Testing settings validation');
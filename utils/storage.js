@@ -1,691 +1,2668 @@
 /**
  * Storage Manager for Focus Time Tracker Extension
- * Handles data persistence with Chrome Storage API and provides mock data for development
+ * The single storage layer: the service worker loads it with importScripts, tests require it.
+ * Other contexts (popup, options, content scripts) reach storage through background messages.
  */
 
+/**
+ * Layout of chrome.storage.local, bumped whenever a migration is added
+ * v1: every day lives in the `stats` blob keyed by local date
+ * v2: `dateKeyFormat` is gone; UTC-keyed stats have been re-keyed to local days
+ * v3: day stats and the session log live in IndexedDB (see HistoryStore); local storage keeps hot state only
+ */
+const STORAGE_SCHEMA_VERSION = 3;
+
+/**
+ * Ordered migrations; migrate(items, storageManager) edits a snapshot of storage in place
+ * and may be async when it moves data elsewhere
+ */
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fold legacy dailyStats_<date> records into the stats blob',
+    migrate(items, storageManager) {
+      Object.keys(items).filter(key => key.startsWith('dailyStats_')).forEach(key => {
+        const date = key.slice('dailyStats_'.length);
+        const legacy = items[key] || {};
+        delete items[key];
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return;
+
+        items.stats = items.stats || {};
+        const dayStats = storageManager.ensureDayStats(items.stats, date);
+        Object.entries(legacy.sites || {}).forEach(([domain, site]) => {
+          const target = storageManager.ensureSiteStats(dayStats, site.domain || domain);
+          target.timeSpent += Number(site.timeSpent) || 0;
+          target.visits += Number(site.visits) || 0;
+        });
+      });
+
+      // Records from any older writer get the fields current code expects
+      Object.values(items.stats || {}).forEach(dayStats => {
+        dayStats.sites = dayStats.sites || {};
+        dayStats.hourly = dayStats.hourly || {};
+        Object.values(dayStats.sites).forEach(site => {
+          site.timeSpent = Number(site.timeSpent) || 0;
+          site.visits = Number(site.visits) || 0;
+        });
+        storageManager.recalculateDayTotals(dayStats);
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Key days by local date instead of UTC',
+    migrate(items, storageManager) {
+      // Stats written before the dateKeyFormat flag existed are keyed by UTC date
+      if (items.dateKeyFormat !== 'local' && Object.keys(items.stats || {}).length > 0) {
+        const { stats, sessionLog } = storageManager.rebucketDays(
+          items.stats,
+          items.sessionLog || {},
+          (utcDate, hour) => storageManager.utcToLocalDateKey(utcDate, hour)
+        );
+        items.stats = stats;
+        items.sessionLog = sessionLog;
+      }
+      delete items.dateKeyFormat;
+    }
+  },
+  {
+    version: 3,
+    description: 'Move daily stats and the session log into IndexedDB',
+    async migrate(items, storageManager) {
+      // Writes overwrite by key, so a run interrupted before the local keys were dropped can simply repeat
+      await storageManager.history.putDays(items.stats || {}, domain => storageManager.getSiteCategory(domain));
+      await storageManager.history.putSessions(Object.values(items.sessionLog || {}).flat().map(event => ({
+        ...event,
+        date: storageManager.formatDateKey(new Date(event.startTime)),
+        category: storageManager.getSiteCategory(event.domain, event.url, event.title)
+      })));
+      delete items.stats;
+      delete items.sessionLog;
+    }
+  }
+];
+
+/**
+ * IndexedDB history: days, per-site days and logged visits
+ * Day totals and hourly buckets live in `days`; per-site figures in `siteDays` and visits in `sessions`,
+ * indexed by date, domain and category so range queries never load the whole history.
+ * Days past the retention window are folded into weekly or monthly summaries in `rollups`.
+ * `meta` holds small bookkeeping values written alongside them.
+ */
+class HistoryStore {
+  constructor(name = 'focusTimeTrackerHistory') {
+    this.name = name;
+    this.version = 3;
+    this.dbPromise = null;
+    this.maxVisitLength = 24 * 60 * 60 * 1000; // How far back a visit overlapping a range may have started
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, this.version);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            db.createObjectStore('days', { keyPath: 'date' });
+
+            const siteDays = db.createObjectStore('siteDays', { keyPath: ['date', 'domain'] });
+            siteDays.createIndex('date', 'date');
+            siteDays.createIndex('domain', ['domain', 'date']);
+            siteDays.createIndex('category', ['category', 'date']);
+
+            const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+            sessions.createIndex('date', 'date');
+            sessions.createIndex('startTime', 'startTime');
+            sessions.createIndex('domain', ['domain', 'startTime']);
+            sessions.createIndex('category', ['category', 'startTime']);
+          }
+          if (event.oldVersion < 2) {
+            db.createObjectStore('meta');
+          }
+          if (event.oldVersion < 3) {
+            db.createObjectStore('rollups', { keyPath: 'id' }).createIndex('start', 'start');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run work(tx, guard) in one transaction and resolve once it commits
+   * work may return a function that produces the result; guard wraps request callbacks
+   * so an exception aborts the transaction and rejects
+   */
+  async run(storeNames, mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let failure = null;
+      const guard = callback => event => {
+        try {
+          callback(event);
+        } catch (error) {
+          failure = error;
+          tx.abort();
+        }
+      };
+
+      let getResult;
+      try {
+        getResult = work(tx, guard);
+      } catch (error) {
+        failure = error;
+        tx.abort();
+      }
+
+      tx.oncomplete = () => resolve(typeof getResult === 'function' ? getResult() : getResult);
+      tx.onabort = () => reject(failure || tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  dateRange(startDate = null, endDate = null) {
+    if (startDate && endDate) return IDBKeyRange.bound(startDate, endDate);
+    if (startDate) return IDBKeyRange.lowerBound(startDate);
+    if (endDate) return IDBKeyRange.upperBound(endDate);
+    return null;
+  }
+
+  /**
+   * Read days in [startDate, endDate] (all days when unbounded) into the { date: dayStats } shape
+   */
+  readDays(tx, guard, startDate, endDate, onRead) {
+    const range = this.dateRange(startDate, endDate);
+    const allStats = {};
+    const siteKeys = [];
+
+    tx.objectStore('days').getAll(range).onsuccess = guard(event => {
+      event.target.result.forEach(({ date, ...dayStats }) => {
+        allStats[date] = { ...dayStats, sites: {} };
+      });
+
+      tx.objectStore('siteDays').index('date').getAll(range).onsuccess = guard(siteEvent => {
+        siteEvent.target.result.forEach(({ date, domain, category, ...site }) => {
+          if (!allStats[date]) {
+            allStats[date] = { totalTime: 0, sitesVisited: 0, productivityScore: 0, hourly: {}, sites: {} };
+          }
+          allStats[date].sites[domain] = site;
+          siteKeys.push([date, domain]);
+        });
+        onRead(allStats, siteKeys);
+      });
+    });
+  }
+
+  /**
+   * Write day records, replacing their site rows; sites missing from a day are deleted
+   */
+  writeDays(tx, allStats, existingSiteKeys, categorize) {
+    const days = tx.objectStore('days');
+    const siteDays = tx.objectStore('siteDays');
+
+    existingSiteKeys
+      .filter(([date, domain]) => !allStats[date]?.sites?.[domain])
+      .forEach(key => siteDays.delete(key));
+
+    Object.entries(allStats).forEach(([date, { sites = {}, ...dayStats }]) => {
+      days.put({ ...dayStats, date });
+      Object.entries(sites).forEach(([domain, site]) => {
+        siteDays.put({ ...site, date, domain, category: categorize(domain) });
+      });
+    });
+  }
+
+  async getDays(startDate = null, endDate = null) {
+    return this.run(['days', 'siteDays'], 'readonly', (tx, guard) => {
+      let result = {};
+      this.readDays(tx, guard, startDate, endDate, allStats => {
+        result = allStats;
+      });
+      return () => result;
+    });
+  }
+
+  /**
+   * Read, change and write back a date range in one transaction, so concurrent saves can't lose updates
+   * mutate(allStats) edits the records in place; days it deletes are removed.
+   * meta, given as { key, value }, is stored in the same transaction.
+   */
+  async updateDays(startDate, endDate, mutate, categorize, meta = null) {
+    const storeNames = meta ? ['days', 'siteDays', 'meta'] : ['days', 'siteDays'];
+
+    return this.run(storeNames, 'readwrite', (tx, guard) => {
+      let result;
+      this.readDays(tx, guard, startDate, endDate, (allStats, siteKeys) => {
+        const loadedDates = Object.keys(allStats);
+        result = mutate(allStats);
+
+        loadedDates.filter(date => !allStats[date]).forEach(date => tx.objectStore('days').delete(date));
+        this.writeDays(tx, allStats, siteKeys, categorize);
+        if (meta) {
+          tx.objectStore('meta').put(meta.value, meta.key);
+        }
+      });
+      return () => result;
+    });
+  }
+
+  async getMeta(key) {
+    return this.run(['meta'], 'readonly', tx => {
+      const request = tx.objectStore('meta').get(key);
+      return () => request.result;
+    });
+  }
+
+  /**
+   * Write day records as given, leaving other days alone
+   */
+  async putDays(allStats, categorize) {
+    return this.run(['days', 'siteDays'], 'readwrite', (tx, guard) => {
+      const dates = Object.keys(allStats);
+      if (dates.length === 0) return;
+
+      const range = IDBKeyRange.bound(dates.reduce((a, b) => (a < b ? a : b)), dates.reduce((a, b) => (a > b ? a : b)));
+      tx.objectStore('siteDays').index('date').getAllKeys(range).onsuccess = guard(event => {
+        const siteKeys = event.target.result.filter(([date]) => allStats[date]);
+        this.writeDays(tx, allStats, siteKeys, categorize);
+      });
+    });
+  }
+
+  /**
+   * Replace every stored day, e.g. after re-keying days to a new rollover hour
+   */
+  async replaceDays(allStats, categorize) {
+    return this.run(['days', 'siteDays'], 'readwrite', tx => {
+      tx.objectStore('days').clear();
+      tx.objectStore('siteDays').clear();
+      this.writeDays(tx, allStats, [], categorize);
+    });
+  }
+
+  /**
+   * Dates holding a site that matches(domain), found through the domain index
+   */
+  async getDatesForDomains(matches) {
+    return this.run(['siteDays'], 'readonly', (tx, guard) => {
+      const dates = new Set();
+      tx.objectStore('siteDays').index('domain').openKeyCursor().onsuccess = guard(event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const [domain, date] = cursor.key;
+        if (matches(domain)) {
+          dates.add(date);
+          cursor.continue();
+        } else {
+          // Skip the rest of this domain's days
+          cursor.continue([domain, '\uffff']);
+        }
+      });
+      return () => Array.from(dates).sort();
+    });
+  }
+
+  /**
+   * Fold days up to throughDate into rollups and delete them, in one transaction
+   * fold(allStats, rollups) gets the days and every stored rollup and returns the rollups to write;
+   * returns the number of days removed
+   */
+  async rollUpDays(throughDate, fold) {
+    return this.run(['days', 'siteDays', 'rollups'], 'readwrite', (tx, guard) => {
+      let count = 0;
+      this.readDays(tx, guard, null, throughDate, allStats => {
+        count = Object.keys(allStats).length;
+        if (count === 0) return;
+
+        tx.objectStore('rollups').getAll().onsuccess = guard(event => {
+          fold(allStats, event.target.result).forEach(rollup => tx.objectStore('rollups').put(rollup));
+
+          const range = this.dateRange(null, throughDate);
+          tx.objectStore('days').delete(range);
+          this.deleteByIndex(tx.objectStore('siteDays').index('date'), range, guard);
+        });
+      });
+      return () => count;
+    });
+  }
+
+  /**
+   * Rollups overlapping [startDate, endDate] (all of them when unbounded), oldest first
+   */
+  async getRollups(startDate = null, endDate = null) {
+    return this.run(['rollups'], 'readonly', tx => {
+      const request = tx.objectStore('rollups').index('start').getAll(this.dateRange(null, endDate));
+      return () => request.result.filter(rollup => !startDate || rollup.end >= startDate);
+    });
+  }
+
+  async putRollups(rollups) {
+    return this.run(['rollups'], 'readwrite', tx => {
+      const store = tx.objectStore('rollups');
+      rollups.forEach(rollup => store.put(rollup));
+    });
+  }
+
+  /**
+   * Rewrite rollups in place; mutate(rollup) changes one and returns true when it should be saved
+   * Returns how many were saved
+   */
+  async updateRollups(mutate) {
+    return this.run(['rollups'], 'readwrite', (tx, guard) => {
+      let count = 0;
+      tx.objectStore('rollups').openCursor().onsuccess = guard(event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const rollup = cursor.value;
+        if (mutate(rollup)) {
+          cursor.update(rollup);
+          count++;
+        }
+        cursor.continue();
+      });
+      return () => count;
+    });
+  }
+
+  /**
+   * Delete visits logged before cutoffDate; returns how many were removed
+   */
+  async deleteSessionsBefore(cutoffDate) {
+    return this.run(['sessions'], 'readwrite', (tx, guard) => {
+      const range = IDBKeyRange.upperBound(cutoffDate, true);
+      const count = tx.objectStore('sessions').index('date').count(range);
+      this.deleteByIndex(tx.objectStore('sessions').index('date'), range, guard);
+      return () => count.result;
+    });
+  }
+
+  /**
+   * Delete every record an index cursor visits in range
+   */
+  deleteByIndex(index, range, guard) {
+    index.openCursor(range).onsuccess = guard(event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    });
+  }
+
+  /**
+   * Record counts per store and the oldest day still held in full
+   */
+  async getCounts() {
+    return this.run(['days', 'sessions', 'rollups'], 'readonly', tx => {
+      const days = tx.objectStore('days').count();
+      const sessions = tx.objectStore('sessions').count();
+      const rollups = tx.objectStore('rollups').count();
+      const oldestDay = tx.objectStore('days').openKeyCursor();
+      return () => ({
+        days: days.result,
+        sessions: sessions.result,
+        rollups: rollups.result,
+        oldestDay: oldestDay.result ? oldestDay.result.key : null
+      });
+    });
+  }
+
+  /**
+   * Re-derive the category stored on each site row and visit after categories change
+   */
+  async recategorize(categorize) {
+    return this.run(['siteDays', 'sessions'], 'readwrite', (tx, guard) => {
+      ['siteDays', 'sessions'].forEach(storeName => {
+        tx.objectStore(storeName).openCursor().onsuccess = guard(event => {
+          const cursor = event.target.result;
+          if (!cursor) return;
+
+          const record = cursor.value;
+          const category = categorize(record.domain, record.url, record.title);
+          if (record.category !== category) {
+            cursor.update({ ...record, category });
+          }
+          cursor.continue();
+        });
+      });
+    });
+  }
+
+  async putSessions(sessions) {
+    return this.run(['sessions'], 'readwrite', tx => {
+      const store = tx.objectStore('sessions');
+      sessions.forEach(session => store.put(session));
+    });
+  }
+
+  /**
+   * Visits overlapping [startTime, endTime], optionally for one domain
+   * The start time index is read from maxVisitLength earlier so visits already running at startTime are included
+   */
+  async getSessions(startTime, endTime, domain = null) {
+    const from = startTime - this.maxVisitLength;
+
+    return this.run(['sessions'], 'readonly', tx => {
+      const store = tx.objectStore('sessions');
+      const request = domain
+        ? store.index('domain').getAll(IDBKeyRange.bound([domain, from], [domain, endTime]))
+        : store.index('startTime').getAll(IDBKeyRange.bound(from, endTime));
+      return () => request.result.filter(visit => visit.endTime >= startTime);
+    });
+  }
+
+  /**
+   * Delete visits to domains matching matches(domain)
+   */
+  async deleteSessions(matches) {
+    return this.run(['sessions'], 'readwrite', (tx, guard) => {
+      tx.objectStore('sessions').openCursor().onsuccess = guard(event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (matches(cursor.value.domain || '')) {
+          cursor.delete();
+        }
+        cursor.continue();
+      });
+    });
+  }
+
+  /**
+   * Recompute the day key of every visit, e.g. after the rollover hour changes
+   */
+  async redateSessions(dateOf) {
+    return this.run(['sessions'], 'readwrite', (tx, guard) => {
+      tx.objectStore('sessions').openCursor().onsuccess = guard(event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+
+        const date = dateOf(cursor.value);
+        if (cursor.value.date !== date) {
+          cursor.update({ ...cursor.value, date });
+        }
+        cursor.continue();
+      });
+    });
+  }
+}
+
 class StorageManager {
   constructor() {
-    this.mockMode = true; // Set to false for production
-    this.mockData = this.generateMockData();
+    this.initialized = false;
+    this.mockAnalytics = false; // Dev only: serve generated analytics instead of stored stats
+    this.dayStartHour = 0; // Local hour at which a tracking day rolls over
+    this.categoryTaxonomy = { categories: [], rules: [] }; // User-defined categories and matching rules
+    this.compiledCategoryRules = []; // Rules in evaluation order, regexes compiled
+    this.scoreModel = this.getDefaultScoreModel();
+    this.pageTracking = null; // Cached page tracking preferences, see applyPageTrackingSettings
+    this.trackingExclusions = []; // Compiled "never track" patterns, see applyTrackingPrivacy
+    this.incognitoTracking = 'ignore';
+    this.incognitoPolicies = ['ignore', 'session', 'normal'];
+    this.rollupPeriods = ['weekly', 'monthly'];
+    this.rollupTopSites = 20; // Domains kept by name in each rollup; the rest only count toward otherTime
+    this.rollupTotals = ['days', 'totalTime', 'passiveTime', 'visits', 'focusSessionCount', 'completedFocusSessions', 'otherTime'];
+    this.importStrategies = ['sum', 'newer', 'replace']; // How an imported day meets a stored copy of the same day
+    this.maxPagesPerSite = 100; // Per day; further pages are pooled so one site can't bloat storage
+    this.onStatsChanged = null; // Called after stored stats change, e.g. to re-check goals
+    this.history = new HistoryStore(); // Day stats and visits; opened on first use
+    this.categorize = domain => this.getSiteCategory(domain);
+    this.pendingTime = new Map(); // Tracked time not yet written to history, see recordTime
+    this.pendingSequence = 1; // Batch number stamped on pending time; history keeps the last one written
+    this.historyQueue = Promise.resolve(); // History reads and writes run one at a time, see queueHistoryTask
+    this.flushDelay = 5000; // Pending time is written at most this long after it was recorded
+    this.flushTimer = null;
+    this.applyPageTrackingSettings(this.getDefaultSettings());
+    this.applyTrackingPrivacy(this.getDefaultSettings());
+  }
+
+  async initialize() {
+    // Check if storage is available and initialize default settings
+    try {
+      await chrome.storage.local.get(['test']);
+      
+      // Ensure storage is initialized
+      const storage = await chrome.storage.local.get(['settings']);
+      if (!storage.settings) {
+        await this.saveSettings(this.getDefaultSettings());
+      }
+      const settings = await this.getSettings();
+      this.dayStartHour = settings.dayStartHour || 0;
+      this.applyPageTrackingSettings(settings);
+      this.applyTrackingPrivacy(settings);
+      await this.loadCategoryTaxonomy();
+
+      // Bring older layouts up to date before anything reads them
+      await this.runMigrations();
+
+      // Time recorded before the worker stopped but not yet written
+      const { trackingCheckpoint } = await chrome.storage.local.get(['trackingCheckpoint']);
+      await this.restorePendingTime(trackingCheckpoint?.pendingTime);
+
+      await this.loadScoreModel();
+      
+      this.initialized = true;
+      console.log('✅ Storage Manager initialized');
+    } catch (error) {
+      console.error('❌ Storage Manager initialization failed:', error);
+    }
+  }
+
+  getDefaultSettings() {
+    return {
+      trackingEnabled: true,
+      blockingEnabled: false,
+      focusMode: false,
+      blockedSites: [],
+      dayStartHour: 0,
+      dataRetentionDays: 90, // Days kept in full detail; older days are folded into rollups
+      rollupPeriod: 'weekly', // 'weekly' or 'monthly' summaries kept for compacted days
+      sessionRetentionDays: 30, // Raw visit log horizon
+      idleDetectionSeconds: 300, // No input for this long (or a locked screen) pauses tracking
+      pageTrackingEnabled: false, // Also record time per page (path and title) within each domain
+      pagePathDepth: 2, // Path segments kept, e.g. 2 turns /org/repo/pull/12 into /org/repo
+      pageStripQuery: true,
+      pageTitlesEnabled: true,
+      pageTrackingExcludedDomains: [], // Domains (and their subdomains) whose pages are never recorded
+      trackingExclusions: [], // Sites never tracked at all: domains, domain/path prefixes or * wildcards
+      incognitoTracking: 'ignore' // 'ignore', 'session' (counted live, never saved) or 'normal'
+    };
+  }
+
+  /**
+   * Record tracked time for a domain; it reaches history with the next flush
+   * The time is treated as the stretch ending at endTime and split across clock hours,
+   * so sessions crossing an hour or midnight land in the right hourly and daily buckets.
+   * Synchronous, so a caller can move time out of a live session before anything else runs.
+   */
+  recordTime(domain, timeSpent, visits = 1, endTime = Date.now(), page = null) {
+    const path = this.getPagePath(domain, page?.url);
+
+    this.splitIntoHourSegments(endTime - timeSpent, endTime).forEach(segment => {
+      const start = new Date(segment.start);
+      this.addPendingTime(
+        { date: this.formatDateKey(start), hour: start.getHours(), domain, path, title: path ? page.title || null : null },
+        { timeSpent: segment.duration }
+      );
+    });
+
+    if (visits > 0) {
+      // Visits count towards the day the tracked stretch ended
+      this.addPendingTime(
+        { date: this.formatDateKey(new Date(endTime)), hour: null, domain, path: null, title: null },
+        { visits }
+      );
+    }
+  }
+
+  /**
+   * Record media watched without input on a 'passive' category
+   * Kept apart from active time, so it counts toward neither totals, quotas nor the score
+   */
+  recordPassiveTime(domain, timeSpent, endTime = Date.now()) {
+    this.splitIntoHourSegments(endTime - timeSpent, endTime).forEach(segment => {
+      this.addPendingTime(
+        { date: this.formatDateKey(new Date(segment.start)), hour: null, domain, path: null, title: null },
+        { passiveTime: segment.duration }
+      );
+    });
+  }
+
+  /**
+   * Add to the accumulator, merging time for the same day, hour, site and page
+   */
+  addPendingTime(target, amounts) {
+    const key = [target.date, target.hour, target.domain, target.path].join('|');
+    const entry = this.pendingTime.get(key) || {
+      date: target.date,
+      hour: target.hour,
+      domain: target.domain,
+      path: target.path,
+      title: null,
+      timeSpent: 0,
+      passiveTime: 0,
+      visits: 0
+    };
+
+    entry.timeSpent += amounts.timeSpent || 0;
+    entry.passiveTime += amounts.passiveTime || 0;
+    entry.visits += amounts.visits || 0;
+    entry.title = target.title || entry.title;
+    entry.sequence = this.pendingSequence;
+    this.pendingTime.set(key, entry);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushPendingTime().catch(error => {
+          console.error('Error flushing tracked time:', error);
+        });
+      }, this.flushDelay);
+    }
+  }
+
+  /**
+   * Pending time, for the tracking checkpoint
+   */
+  getPendingTime() {
+    return Array.from(this.pendingTime.values());
+  }
+
+  /**
+   * Put pending time from a checkpoint back, skipping batches history already has
+   */
+  async restorePendingTime(entries = []) {
+    const flushedSequence = (await this.history.getMeta('flushedSequence')) || 0;
+    const unflushed = entries.filter(entry => entry.sequence > flushedSequence);
+
+    // Later batches must number above anything the checkpoint or history has seen
+    this.pendingSequence = Math.max(this.pendingSequence, flushedSequence, ...entries.map(entry => entry.sequence)) + 1;
+    unflushed.forEach(entry => this.addPendingTime(entry, entry));
+
+    if (unflushed.length > 0) {
+      console.log(`♻️ Restored ${unflushed.length} unsaved time entries from the checkpoint`);
+    }
+  }
+
+  /**
+   * Add accumulated entries to day records, in place
+   */
+  applyTimeEntries(allStats, entries) {
+    const touchedDates = new Set();
+
+    entries.forEach(entry => {
+      const dayStats = this.ensureDayStats(allStats, entry.date);
+      const site = this.ensureSiteStats(dayStats, entry.domain);
+
+      site.timeSpent += entry.timeSpent;
+      site.visits += entry.visits;
+      if (entry.passiveTime > 0) {
+        site.passiveTime = (site.passiveTime || 0) + entry.passiveTime;
+      }
+      if (entry.path && entry.timeSpent > 0) {
+        this.addPageTime(site, entry.path, entry.title, entry.timeSpent);
+      }
+      if (entry.hour !== null && entry.timeSpent > 0) {
+        if (!dayStats.hourly[entry.hour]) {
+          dayStats.hourly[entry.hour] = {};
+        }
+        dayStats.hourly[entry.hour][entry.domain] = (dayStats.hourly[entry.hour][entry.domain] || 0) + entry.timeSpent;
+      }
+      touchedDates.add(entry.date);
+    });
+
+    touchedDates.forEach(date => {
+      // Lets an import tell which copy of a day was tracked more recently
+      allStats[date].updatedAt = Date.now();
+      this.recalculateDayTotals(allStats[date]);
+    });
+  }
+
+  /**
+   * Run a history task once every task queued before it has finished
+   * Tasks must use this.history directly; waiting on another queued call from inside one would deadlock
+   */
+  queueHistoryTask(task) {
+    const run = this.historyQueue.then(task);
+    this.historyQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Queue a change to history, with pending time written first
+   */
+  updateHistory(task) {
+    return this.queueHistoryTask(async () => {
+      await this.writePendingTime();
+      return task();
+    });
+  }
+
+  /**
+   * Write pending time now (on a schedule and on lifecycle events such as suspend or idle)
+   */
+  flushPendingTime() {
+    return this.queueHistoryTask(() => this.writePendingTime());
+  }
+
+  /**
+   * Write all pending time in one transaction; only called from inside the history queue
+   * The batch number is stored with it, so a restored checkpoint can't add the same time twice
+   */
+  async writePendingTime() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pendingTime.size === 0) return;
+
+    const entries = this.getPendingTime();
+    const sequence = this.pendingSequence;
+    const dates = entries.map(entry => entry.date).sort();
+    const today = this.formatDateKey();
+    this.pendingTime.clear();
+    this.pendingSequence++;
+
+    let todayStats;
+    try {
+      todayStats = await this.history.updateDays(dates[0], dates[dates.length - 1], allStats => {
+        this.applyTimeEntries(allStats, entries);
+        return allStats[today];
+      }, this.categorize, { key: 'flushedSequence', value: sequence });
+    } catch (error) {
+      // Keep the batch for the next flush
+      entries.forEach(entry => this.addPendingTime(entry, entry));
+      throw error;
+    }
+    this.onStatsChanged?.();
+
+    if (todayStats) {
+      // Notify any open popups
+      try {
+        await chrome.runtime.sendMessage({
+          type: 'STATS_UPDATED',
+          payload: todayStats
+        });
+      } catch (error) {
+        // Popup might not be open, ignore error
+      }
+    }
+  }
+
+  /**
+   * Days in [startDate, endDate] (all days when unbounded), including time not yet written
+   */
+  async loadDays(startDate = null, endDate = null) {
+    return this.queueHistoryTask(async () => {
+      const allStats = await this.history.getDays(startDate, endDate);
+      const entries = this.getPendingTime()
+        .filter(entry => (!startDate || entry.date >= startDate) && (!endDate || entry.date <= endDate));
+
+      this.applyTimeEntries(allStats, entries);
+      return allStats;
+    });
+  }
+
+  /**
+   * Cache the page tracking preferences used on every save
+   */
+  applyPageTrackingSettings(settings) {
+    this.pageTracking = {
+      enabled: Boolean(settings.pageTrackingEnabled),
+      pathDepth: Math.min(10, Math.max(1, Math.round(Number(settings.pagePathDepth)) || 2)),
+      stripQuery: settings.pageStripQuery !== false,
+      titles: settings.pageTitlesEnabled !== false,
+      excludedDomains: settings.pageTrackingExcludedDomains || []
+    };
+  }
+
+  isPageTrackingExcluded(domain) {
+    return this.pageTracking.excludedDomains.some(excluded => domain === excluded || domain.endsWith(`.${excluded}`));
+  }
+
+  /**
+   * Normalized page key for a URL: its path cut to the configured depth, plus the query string
+   * when it is kept and the path was not cut; the fragment is always dropped
+   * null when page tracking is off or the domain opted out
+   */
+  getPagePath(domain, url) {
+    if (!this.pageTracking.enabled || !url || this.isPageTrackingExcluded(domain)) {
+      return null;
+    }
+
+    try {
+      const parsed = new URL(url);
+      const segments = parsed.pathname.split('/').filter(Boolean);
+      const kept = segments.slice(0, this.pageTracking.pathDepth);
+      const path = `/${kept.join('/')}`;
+      return !this.pageTracking.stripQuery && kept.length === segments.length ? path + parsed.search : path;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Add time to a page under a site's day record, keeping the latest title seen
+   */
+  addPageTime(site, pagePath, title, duration) {
+    site.pages = site.pages || {};
+    let key = pagePath;
+    if (!site.pages[key] && Object.keys(site.pages).length >= this.maxPagesPerSite) {
+      key = '*';
+    }
+
+    const page = site.pages[key] || (site.pages[key] = { timeSpent: 0, title: null });
+    page.timeSpent += duration;
+    if (key === '*') {
+      page.title = 'Other pages';
+    } else if (this.pageTracking.titles && title) {
+      page.title = title.slice(0, 200);
+    }
+  }
+
+  /**
+   * Drop recorded pages for a domain (and its subdomains) from every stored day
+   */
+  async clearPageData(domain) {
+    const matches = siteDomain => siteDomain === domain || siteDomain.endsWith(`.${domain}`);
+
+    return this.updateHistory(async () => {
+      const dates = await this.history.getDatesForDomains(matches);
+      if (dates.length === 0) return 0;
+
+      return this.history.updateDays(dates[0], dates[dates.length - 1], allStats => {
+        let cleared = 0;
+        Object.values(allStats).forEach(dayStats => {
+          Object.entries(dayStats.sites).forEach(([siteDomain, site]) => {
+            if (site.pages && matches(siteDomain)) {
+              delete site.pages;
+              cleared++;
+            }
+          });
+        });
+        return cleared;
+      }, this.categorize);
+    });
+  }
+
+  normalizeDomainList(domains) {
+    const list = Array.isArray(domains) ? domains : String(domains || '').split(',');
+    const normalized = list
+      .map(domain => String(domain).trim().toLowerCase()
+        .replace(/^https?:\/\//, '').replace(/\/.*$/, '').replace(/^www\./, ''))
+      .filter(Boolean);
+    return Array.from(new Set(normalized)).sort();
+  }
+
+  /**
+   * Turn page tracking off or back on for one domain; opting out also deletes its recorded pages
+   */
+  async setPageTrackingExcluded(domain, excluded) {
+    const [target] = this.normalizeDomainList([domain || '']);
+    if (!target) {
+      throw new Error('Invalid domain');
+    }
+
+    const settings = await this.getSettings();
+    const domains = new Set(settings.pageTrackingExcludedDomains || []);
+    if (excluded) {
+      domains.add(target);
+    } else {
+      domains.delete(target);
+    }
+
+    return this.updateSettings({ pageTrackingExcludedDomains: Array.from(domains) });
+  }
+
+  /**
+   * Clean up "never track" patterns; a leading *. means the same as the bare domain
+   */
+  normalizeExclusionPatterns(patterns) {
+    const list = Array.isArray(patterns) ? patterns : String(patterns || '').split(',');
+    const normalized = list
+      .map(pattern => String(pattern).trim().toLowerCase()
+        .replace(/^https?:\/\//, '').replace(/^\*\./, '').replace(/^www\./, '').replace(/\/+$/, ''))
+      .filter(pattern => pattern && pattern !== '*');
+    return Array.from(new Set(normalized)).sort();
+  }
+
+  /**
+   * Cache the exclusion list and incognito policy checked before every tracked tab
+   */
+  applyTrackingPrivacy(settings) {
+    this.incognitoTracking = this.incognitoPolicies.includes(settings.incognitoTracking) ? settings.incognitoTracking : 'ignore';
+    this.trackingExclusions = (settings.trackingExclusions || []).map(pattern => {
+      if (pattern.includes('*')) {
+        const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        return { pattern, regex: new RegExp(`^${source}(/.*)?$`) };
+      }
+      const slash = pattern.indexOf('/');
+      return slash === -1
+        ? { pattern, host: pattern, path: '/' }
+        : { pattern, host: pattern.slice(0, slash), path: pattern.slice(slash) };
+    });
+  }
+
+  /**
+   * Whether a page is on the "never track" list
+   * Plain entries cover the domain, its subdomains and, with a path, everything below that path
+   */
+  isTrackingExcluded(url) {
+    let host;
+    let path;
+    try {
+      const parsed = new URL(url);
+      host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      path = parsed.pathname.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+
+    return this.trackingExclusions.some(exclusion => {
+      if (exclusion.regex) {
+        return exclusion.regex.test(host + path);
+      }
+      const hostMatches = host === exclusion.host || host.endsWith(`.${exclusion.host}`);
+      return hostMatches && (exclusion.path === '/' || path === exclusion.path || path.startsWith(`${exclusion.path}/`));
+    });
+  }
+
+  /**
+   * Delete everything recorded for a domain and its subdomains: daily totals, hourly buckets, logged visits
+   * and its entries in rollups. Time it had in a rollup after dropping out of the top list is pooled in
+   * otherTime with other domains, so it can't be told apart and stays there.
+   */
+  async purgeSiteHistory(domain) {
+    const matches = siteDomain => siteDomain === domain || siteDomain.endsWith(`.${domain}`);
+    let purgedRollups = 0;
+    const purgedDays = await this.updateHistory(async () => {
+      const dates = await this.history.getDatesForDomains(matches);
+      let purged = 0;
+
+      if (dates.length > 0) {
+        purged = await this.history.updateDays(dates[0], dates[dates.length - 1], allStats => {
+          let purgedInRange = 0;
+          Object.values(allStats).forEach(dayStats => {
+            const domains = Object.keys(dayStats.sites).filter(matches);
+            if (domains.length === 0) return;
+
+            domains.forEach(siteDomain => {
+              delete dayStats.sites[siteDomain];
+              Object.values(dayStats.hourly || {}).forEach(hourly => delete hourly[siteDomain]);
+            });
+            this.recalculateDayTotals(dayStats);
+            purgedInRange++;
+          });
+          return purgedInRange;
+        }, this.categorize);
+      }
+      await this.history.deleteSessions(matches);
+      purgedRollups = await this.history.updateRollups(rollup => this.removeRollupSites(rollup, matches));
+      return purged;
+    });
+
+    if (purgedDays > 0 || purgedRollups > 0) {
+      this.onStatsChanged?.();
+    }
+    return purgedDays;
+  }
+
+  /**
+   * Take back time saved for a domain between startTime and endTime
+   * Used when checkpoints counted minutes that turned out to be idle; totals never drop below zero
+   */
+  async removeTimeEntry(domain, startTime, endTime, page = null) {
+    try {
+      const pagePath = this.getPagePath(domain, page?.url);
+      const startDate = this.formatDateKey(new Date(startTime));
+      const endDate = this.formatDateKey(new Date(endTime));
+
+      // Pending time is written first, as the stretch being taken back may not have been flushed yet
+      const removedAny = await this.updateHistory(() => this.history.updateDays(startDate, endDate, allStats => {
+        const touchedDates = new Set();
+
+        this.splitIntoHourSegments(startTime, endTime).forEach(segment => {
+          const date = this.formatDateKey(new Date(segment.start));
+          const hour = new Date(segment.start).getHours();
+          const dayStats = allStats[date];
+          const hourly = dayStats?.hourly?.[hour];
+          const site = dayStats?.sites?.[domain];
+          if (!site || !hourly?.[domain]) return;
+
+          const removed = Math.min(segment.duration, hourly[domain], site.timeSpent);
+          site.timeSpent -= removed;
+          hourly[domain] -= removed;
+          if (pagePath && site.pages?.[pagePath]) {
+            site.pages[pagePath].timeSpent = Math.max(0, site.pages[pagePath].timeSpent - removed);
+          }
+          if (hourly[domain] === 0) {
+            delete hourly[domain];
+          }
+          touchedDates.add(date);
+        });
+
+        touchedDates.forEach(date => this.recalculateDayTotals(allStats[date]));
+        return touchedDates.size > 0;
+      }, this.categorize));
+
+      if (removedAny) {
+        this.onStatsChanged?.();
+      }
+    } catch (error) {
+      console.error('Error removing time entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recompute the derived totals of a day record from its sites
+   */
+  recalculateDayTotals(stats) {
+    stats.totalTime = Object.values(stats.sites)
+      .reduce((total, site) => total + (site.timeSpent || 0), 0);
+    stats.passiveTime = Object.values(stats.sites)
+      .reduce((total, site) => total + (site.passiveTime || 0), 0);
+    // Sites with only passive media time were not really visited
+    stats.sitesVisited = Object.values(stats.sites).filter(site => site.timeSpent > 0 || site.visits > 0).length;
+    stats.productivityScore = this.calculateProductivityScore(stats).score;
+    return stats;
+  }
+
+  /**
+   * Default productivity score model
+   * Category weights live on the categories themselves (see the category taxonomy)
+   */
+  getDefaultScoreModel() {
+    return {
+      targetHours: 4, // Weighted productive time that earns a full score
+      switchPenalty: 0.5, // Points lost per context switch beyond the allowance
+      freeSwitchesPerHour: 12, // Switches per tracked hour that cost nothing
+      maxSwitchPenalty: 20,
+      focusBonusEnabled: false,
+      focusSessionBonus: 5, // Points per completed focus session
+      maxFocusBonus: 15
+    };
+  }
+
+  /**
+   * Load the score model; the first load after scoring changed rescores every stored day
+   */
+  async loadScoreModel() {
+    const storage = await chrome.storage.local.get(['productivityScoreModel']);
+    this.scoreModel = { ...this.getDefaultScoreModel(), ...storage.productivityScoreModel };
+
+    if (!storage.productivityScoreModel) {
+      await chrome.storage.local.set({ productivityScoreModel: this.scoreModel });
+      await this.rescoreAllDays();
+    }
+  }
+
+  /**
+   * Validate and store the score model, then rescore history under it
+   */
+  async saveScoreModel(model) {
+    try {
+      const merged = { ...this.scoreModel, ...model };
+      const number = (value, min, max, label) => {
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+          throw new Error(`${label} must be between ${min} and ${max}`);
+        }
+        return parsed;
+      };
+
+      this.scoreModel = {
+        targetHours: number(merged.targetHours, 0.5, 16, 'Daily target'),
+        switchPenalty: number(merged.switchPenalty, 0, 10, 'Context switch penalty'),
+        freeSwitchesPerHour: number(merged.freeSwitchesPerHour, 0, 120, 'Free switches per hour'),
+        maxSwitchPenalty: number(merged.maxSwitchPenalty, 0, 100, 'Maximum switch penalty'),
+        focusBonusEnabled: Boolean(merged.focusBonusEnabled),
+        focusSessionBonus: number(merged.focusSessionBonus, 0, 50, 'Focus session bonus'),
+        maxFocusBonus: number(merged.maxFocusBonus, 0, 100, 'Maximum focus bonus')
+      };
+
+      await chrome.storage.local.set({ productivityScoreModel: this.scoreModel });
+      const rescoredDays = await this.rescoreAllDays();
+
+      console.log('📊 Score model saved, rescored days:', rescoredDays);
+      return { success: true, model: this.scoreModel, rescoredDays };
+    } catch (error) {
+      console.error('Error saving score model:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Productivity weight (-1 to 1) of a category
+   */
+  getCategoryWeight(categoryId) {
+    const category = this.categoryTaxonomy.categories.find(item => item.id === categoryId);
+    return category ? category.weight : 0;
+  }
+
+  /**
+   * What media playback without input counts as on a category's sites:
+   * 'active' keeps counting normally, 'passive' is stored apart as passive time, 'ignore' pauses like any idle page
+   * Categories saved before the policy existed get one from their weight
+   */
+  getCategoryMediaPolicy(category) {
+    if (['active', 'passive', 'ignore'].includes(category?.mediaPolicy)) {
+      return category.mediaPolicy;
+    }
+    return (category?.weight || 0) < 0 ? 'passive' : 'active';
+  }
+
+  /**
+   * Media policy for a page, through its category
+   */
+  getMediaPolicy(domain, url = null, title = null) {
+    const categoryId = this.getSiteCategory(domain, url, title);
+    return this.getCategoryMediaPolicy(this.categoryTaxonomy.categories.find(item => item.id === categoryId));
+  }
+
+  /**
+   * Score a day record under the current model
+   * Weighted time (time x category weight) against the daily target gives the base 0-100,
+   * less a penalty for switching sites more often than the allowance, plus an optional
+   * bonus for completed focus sessions
+   */
+  calculateProductivityScore(dayStats, model = this.scoreModel) {
+    const breakdown = {
+      score: 0,
+      weightedTime: 0,
+      productiveTime: 0,
+      distractingTime: 0,
+      baseScore: 0,
+      contextSwitches: 0,
+      switchPenalty: 0,
+      focusBonus: 0
+    };
+
+    const sites = Object.entries(dayStats?.sites || {});
+    const totalTime = sites.reduce((total, [, site]) => total + (site.timeSpent || 0), 0);
+    if (totalTime === 0) {
+      return breakdown;
+    }
+
+    let visits = 0;
+    sites.forEach(([domain, site]) => {
+      const timeSpent = site.timeSpent || 0;
+      const weight = this.getCategoryWeight(this.getSiteCategory(domain));
+
+      breakdown.weightedTime += timeSpent * weight;
+      if (weight > 0) breakdown.productiveTime += timeSpent;
+      if (weight < 0) breakdown.distractingTime += timeSpent;
+      visits += site.visits || 0;
+    });
+
+    const targetMs = model.targetHours * 60 * 60 * 1000;
+    breakdown.baseScore = Math.max(0, Math.min(100, (breakdown.weightedTime / targetMs) * 100));
+
+    // Each new visit after the first is a switch away from whatever came before
+    breakdown.contextSwitches = Math.max(0, visits - 1);
+    const freeSwitches = model.freeSwitchesPerHour * (totalTime / (60 * 60 * 1000));
+    breakdown.switchPenalty = Math.min(
+      model.maxSwitchPenalty,
+      Math.max(0, breakdown.contextSwitches - freeSwitches) * model.switchPenalty
+    );
+
+    if (model.focusBonusEnabled) {
+      breakdown.focusBonus = Math.min(
+        model.maxFocusBonus,
+        (dayStats.completedFocusSessions || 0) * model.focusSessionBonus
+      );
+    }
+
+    breakdown.score = Math.max(0, Math.min(100, Math.round(
+      breakdown.baseScore - breakdown.switchPenalty + breakdown.focusBonus
+    )));
+    breakdown.baseScore = Math.round(breakdown.baseScore);
+    breakdown.switchPenalty = Math.round(breakdown.switchPenalty);
+    return breakdown;
+  }
+
+  /**
+   * Recompute the stored score of every day, e.g. after the model or category weights change
+   */
+  async rescoreAllDays() {
+    const rescored = await this.updateHistory(() => this.history.updateDays(null, null, allStats => {
+      const dates = Object.keys(allStats);
+      dates.forEach(date => {
+        allStats[date].productivityScore = this.calculateProductivityScore(allStats[date]).score;
+      });
+      return dates.length;
+    }, this.categorize));
+
+    if (rescored > 0) {
+      this.onStatsChanged?.();
+    }
+    return rescored;
+  }
+
+  /**
+   * Count a finished focus session toward its day and rescore that day
+   */
+  async addFocusSessionToDay(date, completed) {
+    const dayStats = await this.updateHistory(() => this.history.updateDays(date, date, allStats => {
+      const day = this.ensureDayStats(allStats, date);
+
+      day.focusSessionCount = (day.focusSessionCount || 0) + 1;
+      if (completed) {
+        day.completedFocusSessions = (day.completedFocusSessions || 0) + 1;
+      }
+      return this.recalculateDayTotals(day);
+    }, this.categorize));
+
+    this.onStatsChanged?.();
+    return dayStats;
+  }
+
+  /**
+   * Get (creating if needed) the stats record for a date
+   */
+  ensureDayStats(allStats, date) {
+    if (!allStats[date]) {
+      allStats[date] = {
+        totalTime: 0,
+        sitesVisited: 0,
+        productivityScore: 0,
+        sites: {}
+      };
+    }
+    if (!allStats[date].hourly) {
+      allStats[date].hourly = {};
+    }
+    return allStats[date];
+  }
+
+  /**
+   * Get (creating if needed) a domain's record within a day
+   */
+  ensureSiteStats(dayStats, domain) {
+    if (!dayStats.sites[domain]) {
+      dayStats.sites[domain] = {
+        timeSpent: 0,
+        visits: 0
+      };
+    }
+    return dayStats.sites[domain];
+  }
+
+  /**
+   * Split [startTime, endTime) at every clock-hour boundary
+   */
+  splitIntoHourSegments(startTime, endTime) {
+    const segments = [];
+    let cursor = startTime;
+
+    while (cursor < endTime) {
+      const nextHour = new Date(cursor);
+      nextHour.setMinutes(60, 0, 0);
+      const segmentEnd = Math.min(nextHour.getTime(), endTime);
+
+      segments.push({ start: cursor, end: segmentEnd, duration: segmentEnd - cursor });
+      cursor = segmentEnd;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Sum per-hour-per-domain totals across a date range
+   */
+  async getHourlyBreakdown(startDate, endDate = null, domain = null) {
+    const timeData = await this.getTimeData(startDate, endDate || startDate);
+    const hours = Array.from({ length: 24 }, (_, hour) => ({
+      hour,
+      totalTime: 0,
+      sites: {}
+    }));
+
+    Object.values(timeData).forEach(dayStats => {
+      Object.entries(dayStats.hourly || {}).forEach(([hour, sites]) => {
+        Object.entries(sites).forEach(([siteDomain, time]) => {
+          if (domain && siteDomain !== domain) return;
+
+          const bucket = hours[hour];
+          bucket.totalTime += time;
+          bucket.sites[siteDomain] = (bucket.sites[siteDomain] || 0) + time;
+        });
+      });
+    });
+
+    return {
+      startDate,
+      endDate: endDate || startDate,
+      domain,
+      hours
+    };
+  }
+
+  /**
+   * Append a finished visit to the raw session log, keyed by its start date and category
+   */
+  async saveSessionEvent(event) {
+    try {
+      await this.history.putSessions([{
+        ...event,
+        date: this.formatDateKey(new Date(event.startTime)),
+        category: this.getSiteCategory(event.domain, event.url, event.title)
+      }]);
+
+      return event;
+    } catch (error) {
+      console.error('Error saving session event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get logged visits overlapping [startTime, endTime], optionally for one domain
+   */
+  async getSessionEvents(startTime, endTime = Date.now(), domain = null) {
+    try {
+      const events = await this.history.getSessions(startTime, endTime, domain);
+      return events.sort((a, b) => a.startTime - b.startTime);
+    } catch (error) {
+      console.error('Error getting session events:', error);
+      throw error;
+    }
+  }
+
+  async getTodayStats() {
+    const today = this.formatDateKey();
+    const days = await this.loadDays(today, today);
+    return days[today] || {
+      totalTime: 0,
+      sitesVisited: 0,
+      productivityScore: 0,
+      sites: {}
+    };
+  }
+
+  /**
+   * Apply the retention policy: days older than dataRetentionDays are folded into weekly or monthly
+   * rollups (category totals and top domains), and visits older than sessionRetentionDays are deleted
+   */
+  async compactHistory() {
+    const settings = await this.getSettings();
+    const today = this.formatDateKey();
+    const lastRolledUpDate = this.shiftDateKey(today, -settings.dataRetentionDays - 1);
+    const sessionCutoff = this.shiftDateKey(today, -settings.sessionRetentionDays);
+
+    const result = await this.updateHistory(async () => ({
+      rolledUpDays: await this.history.rollUpDays(lastRolledUpDate, (allStats, rollups) => this.foldIntoRollups(allStats, rollups, settings.rollupPeriod)),
+      deletedSessions: await this.history.deleteSessionsBefore(sessionCutoff)
+    }));
+
+    if (result.rolledUpDays > 0 || result.deletedSessions > 0) {
+      console.log(`🧹 Rolled up ${result.rolledUpDays} days through ${lastRolledUpDate}, deleted ${result.deletedSessions} visits before ${sessionCutoff}`);
+    }
+    return result;
+  }
+
+  /**
+   * Add days to the rollups of the periods they fall in; returns the rollups created or changed
+   */
+  foldIntoRollups(allStats, rollups, period) {
+    const stored = new Map(rollups.map(rollup => [rollup.id, rollup]));
+    const changed = new Map();
+
+    Object.keys(allStats).sort().forEach(date => {
+      const dayStats = allStats[date];
+      const { start, end } = this.getRollupRange(period, date);
+      const id = `${period}:${start}`;
+      const rollup = changed.get(id) || stored.get(id) || {
+        id,
+        period,
+        start,
+        end,
+        days: 0,
+        dates: [], // The compacted days; the rest of the period was never tracked or is still kept in full
+        totalTime: 0,
+        passiveTime: 0,
+        visits: 0,
+        focusSessionCount: 0,
+        completedFocusSessions: 0,
+        categories: {},
+        topSites: [],
+        otherTime: 0
+      };
+
+      const sites = new Map(rollup.topSites.map(site => [site.domain, { ...site }]));
+      Object.entries(dayStats.sites).forEach(([domain, site]) => {
+        const category = this.getSiteCategory(domain);
+        const entry = sites.get(domain) || { domain, category, timeSpent: 0, visits: 0 };
+        entry.timeSpent += site.timeSpent || 0;
+        entry.visits += site.visits || 0;
+        sites.set(domain, entry);
+
+        rollup.categories[category] = (rollup.categories[category] || 0) + (site.timeSpent || 0);
+        rollup.visits += site.visits || 0;
+      });
+      this.rankRollupSites(rollup, sites);
+
+      if (!rollup.dates.includes(date)) {
+        rollup.dates.push(date);
+        rollup.dates.sort();
+      }
+      rollup.days = rollup.dates.length;
+      rollup.totalTime += dayStats.totalTime || 0;
+      rollup.passiveTime += dayStats.passiveTime || 0;
+      rollup.focusSessionCount += dayStats.focusSessionCount || 0;
+      rollup.completedFocusSessions += dayStats.completedFocusSessions || 0;
+      rollup.updatedAt = Date.now();
+      changed.set(id, rollup);
+    });
+
+    return Array.from(changed.values());
+  }
+
+  /**
+   * Keep a rollup's busiest domains by name; domains that drop out of the top list still count toward otherTime
+   */
+  rankRollupSites(rollup, sites) {
+    const ranked = Array.from(sites.values()).sort((a, b) => b.timeSpent - a.timeSpent);
+    rollup.topSites = ranked.slice(0, this.rollupTopSites);
+    rollup.otherTime += ranked.slice(this.rollupTopSites).reduce((total, site) => total + site.timeSpent, 0);
+  }
+
+  /**
+   * Take domains matching matches(domain) out of a rollup's top list and its totals; returns true when any were found
+   */
+  removeRollupSites(rollup, matches) {
+    const removed = rollup.topSites.filter(site => matches(site.domain));
+    if (removed.length === 0) return false;
+
+    rollup.topSites = rollup.topSites.filter(site => !matches(site.domain));
+    removed.forEach(site => {
+      rollup.totalTime = Math.max(0, rollup.totalTime - site.timeSpent);
+      rollup.visits = Math.max(0, rollup.visits - site.visits);
+      if (rollup.categories[site.category] !== undefined) {
+        rollup.categories[site.category] = Math.max(0, rollup.categories[site.category] - site.timeSpent);
+      }
+    });
+    rollup.updatedAt = Date.now();
+    return true;
+  }
+
+  /**
+   * Week (Monday to Sunday) or calendar month containing a date key
+   */
+  getRollupRange(period, dateKey) {
+    if (period === 'monthly') {
+      const [year, month] = dateKey.split('-').map(Number);
+      const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+      const prefix = dateKey.slice(0, 7);
+      return { start: `${prefix}-01`, end: `${prefix}-${String(lastDay).padStart(2, '0')}` };
+    }
+
+    const weekday = (new Date(`${dateKey}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const start = this.shiftDateKey(dateKey, -weekday);
+    return { start, end: this.shiftDateKey(start, 6) };
+  }
+
+  /**
+   * Space used by settings and hot state, by the history database, and what the history holds
+   */
+  async getStorageUsage() {
+    const settings = await this.getSettings();
+    const localBytes = await chrome.storage.local.getBytesInUse(null);
+    // Covers the extension's IndexedDB; chrome.storage is counted separately above
+    const estimate = typeof navigator !== 'undefined' && navigator.storage?.estimate ? await navigator.storage.estimate() : null;
+    const counts = await this.history.getCounts();
+    const rollups = await this.history.getRollups();
+
+    return {
+      localBytes,
+      historyBytes: estimate ? estimate.usage : null,
+      quotaBytes: estimate ? estimate.quota : null,
+      ...counts,
+      oldestRollup: rollups.length > 0 ? rollups[0].start : null,
+      dataRetentionDays: settings.dataRetentionDays,
+      sessionRetentionDays: settings.sessionRetentionDays,
+      rollupPeriod: settings.rollupPeriod
+    };
+  }
+
+  /**
+   * Day stats for [startDate, endDate]; days already compacted are estimated from their rollups
+   */
+  async getTimeData(startDate, endDate = null) {
+    if (!endDate) {
+      endDate = startDate;
+    }
+    
+    try {
+      return await this.queueHistoryTask(async () => {
+        const allStats = await this.history.getDays(startDate, endDate);
+        this.applyTimeEntries(allStats, this.getPendingTime().filter(entry => entry.date >= startDate && entry.date <= endDate));
+
+        // Only the days a rollup lists were compacted into it; a day with its own record is never estimated
+        (await this.history.getRollups(startDate, endDate)).forEach(rollup => {
+          rollup.dates.forEach((date, index) => {
+            if (date >= startDate && date <= endDate && !allStats[date]) {
+              allStats[date] = this.estimateRolledUpDay(rollup, index, rollup.dates.length);
+            }
+          });
+        });
+
+        return allStats;
+      });
+    } catch (error) {
+      console.error('Failed to get time data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * One compacted day of a rollup in the day record shape: an even share of the rollup's totals
+   * index and count place the day among the rollup's dates, so the shares add back up exactly
+   */
+  estimateRolledUpDay(rollup, index, count) {
+    const share = value => Math.floor((value || 0) * (index + 1) / count) - Math.floor((value || 0) * index / count);
+    const stats = {
+      estimated: true,
+      rollupId: rollup.id,
+      totalTime: share(rollup.totalTime),
+      passiveTime: share(rollup.passiveTime),
+      focusSessionCount: share(rollup.focusSessionCount),
+      completedFocusSessions: share(rollup.completedFocusSessions),
+      otherTime: share(rollup.otherTime),
+      // Kept as compacted; they also count the domains that fell out of topSites
+      categories: Object.fromEntries(Object.entries(rollup.categories).map(([category, time]) => [category, share(time)])),
+      sites: Object.fromEntries(rollup.topSites.map(site => [site.domain, { timeSpent: share(site.timeSpent), visits: share(site.visits) }])),
+      hourly: {}
+    };
+    stats.sitesVisited = Object.values(stats.sites).filter(site => site.timeSpent > 0 || site.visits > 0).length;
+    stats.productivityScore = this.calculateProductivityScore(stats).score;
+    return stats;
+  }
+
+  async getTopSites(limit = 5) {
+    const stats = await this.getTodayStats();
+
+    return Object.entries(stats.sites)
+      .map(([domain, data]) => ({
+        domain,
+        ...data
+      }))
+      .sort((a, b) => b.timeSpent - a.timeSpent)
+      .slice(0, limit);
+  }
+
+  async getSettings() {
+    const result = await chrome.storage.local.get(['settings']);
+    // Merge over defaults so settings added in later versions are always present
+    return { ...this.getDefaultSettings(), ...result.settings };
+  }
+
+  async saveSettings(settings) {
+    await chrome.storage.local.set({ settings });
+    return settings;
+  }
+
+  /**
+   * Merge partial settings into the stored settings
+   * Every value is checked before anything is re-keyed or deleted, so a rejected change leaves history as it was
+   */
+  async updateSettings(partialSettings) {
+    const settings = await this.getSettings();
+    const updatedSettings = { ...settings, ...partialSettings };
+
+    if ('pageTrackingExcludedDomains' in partialSettings) {
+      updatedSettings.pageTrackingExcludedDomains = this.normalizeDomainList(partialSettings.pageTrackingExcludedDomains);
+    }
+    if ('trackingExclusions' in partialSettings) {
+      updatedSettings.trackingExclusions = this.normalizeExclusionPatterns(partialSettings.trackingExclusions);
+    }
+    this.validateSettings(updatedSettings, Object.keys(partialSettings));
+
+    if (updatedSettings.dayStartHour !== settings.dayStartHour) {
+      await this.changeDayStartHour(settings.dayStartHour || 0, updatedSettings.dayStartHour);
+    }
+    if ('pageTrackingExcludedDomains' in partialSettings) {
+      // Opting a domain out also forgets the pages already recorded for it
+      const previouslyExcluded = new Set(settings.pageTrackingExcludedDomains || []);
+      for (const domain of updatedSettings.pageTrackingExcludedDomains.filter(domain => !previouslyExcluded.has(domain))) {
+        await this.clearPageData(domain);
+      }
+    }
+    this.applyPageTrackingSettings(updatedSettings);
+    this.applyTrackingPrivacy(updatedSettings);
+
+    return this.saveSettings(updatedSettings);
+  }
+
+  /**
+   * Check the given keys of a settings object, converting numeric strings to numbers in place
+   * Throws on the first invalid value; keys not listed are left as they are, even if stored by an older version
+   */
+  validateSettings(settings, keys) {
+    const defaults = this.getDefaultSettings();
+    const ranges = {
+      dayStartHour: [0, 23, 'The day must start on a whole hour from 0 to 23'],
+      idleDetectionSeconds: [15, 14400, 'Idle detection must be between 15 seconds and 4 hours'],
+      pagePathDepth: [1, 10, 'Pages must keep 1 to 10 path segments'],
+      dataRetentionDays: [7, 3650, 'Daily detail must be kept for 7 to 3650 days'],
+      sessionRetentionDays: [1, 3650, 'The visit log must be kept for 1 to 3650 days']
+    };
+
+    keys.filter(key => key in defaults).forEach(key => {
+      const expected = defaults[key];
+      if (typeof expected === 'boolean' && typeof settings[key] !== 'boolean') {
+        throw new Error(`${key} must be true or false`);
+      }
+      if (Array.isArray(expected) && !Array.isArray(settings[key])) {
+        throw new Error(`${key} must be a list`);
+      }
+      if (key === 'incognitoTracking' && !this.incognitoPolicies.includes(settings[key])) {
+        throw new Error(`Unknown incognito policy "${settings[key]}"`);
+      }
+      if (key === 'rollupPeriod' && !this.rollupPeriods.includes(settings[key])) {
+        throw new Error(`Unknown rollup period "${settings[key]}"`);
+      }
+      if (ranges[key]) {
+        const [minimum, maximum, message] = ranges[key];
+        const value = typeof settings[key] === 'string' && settings[key].trim() !== '' ? Number(settings[key]) : settings[key];
+        if (!Number.isInteger(value) || value < minimum || value > maximum) {
+          throw new Error(message);
+        }
+        settings[key] = value;
+      }
+    });
+    return settings;
+  }
+
+  /**
+   * Re-key stored days when the rollover hour changes
+   */
+  async changeDayStartHour(oldStartHour, newStartHour) {
+    await this.updateHistory(async () => {
+      // Switched inside the queue: pending time was keyed by the old hour and has just been written
+      this.dayStartHour = newStartHour;
+
+      await this.rebucketStoredDays((date, hour) => {
+        const calendarDate = hour < oldStartHour ? this.shiftDateKey(date, 1) : date;
+        return hour < newStartHour ? this.shiftDateKey(calendarDate, -1) : calendarDate;
+      });
+    });
+
+    console.log(`🌅 Day start hour changed: ${oldStartHour}:00 → ${newStartHour}:00`);
+  }
+
+  /**
+   * Local day key for an hourly bucket of a record keyed by UTC date
+   */
+  utcToLocalDateKey(utcDate, hour) {
+    // Find the local instant at this hour that falls on the stored UTC date
+    const [year, month, day] = utcDate.split('-').map(Number);
+    for (const offset of [0, -1, 1]) {
+      const candidate = new Date(year, month - 1, day + offset, hour);
+      if (candidate.toISOString().split('T')[0] === utcDate) {
+        return this.formatDateKey(candidate);
+      }
+    }
+    return utcDate;
+  }
+
+  /**
+   * Move stored hourly buckets (and logged visits) to new day keys; runs inside the history queue
+   */
+  async rebucketStoredDays(resolveDate) {
+    const { stats } = this.rebucketDays(await this.history.getDays(), {}, resolveDate);
+    await this.history.replaceDays(stats, this.categorize);
+    await this.history.redateSessions(event => this.formatDateKey(new Date(event.startTime)));
+  }
+
+  /**
+   * Move hourly buckets (and the session log) to new day keys
+   * resolveDate(date, hour) returns the new key for an hourly bucket stored under date.
+   * Time without hourly detail, visits and other day fields stay on their original key.
+   */
+  rebucketDays(allStats, storedSessionLog, resolveDate) {
+    const result = {};
+
+    Object.entries(allStats).forEach(([date, dayStats]) => {
+      const covered = {};
+
+      Object.entries(dayStats.hourly || {}).forEach(([hour, sites]) => {
+        const target = this.ensureDayStats(result, resolveDate(date, Number(hour)));
+        if (!target.hourly[hour]) {
+          target.hourly[hour] = {};
+        }
+
+        Object.entries(sites).forEach(([domain, time]) => {
+          target.hourly[hour][domain] = (target.hourly[hour][domain] || 0) + time;
+          this.ensureSiteStats(target, domain).timeSpent += time;
+          covered[domain] = (covered[domain] || 0) + time;
+        });
+      });
+
+      const { sites = {}, hourly, totalTime, sitesVisited, productivityScore, ...otherFields } = dayStats;
+      const base = this.ensureDayStats(result, date);
+      Object.assign(base, otherFields);
+
+      Object.entries(sites).forEach(([domain, site]) => {
+        const remainingTime = Math.max(0, (site.timeSpent || 0) - (covered[domain] || 0));
+        if (remainingTime > 0 || site.visits > 0) {
+          const baseSite = this.ensureSiteStats(base, domain);
+          baseSite.timeSpent += remainingTime;
+          baseSite.visits += site.visits || 0;
+        }
+      });
+    });
+
+    Object.entries(result).forEach(([date, dayStats]) => {
+      if (Object.keys(dayStats.sites).length === 0 && date !== this.formatDateKey()) {
+        delete result[date];
+      } else {
+        this.recalculateDayTotals(dayStats);
+      }
+    });
+
+    // Session events carry exact timestamps, so they are simply regrouped
+    const sessionLog = {};
+    Object.values(storedSessionLog).flat().forEach(event => {
+      const date = this.formatDateKey(new Date(event.startTime));
+      sessionLog[date] = [...(sessionLog[date] || []), event];
+    });
+
+    return { stats: result, sessionLog };
+  }
+
+  /**
+   * Apply every migration newer than fromVersion to a snapshot of storage, in place
+   * Returns the versions applied; touches nothing but the snapshot and the history store,
+   * so tests can run it directly against a stand-in history
+   */
+  async migrateItems(items, fromVersion = items.schemaVersion || 0) {
+    const pending = STORAGE_MIGRATIONS.filter(migration => migration.version > fromVersion);
+
+    for (const migration of pending) {
+      await migration.migrate(items, this);
+      console.log(`🗄️ Storage migration v${migration.version}: ${migration.description}`);
+    }
+    items.schemaVersion = STORAGE_SCHEMA_VERSION;
+
+    return pending.map(migration => migration.version);
+  }
+
+  /**
+   * Bring stored data up to STORAGE_SCHEMA_VERSION
+   * Runs on every service worker start and after install or update; a no-op once current.
+   * Changed keys and the new version are written together, so a failed run is retried from scratch.
+   */
+  async runMigrations() {
+    try {
+      const items = await chrome.storage.local.get(null);
+      const fromVersion = items.schemaVersion || 0;
+
+      if (fromVersion === STORAGE_SCHEMA_VERSION) {
+        return { success: true, fromVersion, toVersion: fromVersion, applied: [] };
+      }
+      if (fromVersion > STORAGE_SCHEMA_VERSION) {
+        // Written by a newer version of the extension; rewriting it could lose data
+        console.warn(`⚠️ Storage schema v${fromVersion} is newer than supported v${STORAGE_SCHEMA_VERSION}, leaving it untouched`);
+        return { success: false, error: 'Storage was written by a newer version', fromVersion, toVersion: fromVersion, applied: [] };
+      }
+
+      const before = {};
+      Object.keys(items).forEach(key => {
+        before[key] = JSON.stringify(items[key]);
+      });
+
+      const applied = await this.migrateItems(items, fromVersion);
+
+      const changed = {};
+      Object.keys(items).forEach(key => {
+        if (JSON.stringify(items[key]) !== before[key]) {
+          changed[key] = items[key];
+        }
+      });
+      const removed = Object.keys(before).filter(key => !(key in items));
+
+      await chrome.storage.local.set(changed);
+      if (removed.length > 0) {
+        await chrome.storage.local.remove(removed);
+      }
+
+      console.log(`✅ Storage migrated from v${fromVersion} to v${STORAGE_SCHEMA_VERSION}`);
+      return { success: true, fromVersion, toVersion: STORAGE_SCHEMA_VERSION, applied };
+    } catch (error) {
+      console.error('❌ Storage migration failed:', error);
+      return { success: false, error: error.message };
+    }
   }
 
   /**
-   * Generate realistic mock data for development and testing
+   * Export settings, daily stats, rollups and the visit and focus session logs as JSON,
+   * or one CSV row per site and day
    */
-  generateMockData() {
-    const today = new Date().toISOString().split('T')[0];
-    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    
-    return {
-      dailyStats: {
-        [today]: {
-          totalTime: 14400000, // 4 hours in milliseconds
-          sitesVisited: 8,
-          sites: {
-            'github.com': {
-              domain: 'github.com',
-              timeSpent: 5400000, // 1.5 hours
-              visits: 12,
-              lastVisit: Date.now() - 300000,
-              category: 'productive'
-            },
-            'stackoverflow.com': {
-              domain: 'stackoverflow.com',
-              timeSpent: 3600000, // 1 hour
-              visits: 8,
-              lastVisit: Date.now() - 600000,
-              category: 'productive'
-            },
-            'youtube.com': {
-              domain: 'youtube.com',
-              timeSpent: 2700000, // 45 minutes
-              visits: 5,
-              lastVisit: Date.now() - 1800000,
-              category: 'entertainment'
-            },
-            'twitter.com': {
-              domain: 'twitter.com',
-              timeSpent: 1800000, // 30 minutes
-              visits: 15,
-              lastVisit: Date.now() - 900000,
-              category: 'social'
-            },
-            'reddit.com': {
-              domain: 'reddit.com',
-              timeSpent: 900000, // 15 minutes
-              visits: 3,
-              lastVisit: Date.now() - 3600000,
-              category: 'social'
-            }
-          },
-          productivityScore: 72
-        },
-        [yesterday]: {
-          totalTime: 12600000, // 3.5 hours
-          sitesVisited: 6,
-          sites: {
-            'github.com': {
-              domain: 'github.com',
-              timeSpent: 7200000, // 2 hours
-              visits: 10,
-              lastVisit: Date.now() - 86400000,
-              category: 'productive'
-            },
-            'docs.google.com': {
-              domain: 'docs.google.com',
-              timeSpent: 3600000, // 1 hour
-              visits: 4,
-              lastVisit: Date.now() - 86400000,
-              category: 'productive'
-            },
-            'facebook.com': {
-              domain: 'facebook.com',
-              timeSpent: 1800000, // 30 minutes
-              visits: 8,
-              lastVisit: Date.now() - 86400000,
-              category: 'social'
-            }
-          },
-          productivityScore: 85
-        }
-      },
-      settings: {
-        blockedSites: ['facebook.com', 'twitter.com', 'instagram.com', 'tiktok.com'],
-        trackingEnabled: true,
-        focusMode: false,
-        activityThreshold: 5000,
-        dataRetentionDays: 30,
-        integrationEnabled: false,
-        pomodoroApiUrl: '',
-        pomodoroApiKey: '',
-        notifications: {
-          dailyReport: true,
-          focusReminders: true,
-          breakReminders: false
-        },
-        categories: {
-          'github.com': 'productive',
-          'stackoverflow.com': 'productive',
-          'docs.google.com': 'productive',
-          'youtube.com': 'entertainment',
-          'twitter.com': 'social',
-          'facebook.com': 'social',
-          'reddit.com': 'social',
-          'instagram.com': 'social'
-        }
-      },
-      weeklyStats: this.generateWeeklyMockData(),
-      monthlyStats: this.generateMonthlyMockData()
-    };
+  async exportData(format = 'json') {
+    const storage = await chrome.storage.local.get(['settings', 'schemaVersion', 'focusSessions']);
+    const stats = await this.loadDays();
+
+    switch (format) {
+      case 'json':
+        return JSON.stringify({
+          schemaVersion: storage.schemaVersion || STORAGE_SCHEMA_VERSION,
+          exportDate: new Date().toISOString(),
+          settings: storage.settings || {},
+          stats,
+          rollups: await this.history.getRollups(),
+          sessions: await this.history.getSessions(0, Infinity),
+          focusSessions: storage.focusSessions || []
+        }, null, 2);
+      case 'csv':
+        return this.convertToCSV(stats);
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
   }
 
   /**
-   * Generate mock weekly statistics
+   * Preview an import: the same checks and merge as importData, with nothing written
    */
-  generateWeeklyMockData() {
-    const weeklyData = {};
-    const today = new Date();
-    
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      weeklyData[dateStr] = {
-        totalTime: Math.floor(Math.random() * 18000000) + 3600000, // 1-5 hours
-        productivityScore: Math.floor(Math.random() * 40) + 60, // 60-100
-        topSites: this.generateRandomSiteStats(3)
-      };
-    }
-    
-    return weeklyData;
+  async previewImport(text, strategy = 'sum', includeSettings = false) {
+    const { summary } = await this.updateHistory(() => this.mergeImportFile(text, strategy, includeSettings, false));
+    return summary;
   }
 
   /**
-   * Generate mock monthly statistics
+   * Import an export file. Days and rollups meet stored copies per strategy, visits and focus sessions
+   * already stored are skipped, and settings are only taken when asked for. Records that fail validation
+   * are left out and listed in summary.errors; a file that can't be used at all throws.
    */
-  generateMonthlyMockData() {
-    const monthlyData = {};
-    const today = new Date();
-    
-    for (let i = 0; i < 30; i++) {
-      const date = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      monthlyData[dateStr] = {
-        totalTime: Math.floor(Math.random() * 18000000) + 1800000, // 0.5-5 hours
-        productivityScore: Math.floor(Math.random() * 50) + 50 // 50-100
-      };
+  async importData(text, strategy = 'sum', includeSettings = false) {
+    const { summary, settings } = await this.updateHistory(() => this.mergeImportFile(text, strategy, includeSettings, true));
+
+    // Outside the history queue: a new rollover hour re-keys history through it
+    if (summary.settings.length > 0) {
+      try {
+        await this.updateSettings(settings);
+      } catch (error) {
+        summary.errors.push({ record: 'settings', message: error.message });
+        summary.settings = [];
+      }
     }
-    
-    return monthlyData;
+    this.onStatsChanged?.();
+    // Imported days older than the daily detail window go straight into rollups
+    await this.compactHistory();
+
+    console.log(`📥 Imported ${summary.days.added + summary.days.merged + summary.days.replaced} days and ${summary.sessions.added} visits (${summary.errors.length} records skipped)`);
+    return summary;
   }
 
   /**
-   * Generate comprehensive mock data for enhanced analytics
+   * Merge a parsed export into history, or only work out the changes when write is false
+   * Runs inside the history queue
    */
-  generateEnhancedMockData() {
-    const today = new Date();
-    const mockData = {};
+  async mergeImportFile(text, strategy, includeSettings, write) {
+    if (!this.importStrategies.includes(strategy)) {
+      throw new Error(`Unknown import strategy "${strategy}"`);
+    }
 
-    // Generate 90 days of historical data
-    for (let i = 0; i < 90; i++) {
-      const date = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
-      const dateStr = date.toISOString().split('T')[0];
-      
-      mockData[dateStr] = {
-        totalTime: Math.floor(Math.random() * 21600000) + 1800000, // 0.5-6 hours
-        productivityScore: Math.floor(Math.random() * 50) + 50, // 50-100
-        focusSessionCount: Math.floor(Math.random() * 8) + 1, // 1-8 sessions
-        focusTime: Math.floor(Math.random() * 10800000) + 900000, // 15min-3hours
-        categories: {
-          productive: Math.floor(Math.random() * 14400000), // 0-4 hours
-          social: Math.floor(Math.random() * 5400000), // 0-1.5 hours
-          entertainment: Math.floor(Math.random() * 7200000), // 0-2 hours
-          news: Math.floor(Math.random() * 3600000), // 0-1 hour
-          other: Math.floor(Math.random() * 1800000) // 0-30 min
-        },
-        topSites: this.generateRandomSiteStats(5)
-      };
+    const file = this.parseImportFile(text);
+    const currentSettings = await this.getSettings();
+    const today = this.formatDateKey();
+    const summary = {
+      strategy,
+      exportDate: file.exportDate,
+      days: { added: 0, merged: 0, replaced: 0, unchanged: 0, summarized: 0 },
+      changes: [], // One { date, action, before, after } per day that changes, times in ms
+      rollups: { added: 0, merged: 0, replaced: 0, unchanged: 0 },
+      sessions: { added: 0, duplicates: 0, expired: 0 },
+      focusSessions: { added: 0, duplicates: 0 },
+      settings: [], // Keys that would change
+      excluded: [], // Domains on the "never track" list, left out of the import
+      errors: file.errors
+    };
+
+    // Nothing is imported for sites the user chose never to track
+    const excludedDomains = new Set();
+    const isExcluded = domain => {
+      const excluded = this.isTrackingExcluded(`https://${domain}/`);
+      if (excluded) excludedDomains.add(domain);
+      return excluded;
+    };
+    Object.values(file.stats).forEach(dayStats => {
+      const domains = Object.keys(dayStats.sites).filter(isExcluded);
+      if (domains.length === 0) return;
+
+      domains.forEach(domain => {
+        delete dayStats.sites[domain];
+        Object.values(dayStats.hourly || {}).forEach(hourly => delete hourly[domain]);
+      });
+      this.recalculateDayTotals(dayStats);
+    });
+    file.rollups.forEach(rollup => this.removeRollupSites(rollup, isExcluded));
+    file.sessions = file.sessions.filter(visit => {
+      const excluded = visit.url ? this.isTrackingExcluded(visit.url) : isExcluded(visit.domain);
+      if (excluded) excludedDomains.add(visit.domain);
+      return !excluded;
+    });
+    summary.excluded = Array.from(excludedDomains).sort();
+
+    // Rollups first, so imported days they already summarize are known
+    const rollups = new Map((await this.history.getRollups()).map(rollup => [rollup.id, rollup]));
+    const changedRollups = [];
+    file.rollups.forEach(imported => {
+      const { action, record } = this.mergeImportedRecord(rollups.get(imported.id), imported, strategy,
+        (stored, incoming) => this.sumRollups(stored, incoming), ({ updatedAt, ...rollup }) => rollup);
+      summary.rollups[action]++;
+      if (action !== 'unchanged') {
+        rollups.set(record.id, record);
+        changedRollups.push(record);
+      }
+    });
+
+    const detailCutoff = this.shiftDateKey(today, -currentSettings.dataRetentionDays - 1);
+    const dates = Object.keys(file.stats).sort();
+    const mergeDays = allStats => {
+      dates.forEach(date => {
+        const summarized = date <= detailCutoff &&
+          Array.from(rollups.values()).some(rollup => rollup.start <= date && date <= rollup.end);
+        if (!allStats[date] && summarized) {
+          summary.days.summarized++;
+          return;
+        }
+
+        const before = allStats[date]?.totalTime || 0;
+        const { action, record } = this.mergeImportedRecord(allStats[date], file.stats[date], strategy,
+          (stored, incoming) => this.sumDays(stored, incoming),
+          ({ sites, hourly, focusSessionCount = 0, completedFocusSessions = 0 }) => ({ sites, hourly, focusSessionCount, completedFocusSessions }));
+        summary.days[action]++;
+        if (action !== 'unchanged') {
+          allStats[date] = record;
+          summary.changes.push({ date, action, before, after: record.totalTime });
+        }
+      });
+    };
+
+    if (dates.length > 0) {
+      if (write) {
+        await this.history.updateDays(dates[0], dates[dates.length - 1], mergeDays, this.categorize);
+      } else {
+        mergeDays(await this.history.getDays(dates[0], dates[dates.length - 1]));
+      }
+    }
+    if (write && changedRollups.length > 0) {
+      await this.history.putRollups(changedRollups);
+    }
+
+    // Visits count as duplicates by id, or by site and start time when the id differs
+    const sessionCutoff = this.shiftDateKey(today, -currentSettings.sessionRetentionDays);
+    const newVisits = [];
+    if (file.sessions.length > 0) {
+      const startTimes = file.sessions.map(visit => visit.startTime);
+      const stored = await this.history.getSessions(
+        startTimes.reduce((a, b) => Math.min(a, b)),
+        startTimes.reduce((a, b) => Math.max(a, b))
+      );
+      const seen = new Set(stored.flatMap(visit => [visit.id, `${visit.domain}|${visit.startTime}`]));
+
+      file.sessions.forEach(visit => {
+        const date = this.formatDateKey(new Date(visit.startTime));
+        if (date < sessionCutoff) {
+          summary.sessions.expired++;
+        } else if (seen.has(visit.id) || seen.has(`${visit.domain}|${visit.startTime}`)) {
+          summary.sessions.duplicates++;
+        } else {
+          seen.add(visit.id).add(`${visit.domain}|${visit.startTime}`);
+          newVisits.push({ ...visit, date, category: this.getSiteCategory(visit.domain, visit.url, visit.title) });
+        }
+      });
+      summary.sessions.added = newVisits.length;
+    }
+    if (write && newVisits.length > 0) {
+      await this.history.putSessions(newVisits);
+    }
+
+    const { focusSessions = [] } = await chrome.storage.local.get(['focusSessions']);
+    const focusSessionIds = new Set(focusSessions.map(session => session.id));
+    const newFocusSessions = file.focusSessions.filter(session => {
+      const duplicate = focusSessionIds.has(session.id);
+      focusSessionIds.add(session.id);
+      return !duplicate;
+    });
+    summary.focusSessions = { added: newFocusSessions.length, duplicates: file.focusSessions.length - newFocusSessions.length };
+    if (write && newFocusSessions.length > 0) {
+      await chrome.storage.local.set({
+        focusSessions: focusSessions.concat(newFocusSessions).sort((a, b) => a.startTime - b.startTime)
+      });
+    }
+
+    const settings = {};
+    if (includeSettings) {
+      Object.entries(file.settings)
+        .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(currentSettings[key]))
+        .forEach(([key, value]) => {
+          settings[key] = value;
+        });
+      summary.settings = Object.keys(settings);
     }
 
-    return mockData;
+    return { summary, settings };
   }
 
   /**
-   * Default site categories for productivity tracking
+   * Decide how an imported day or rollup meets the stored copy
+   * Copies with the same content are left alone, so importing a file twice never adds it twice.
+   * content(record) picks the fields that count for that comparison.
    */
-  getDefaultSiteCategories() {
-    return {
-      // Productive sites
-      'github.com': 'productive',
-      'stackoverflow.com': 'productive',
-      'docs.google.com': 'productive',
-      'developer.mozilla.org': 'productive',
-      'codepen.io': 'productive',
-      'figma.com': 'productive',
-      'notion.so': 'productive',
-      'slack.com': 'productive',
-      'zoom.us': 'productive',
-      'teams.microsoft.com': 'productive',
+  mergeImportedRecord(stored, imported, strategy, sum, content) {
+    if (!stored) {
+      return { action: 'added', record: imported };
+    }
+    if (this.canonicalJSON(content(stored)) === this.canonicalJSON(content(imported))) {
+      return { action: 'unchanged', record: stored };
+    }
 
-      // Social media
-      'facebook.com': 'social',
-      'twitter.com': 'social',
-      'instagram.com': 'social',
-      'linkedin.com': 'social',
-      'snapchat.com': 'social',
-      'tiktok.com': 'social',
-      'discord.com': 'social',
-      'reddit.com': 'social',
+    switch (strategy) {
+      case 'sum':
+        return { action: 'merged', record: sum(stored, imported) };
+      case 'newer':
+        // Copies without a timestamp come from before it was recorded and count as oldest
+        return (imported.updatedAt || 0) > (stored.updatedAt || 0)
+          ? { action: 'replaced', record: imported }
+          : { action: 'unchanged', record: stored };
+      default:
+        return { action: 'replaced', record: imported };
+    }
+  }
 
-      // Entertainment
-      'youtube.com': 'entertainment',
-      'netflix.com': 'entertainment',
-      'spotify.com': 'entertainment',
-      'twitch.tv': 'entertainment',
-      'hulu.com': 'entertainment',
-      'disneyplus.com': 'entertainment',
-      'amazon.com': 'entertainment', // Prime Video
-      'crunchyroll.com': 'entertainment',
+  /**
+   * JSON with object keys sorted, for comparing records whatever order their fields were written in
+   */
+  canonicalJSON(value) {
+    return JSON.stringify(value, (key, item) => (item && typeof item === 'object' && !Array.isArray(item)
+      ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+      : item));
+  }
 
-      // News
-      'cnn.com': 'news',
-      'bbc.com': 'news',
-      'reuters.com': 'news',
-      'theguardian.com': 'news',
-      'nytimes.com': 'news',
-      'wsj.com': 'news',
-      'techcrunch.com': 'news',
-      'hacker-news.firebaseapp.com': 'news',
+  /**
+   * Add one day record to another: site time, visits, pages, hourly buckets and focus session counts
+   */
+  sumDays(stored, imported) {
+    const day = JSON.parse(JSON.stringify(stored));
+    day.hourly = day.hourly || {};
 
-      // Shopping
-      'amazon.com': 'shopping',
-      'ebay.com': 'shopping',
-      'etsy.com': 'shopping',
-      'alibaba.com': 'shopping'
-    };
+    Object.entries(imported.sites).forEach(([domain, site]) => {
+      const target = this.ensureSiteStats(day, domain);
+      target.timeSpent += site.timeSpent;
+      target.visits += site.visits;
+      if (site.passiveTime > 0) {
+        target.passiveTime = (target.passiveTime || 0) + site.passiveTime;
+      }
+      Object.entries(site.pages || {}).forEach(([path, page]) => {
+        this.addPageTime(target, path, page.title, page.timeSpent);
+      });
+    });
+    Object.entries(imported.hourly).forEach(([hour, sites]) => {
+      day.hourly[hour] = day.hourly[hour] || {};
+      Object.entries(sites).forEach(([domain, time]) => {
+        day.hourly[hour][domain] = (day.hourly[hour][domain] || 0) + time;
+      });
+    });
+    ['focusSessionCount', 'completedFocusSessions'].forEach(key => {
+      if (imported[key] > 0) {
+        day[key] = (day[key] || 0) + imported[key];
+      }
+    });
+    day.updatedAt = Math.max(stored.updatedAt || 0, imported.updatedAt || 0);
+
+    return this.recalculateDayTotals(day);
   }
 
   /**
-   * Generate productivity goals with mock progress
+   * Add one rollup to another for the same period
    */
-  generateProductivityGoals() {
-    const today = new Date();
-    const weekStart = new Date(today.setDate(today.getDate() - today.getDay()));
-    const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+  sumRollups(stored, imported) {
+    const rollup = { ...stored, categories: { ...stored.categories } };
+    this.rollupTotals.forEach(key => {
+      rollup[key] = (stored[key] || 0) + (imported[key] || 0);
+    });
+    Object.entries(imported.categories).forEach(([category, time]) => {
+      rollup.categories[category] = (rollup.categories[category] || 0) + time;
+    });
+    rollup.dates = Array.from(new Set([...stored.dates, ...imported.dates])).sort();
+    rollup.days = rollup.dates.length;
 
-    return {
-      daily: {
-        id: 'daily_productive_time',
-        type: 'daily',
-        target: 4 * 60 * 60 * 1000, // 4 hours
-        current: 2.5 * 60 * 60 * 1000, // 2.5 hours current
-        startDate: new Date().toISOString().split('T')[0],
-        endDate: new Date().toISOString().split('T')[0],
-        description: 'Spend 4 hours on productive websites daily'
-      },
-      weekly: {
-        id: 'weekly_focus_sessions',
-        type: 'weekly',
-        target: 25, // 25 focus sessions
-        current: 18, // 18 completed
-        startDate: weekStart.toISOString().split('T')[0],
-        endDate: new Date(weekStart.getTime() + 6 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
-        description: 'Complete 25 focus sessions this week'
-      },
-      monthly: {
-        id: 'monthly_productivity_score',
-        type: 'monthly',
-        target: 75, // Average 75% productivity
-        current: 72, // Current average
-        startDate: monthStart.toISOString().split('T')[0],
-        endDate: new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).toISOString().split('T')[0],
-        description: 'Maintain 75% average productivity score'
+    const sites = new Map(stored.topSites.map(site => [site.domain, { ...site }]));
+    imported.topSites.forEach(site => {
+      const entry = sites.get(site.domain);
+      if (entry) {
+        entry.timeSpent += site.timeSpent;
+        entry.visits += site.visits;
+      } else {
+        sites.set(site.domain, { ...site });
       }
-    };
+    });
+    this.rankRollupSites(rollup, sites);
+    rollup.updatedAt = Math.max(stored.updatedAt || 0, imported.updatedAt || 0);
+
+    return rollup;
   }
 
   /**
-   * Generate random site statistics for mock data
+   * Parse an export file, bring it to the current layout and check it record by record
+   * Returns the records that passed plus one { record, message } error per record left out;
+   * throws when the file can't be used at all
    */
-  generateRandomSiteStats(count) {
-    const sites = ['github.com', 'stackoverflow.com', 'youtube.com', 'twitter.com', 'reddit.com'];
-    const result = {};
-    
-    for (let i = 0; i < count; i++) {
-      const site = sites[Math.floor(Math.random() * sites.length)];
-      result[site] = {
-        domain: site,
-        timeSpent: Math.floor(Math.random() * 7200000) + 300000, // 5 min - 2 hours
-        visits: Math.floor(Math.random() * 20) + 1
-      };
+  parseImportFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
     }
-    
-    return result;
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('The file is not a Focus Time Tracker export');
+    }
+
+    const fromVersion = data.schemaVersion || 0;
+    if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+      throw new Error(`Unknown schema version "${data.schemaVersion}"`);
+    }
+    if (fromVersion > STORAGE_SCHEMA_VERSION) {
+      throw new Error(`The file was exported by a newer version (schema v${fromVersion}); update the extension to import it`);
+    }
+    if (fromVersion < STORAGE_SCHEMA_VERSION) {
+      this.upgradeImportFile(data, fromVersion);
+    }
+    if (!['stats', 'rollups', 'sessions', 'focusSessions', 'settings'].some(key => key in data)) {
+      throw new Error('The file holds no tracking history or settings');
+    }
+
+    const errors = [];
+    const reject = (record, message) => {
+      errors.push({ record, message });
+      return null;
+    };
+    const collection = (key, isArray) => {
+      const value = data[key] ?? (isArray ? [] : {});
+      if (Array.isArray(value) !== isArray || typeof value !== 'object') {
+        throw new Error(`"${key}" must be ${isArray ? 'a list' : 'an object'}`);
+      }
+      return value;
+    };
+
+    const stats = {};
+    Object.entries(collection('stats', false)).forEach(([date, day]) => {
+      const dayStats = this.validateImportedDay(date, day, reject);
+      if (dayStats) {
+        stats[date] = dayStats;
+      }
+    });
+
+    return {
+      exportDate: typeof data.exportDate === 'string' ? data.exportDate : null,
+      stats,
+      rollups: collection('rollups', true).map((rollup, index) => this.validateImportedRollup(rollup, `rollups[${index}]`, reject)).filter(Boolean),
+      sessions: collection('sessions', true).map((visit, index) => this.validateImportedVisit(visit, `sessions[${index}]`, reject)).filter(Boolean),
+      focusSessions: collection('focusSessions', true).map((session, index) => this.validateImportedFocusSession(session, `focusSessions[${index}]`, reject)).filter(Boolean),
+      settings: this.validateImportedSettings(collection('settings', false), reject),
+      errors
+    };
   }
 
   /**
-   * Save time entry for a specific domain
+   * Bring an export from an older version to the current file layout
+   * Older exports were snapshots of chrome.storage.local, so the snapshot migrations apply unchanged;
+   * the move into IndexedDB (v3) amounts to reading `stats` and `sessionLog` from the file
    */
-  async saveTimeEntry(domain, timeSpent, visits = 1) {
-    const today = new Date().toISOString().split('T')[0];
-    
-    if (this.mockMode) {
-      // Update mock data
-      if (!this.mockData.dailyStats[today]) {
-        this.mockData.dailyStats[today] = {
-          totalTime: 0,
-          sitesVisited: 0,
-          sites: {},
-          productivityScore: 0
-        };
-      }
-      
-      const dayStats = this.mockData.dailyStats[today];
-      const siteStats = dayStats.sites[domain] || {
-        domain,
-        timeSpent: 0,
-        visits: 0,
-        lastVisit: Date.now(),
-        category: 'uncategorized'
-      };
-      
-      siteStats.timeSpent += timeSpent;
-      siteStats.visits += visits;
-      siteStats.lastVisit = Date.now();
-      
-      dayStats.sites[domain] = siteStats;
-      dayStats.totalTime += timeSpent;
-      dayStats.sitesVisited = Object.keys(dayStats.sites).length;
-      
-      return siteStats;
-    }
-    
-    // Real Chrome storage implementation
+  upgradeImportFile(data, fromVersion) {
     try {
-      const key = `dailyStats_${today}`;
-      const result = await chrome.storage.local.get([key]);
-      
-      let dayStats = result[key] || {
-        date: today,
-        totalTime: 0,
-        sitesVisited: 0,
-        sites: {},
-        productivityScore: 0
-      };
-      
-      const siteStats = dayStats.sites[domain] || {
-        domain,
-        timeSpent: 0,
-        visits: 0,
-        lastVisit: Date.now(),
-        category: 'uncategorized'
-      };
-      
-      siteStats.timeSpent += timeSpent;
-      siteStats.visits += visits;
-      siteStats.lastVisit = Date.now();
-      
-      dayStats.sites[domain] = siteStats;
-      dayStats.totalTime += timeSpent;
-      dayStats.sitesVisited = Object.keys(dayStats.sites).length;
-      
-      await chrome.storage.local.set({ [key]: dayStats });
-      return siteStats;
+      STORAGE_MIGRATIONS
+        .filter(migration => migration.version > fromVersion && migration.version < 3)
+        .forEach(migration => migration.migrate(data, this));
     } catch (error) {
-      console.error('Failed to save time entry:', error);
-      throw error;
+      throw new Error(`The file could not be upgraded from schema v${fromVersion}: ${error.message}`);
     }
+
+    if (data.sessionLog && typeof data.sessionLog === 'object') {
+      data.sessions = Object.values(data.sessionLog).flat();
+      delete data.sessionLog;
+    }
+  }
+
+  isDateKey(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+  }
+
+  isNonNegative(value) {
+    return Number.isFinite(value) && value >= 0;
   }
 
   /**
-   * Get time data for a specific date range
+   * Rebuild an imported day from its sites; totals and score are recomputed rather than trusted
    */
-  async getTimeData(startDate, endDate = null) {
-    if (!endDate) {
-      endDate = startDate;
+  validateImportedDay(date, day, reject) {
+    const record = `stats.${date}`;
+    if (!this.isDateKey(date)) {
+      return reject(record, 'Not a YYYY-MM-DD date');
     }
-    
-    if (this.mockMode) {
-      const result = {};
-      Object.keys(this.mockData.dailyStats).forEach(date => {
-        if (date >= startDate && date <= endDate) {
-          result[date] = this.mockData.dailyStats[date];
+    if (!day || typeof day !== 'object' || !day.sites || typeof day.sites !== 'object' || Array.isArray(day.sites)) {
+      return reject(record, 'Has no sites');
+    }
+
+    const dayStats = this.ensureDayStats({}, date);
+    Object.entries(day.sites).forEach(([domain, site]) => {
+      const siteRecord = `${record}.sites.${domain}`;
+      if (!/^[^\s/]+$/.test(domain)) {
+        return reject(siteRecord, 'Not a domain');
+      }
+      if (!site || !this.isNonNegative(site.timeSpent) || !Number.isInteger(site.visits) || site.visits < 0 ||
+          (site.passiveTime !== undefined && !this.isNonNegative(site.passiveTime))) {
+        return reject(siteRecord, 'Time and visits must be non-negative numbers');
+      }
+
+      const target = this.ensureSiteStats(dayStats, domain);
+      target.timeSpent = site.timeSpent;
+      target.visits = site.visits;
+      if (site.passiveTime > 0) {
+        target.passiveTime = site.passiveTime;
+      }
+      // Pages for domains opted out of page tracking are not brought back
+      if (site.pages && typeof site.pages === 'object' && !this.isPageTrackingExcluded(domain)) {
+        Object.entries(site.pages).forEach(([path, page]) => {
+          if (!page || !this.isNonNegative(page.timeSpent)) {
+            return reject(`${siteRecord}.pages.${path}`, 'Time must be a non-negative number');
+          }
+          this.addPageTime(target, path, typeof page.title === 'string' ? page.title : null, page.timeSpent);
+        });
+      }
+    });
+
+    Object.entries(day.hourly || {}).forEach(([hour, sites]) => {
+      const hourRecord = `${record}.hourly.${hour}`;
+      if (!/^(1?\d|2[0-3])$/.test(hour) || !sites || typeof sites !== 'object') {
+        return reject(hourRecord, 'Not an hour from 0 to 23');
+      }
+      Object.entries(sites).forEach(([domain, time]) => {
+        // Buckets for sites rejected above go with them
+        if (!dayStats.sites[domain]) return;
+        if (!this.isNonNegative(time)) {
+          return reject(`${hourRecord}.${domain}`, 'Time must be a non-negative number');
         }
+        dayStats.hourly[hour] = dayStats.hourly[hour] || {};
+        dayStats.hourly[hour][domain] = time;
       });
-      return result;
-    }
-    
-    // Real Chrome storage implementation
-    try {
-      const keys = [];
-      const start = new Date(startDate);
-      const end = new Date(endDate);
-      
-      for (let date = start; date <= end; date.setDate(date.getDate() + 1)) {
-        keys.push(`dailyStats_${date.toISOString().split('T')[0]}`);
+    });
+
+    ['focusSessionCount', 'completedFocusSessions'].forEach(key => {
+      if (day[key] === undefined) return;
+      if (Number.isInteger(day[key]) && day[key] >= 0) {
+        dayStats[key] = day[key];
+      } else {
+        reject(`${record}.${key}`, 'Must be a non-negative whole number');
       }
-      
-      const result = await chrome.storage.local.get(keys);
-      return result;
-    } catch (error) {
-      console.error('Failed to get time data:', error);
-      throw error;
+    });
+    if (this.isNonNegative(day.updatedAt)) {
+      dayStats.updatedAt = day.updatedAt;
     }
+
+    return this.recalculateDayTotals(dayStats);
   }
 
-  /**
-   * Get today's statistics
-   */
-  async getTodayStats() {
-    const today = new Date().toISOString().split('T')[0];
-    const data = await this.getTimeData(today);
-    
-    if (this.mockMode) {
-      return this.mockData.dailyStats[today] || {
-        totalTime: 0,
-        sitesVisited: 0,
-        sites: {},
-        productivityScore: 0
-      };
+  validateImportedRollup(rollup, record, reject) {
+    if (!rollup || typeof rollup !== 'object') {
+      return reject(record, 'Not a rollup');
     }
-    
-    return data[`dailyStats_${today}`] || {
-      date: today,
-      totalTime: 0,
-      sitesVisited: 0,
-      sites: {},
-      productivityScore: 0
+    const range = this.rollupPeriods.includes(rollup.period) && this.isDateKey(rollup.start)
+      ? this.getRollupRange(rollup.period, rollup.start)
+      : null;
+    if (!range || range.start !== rollup.start || range.end !== rollup.end) {
+      return reject(record, 'Must cover one week from Monday or one calendar month');
+    }
+    if (this.rollupTotals.some(key => !this.isNonNegative(rollup[key] ?? 0)) ||
+        !rollup.categories || typeof rollup.categories !== 'object' ||
+        !Object.values(rollup.categories).every(time => this.isNonNegative(time))) {
+      return reject(record, 'Totals must be non-negative numbers');
+    }
+    if (!Array.isArray(rollup.topSites) || !rollup.topSites.every(site => site && typeof site.domain === 'string' &&
+        this.isNonNegative(site.timeSpent) && this.isNonNegative(site.visits ?? 0))) {
+      return reject(record, 'Top sites need a domain and non-negative time');
+    }
+    if (!Array.isArray(rollup.dates) || rollup.dates.length === 0 ||
+        !rollup.dates.every(date => this.isDateKey(date) && date >= rollup.start && date <= rollup.end)) {
+      return reject(record, 'Must list the days it summarizes, all within its period');
+    }
+
+    const validated = {
+      id: `${rollup.period}:${rollup.start}`,
+      period: rollup.period,
+      start: rollup.start,
+      end: rollup.end,
+      categories: { ...rollup.categories },
+      topSites: rollup.topSites.map(site => ({
+        domain: site.domain,
+        category: typeof site.category === 'string' ? site.category : this.getSiteCategory(site.domain),
+        timeSpent: site.timeSpent,
+        visits: site.visits || 0
+      }))
     };
+    this.rollupTotals.forEach(key => {
+      validated[key] = rollup[key] || 0;
+    });
+    validated.dates = Array.from(new Set(rollup.dates)).sort();
+    validated.days = validated.dates.length;
+    if (this.isNonNegative(rollup.updatedAt)) {
+      validated.updatedAt = rollup.updatedAt;
+    }
+    return validated;
   }
 
   /**
-   * Get top sites for today
+   * Keep a logged visit's own fields; its day and category are derived again on import
    */
-  async getTopSites(limit = 5) {
-    const todayStats = await this.getTodayStats();
-    
-    return Object.values(todayStats.sites || {})
-      .sort((a, b) => b.timeSpent - a.timeSpent)
-      .slice(0, limit);
+  validateImportedVisit(visit, record, reject) {
+    if (!visit || typeof visit.id !== 'string' || typeof visit.domain !== 'string' || !visit.domain ||
+        !this.isNonNegative(visit.startTime) || !Number.isFinite(visit.endTime) || visit.endTime < visit.startTime) {
+      return reject(record, 'Needs an id, a domain and a start time before its end time');
+    }
+
+    const { date, category, ...fields } = visit;
+    return fields;
+  }
+
+  validateImportedFocusSession(session, record, reject) {
+    if (!session || typeof session.id !== 'string' || !this.isNonNegative(session.startTime) ||
+        !Number.isFinite(session.endTime) || session.endTime < session.startTime) {
+      return reject(record, 'Needs an id and a start time before its end time');
+    }
+    return { ...session, date: this.formatDateKey(new Date(session.startTime)) };
   }
 
   /**
-   * Update user settings
+   * Known settings whose type matches the default; value checks happen in updateSettings
+   * Blocking state is never imported
    */
-  async updateSettings(newSettings) {
-    if (this.mockMode) {
-      this.mockData.settings = { ...this.mockData.settings, ...newSettings };
-      return this.mockData.settings;
-    }
-    
-    try {
-      const result = await chrome.storage.local.get(['settings']);
-      const currentSettings = result.settings || {};
-      const updatedSettings = { ...currentSettings, ...newSettings };
-      
-      await chrome.storage.local.set({ settings: updatedSettings });
-      return updatedSettings;
-    } catch (error) {
-      console.error('Failed to update settings:', error);
-      throw error;
-    }
+  validateImportedSettings(settings, reject) {
+    const defaults = this.getDefaultSettings();
+    const validated = {};
+
+    Object.entries(settings).forEach(([key, value]) => {
+      if (['blockedSites', 'blockingEnabled', 'focusMode'].includes(key)) return;
+      if (!(key in defaults)) {
+        return reject(`settings.${key}`, 'Unknown setting');
+      }
+      const expected = defaults[key];
+      if (Array.isArray(expected) ? !Array.isArray(value) : typeof value !== typeof expected) {
+        return reject(`settings.${key}`, `Expected ${Array.isArray(expected) ? 'a list' : `a ${typeof expected}`}`);
+      }
+      try {
+        validated[key] = this.validateSettings({ [key]: value }, [key])[key];
+      } catch (error) {
+        reject(`settings.${key}`, error.message);
+      }
+    });
+
+    return validated;
   }
 
   /**
-   * Get user settings
+   * Convert daily stats to CSV, newest day first and busiest site first
    */
-  async getSettings() {
-    if (this.mockMode) {
-      return this.mockData.settings;
-    }
-    
-    try {
-      const result = await chrome.storage.local.get(['settings']);
-      return result.settings || {
-        blockedSites: [],
-        trackingEnabled: true,
-        focusMode: false,
-        activityThreshold: 5000,
-        dataRetentionDays: 30,
-        integrationEnabled: false
-      };
-    } catch (error) {
-      console.error('Failed to get settings:', error);
-      throw error;
-    }
+  convertToCSV(stats) {
+    const escape = value => {
+      const text = String(value ?? '');
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const csvRows = ['Date,Domain,Time Spent (ms),Passive Time (ms),Visits,Category'];
+
+    Object.keys(stats).sort().reverse().forEach(date => {
+      Object.entries(stats[date].sites || {})
+        .sort(([, a], [, b]) => (b.timeSpent || 0) - (a.timeSpent || 0))
+        .forEach(([domain, site]) => {
+          csvRows.push([
+            date,
+            domain,
+            site.timeSpent || 0,
+            site.passiveTime || 0,
+            site.visits || 0,
+            this.getCategoryName(this.getSiteCategory(domain))
+          ].map(escape).join(','));
+        });
+    });
+
+    return csvRows.join('\n');
+  }
+
+  formatTime(ms) {
+    if (ms < 1000) return '0s';
+    const s = Math.floor(ms / 1000);
+    const m = Math.floor(s / 60);
+    const h = Math.floor(m / 60);
+    if (h > 0) return `${h}h ${m % 60}m`;
+    if (m > 0) return `${m}m`;
+    return `${s}s`;
   }
 
   /**
-   * Get weekly statistics
+   * Get default site categories for categorization
    */
-  async getWeeklyStats() {
-    const endDate = new Date().toISOString().split('T')[0];
-    const startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    
-    if (this.mockMode) {
-      return this.mockData.weeklyStats;
-    }
-    
-    return await this.getTimeData(startDate, endDate);
+  getDefaultSiteCategories() {
+    return {
+      // Productive sites
+      'github.com': 'productive',
+      'stackoverflow.com': 'productive',
+      'developer.mozilla.org': 'productive',
+      'docs.google.com': 'productive',
+      'notion.so': 'productive',
+      'figma.com': 'productive',
+      'codepen.io': 'productive',
+      'jsfiddle.net': 'productive',
+      'repl.it': 'productive',
+      'codesandbox.io': 'productive',
+      'medium.com': 'productive',
+      'dev.to': 'productive',
+      'hackernews.com': 'productive',
+      'atlassian.com': 'productive',
+      'slack.com': 'productive',
+      'discord.com': 'productive',
+      'zoom.us': 'productive',
+      'teams.microsoft.com': 'productive',
+      'google.com': 'productive',
+      'wikipedia.org': 'productive',
+
+      // Social Media
+      'facebook.com': 'social',
+      'twitter.com': 'social',
+      'instagram.com': 'social',
+      'linkedin.com': 'social',
+      'reddit.com': 'social',
+      'pinterest.com': 'social',
+      'snapchat.com': 'social',
+      'whatsapp.com': 'social',
+      'telegram.org': 'social',
+      'messenger.com': 'social',
+
+      // Entertainment
+      'youtube.com': 'entertainment',
+      'netflix.com': 'entertainment',
+      'spotify.com': 'entertainment',
+      'twitch.tv': 'entertainment',
+      'hulu.com': 'entertainment',
+      'prime.amazon.com': 'entertainment',
+      'disney.com': 'entertainment',
+      'hbo.com': 'entertainment',
+      'tiktok.com': 'entertainment',
+      'gaming.com': 'entertainment',
+
+      // News
+      'cnn.com': 'news',
+      'bbc.com': 'news',
+      'nytimes.com': 'news',
+      'reuters.com': 'news',
+      'techcrunch.com': 'news',
+      'theverge.com': 'news',
+      'ars-technica.com': 'news',
+      'wired.com': 'news',
+
+      // Shopping
+      'amazon.com': 'shopping',
+      'ebay.com': 'shopping',
+      'shopify.com': 'shopping',
+      'etsy.com': 'shopping'
+    };
   }
 
   /**
-   * Clean up old data based on retention settings
+   * Get comprehensive analytics data for dashboard
+   * Pass startDate/endDate (YYYY-MM-DD) to aggregate an arbitrary range instead of a preset period
    */
-  async cleanOldData() {
-    const settings = await this.getSettings();
-    const retentionDays = settings.dataRetentionDays || 30;
-    const cutoffDate = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000)
-      .toISOString().split('T')[0];
-    
-    if (this.mockMode) {
-      Object.keys(this.mockData.dailyStats).forEach(date => {
-        if (date < cutoffDate) {
-          delete this.mockData.dailyStats[date];
-        }
-      });
-      return;
+  async getAnalyticsData(period = 'week', startDate = null, endDate = null) {
+    if (this.mockAnalytics) {
+      return this.generateMockAnalyticsData(period);
     }
-    
+
     try {
-      const allData = await chrome.storage.local.get(null);
-      const keysToRemove = [];
-      
-      Object.keys(allData).forEach(key => {
-        if (key.startsWith('dailyStats_')) {
-          const date = key.replace('dailyStats_', '');
-          if (date < cutoffDate) {
-            keysToRemove.push(key);
-          }
-        }
-      });
-      
-      if (keysToRemove.length > 0) {
-        await chrome.storage.local.remove(keysToRemove);
+      if (!startDate || !endDate) {
+        endDate = this.formatDateKey();
+        startDate = this.shiftDateKey(endDate, -(this.getPeriodDays(period) - 1));
+      } else {
+        period = 'custom';
       }
+
+      const timeData = await this.getTimeData(startDate, endDate);
+      return this.aggregateAnalyticsData(timeData, startDate, endDate, period);
     } catch (error) {
-      console.error('Failed to clean old data:', error);
+      console.error('Error getting analytics data:', error);
       throw error;
     }
   }
 
   /**
-   * Export data in JSON format
+   * Number of days covered by a preset analytics period
    */
-  async exportData(format = 'json') {
-    if (this.mockMode) {
-      return JSON.stringify(this.mockData, null, 2);
+  getPeriodDays(period) {
+    switch (period) {
+      case 'month':
+        return 30;
+      case 'quarter':
+        return 90;
+      case 'week':
+      default:
+        return 7;
     }
-    
-    try {
-      const allData = await chrome.storage.local.get(null);
-      
-      switch (format) {
-        case 'json':
-          return JSON.stringify(allData, null, 2);
-        case 'csv':
-          return this.convertToCSV(allData);
-        default:
-          throw new Error(`Unsupported export format: ${format}`);
-      }
-    } catch (error) {
-      console.error('Failed to export data:', error);
-      throw error;
+  }
+
+  /**
+   * Date key (YYYY-MM-DD) used for the per-day stats records
+   * Uses the local calendar, with hours before dayStartHour belonging to the previous day
+   */
+  formatDateKey(date = new Date()) {
+    const day = new Date(date);
+    if (day.getHours() < this.dayStartHour) {
+      day.setDate(day.getDate() - 1);
     }
+
+    const month = String(day.getMonth() + 1).padStart(2, '0');
+    const dayOfMonth = String(day.getDate()).padStart(2, '0');
+    return `${day.getFullYear()}-${month}-${dayOfMonth}`;
   }
 
   /**
-   * Convert data to CSV format
+   * Move a date key by a number of calendar days
    */
-  convertToCSV(data) {
-    const csvRows = [];
-    csvRows.push('Date,Domain,Time Spent (ms),Visits,Category');
-    
-    Object.keys(data).forEach(key => {
-      if (key.startsWith('dailyStats_')) {
-        const date = key.replace('dailyStats_', '');
-        const dayStats = data[key];
-        
-        Object.values(dayStats.sites || {}).forEach(site => {
-          csvRows.push([
-            date,
-            site.domain,
-            site.timeSpent,
-            site.visits,
-            site.category || 'uncategorized'
-          ].join(','));
-        });
-      }
-    });
-    
-    return csvRows.join('\n');
+  shiftDateKey(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
   }
 
   /**
-   * Import data from JSON
+   * List every date key between startDate and endDate (inclusive)
    */
-  async importData(jsonData) {
-    try {
-      const data = JSON.parse(jsonData);
-      
-      if (this.mockMode) {
-        this.mockData = { ...this.mockData, ...data };
-        return true;
-      }
-      
-      await chrome.storage.local.set(data);
-      return true;
-    } catch (error) {
-      console.error('Failed to import data:', error);
-      throw error;
+  getDateRange(startDate, endDate) {
+    const dates = [];
+    const cursor = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+
+    while (cursor <= end) {
+      dates.push(cursor.toISOString().split('T')[0]);
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
     }
+
+    return dates;
   }
 
   /**
-   * Calculate productivity score based on time spent on different categories
+   * Aggregate stored per-day stats into the analytics dashboard shape
    */
-  calculateProductivityScore(sites) {
-    const categoryWeights = {
-      productive: 1.0,
-      neutral: 0.5,
-      entertainment: -0.3,
-      social: -0.5,
-      distraction: -1.0
-    };
-    
-    let totalTime = 0;
-    let weightedScore = 0;
-    
-    Object.values(sites).forEach(site => {
-      const category = site.category || 'neutral';
-      const weight = categoryWeights[category] || 0;
-      
-      totalTime += site.timeSpent;
-      weightedScore += site.timeSpent * weight;
+  aggregateAnalyticsData(timeData, startDate, endDate, period) {
+    const emptyBuckets = () => Object.fromEntries(
+      this.categoryTaxonomy.categories.map(category => [category.id, 0])
+    );
+    const categoryTotals = emptyBuckets();
+    const siteTotals = {};
+
+    const dailyData = this.getDateRange(startDate, endDate).map(date => {
+      const dayStats = timeData[date] || {};
+      const categories = emptyBuckets();
+
+      Object.entries(dayStats.sites || {}).forEach(([domain, site]) => {
+        const timeSpent = site.timeSpent || 0;
+        const category = this.getSiteCategory(domain);
+        const bucket = categories[category] !== undefined ? category : 'other';
+
+        if (!dayStats.estimated) {
+          categories[bucket] += timeSpent;
+          categoryTotals[bucket] += timeSpent;
+        }
+
+        if (!siteTotals[domain]) {
+          siteTotals[domain] = { domain, timeSpent: 0, visits: 0, category };
+        }
+        siteTotals[domain].timeSpent += timeSpent;
+        siteTotals[domain].visits += site.visits || 0;
+      });
+
+      // A day estimated from a rollup carries its category totals, which include the time outside its top sites
+      Object.entries(dayStats.estimated ? dayStats.categories : {}).forEach(([category, timeSpent]) => {
+        const bucket = categories[category] !== undefined ? category : 'other';
+        categories[bucket] += timeSpent;
+        categoryTotals[bucket] += timeSpent;
+      });
+
+      return {
+        date,
+        totalTime: dayStats.totalTime || 0,
+        productivityScore: dayStats.productivityScore || 0,
+        focusSessionCount: dayStats.focusSessionCount || 0,
+        categories
+      };
     });
-    
-    if (totalTime === 0) return 0;
-    
-    // Normalize to 0-100 scale
-    const normalizedScore = (weightedScore / totalTime) * 50 + 50;
-    return Math.max(0, Math.min(100, Math.round(normalizedScore)));
+
+    const totalTime = dailyData.reduce((sum, day) => sum + day.totalTime, 0);
+    const trackedDays = dailyData.filter(day => day.totalTime > 0);
+    const avgProductivityScore = trackedDays.length > 0
+      ? Math.round(trackedDays.reduce((sum, day) => sum + day.productivityScore, 0) / trackedDays.length)
+      : 0;
+
+    return {
+      period,
+      startDate,
+      endDate,
+      summary: {
+        totalTime,
+        avgProductivityScore,
+        totalFocusSessions: dailyData.reduce((sum, day) => sum + day.focusSessionCount, 0),
+        mostProductiveDay: trackedDays.length > 0
+          ? trackedDays.reduce((max, day) => day.productivityScore > max.productivityScore ? day : max)
+          : null
+      },
+      dailyData,
+      categoryBreakdown: categoryTotals,
+      categoryDefinitions: this.categoryTaxonomy.categories.map(({ id, name, color }) => ({ id, name, color })),
+      topSites: this.rankTopSites(Object.values(siteTotals)),
+      trends: this.calculateTrends(dailyData)
+    };
   }
 
   /**
-   * Get comprehensive analytics data for dashboard
+   * Sort aggregated site totals and attach their share of total time
    */
-  async getAnalyticsData(period = 'week') {
-    try {
-      const endDate = new Date();
-      let startDate;
-      
-      switch (period) {
-        case 'week':
-          startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
-          break;
-        case 'month':
-          startDate = new Date(endDate.getTime() - 30 * 24 * 60 * 60 * 1000);
-          break;
-        case 'quarter':
-          startDate = new Date(endDate.getTime() - 90 * 24 * 60 * 60 * 1000);
-          break;
-        default:
-          startDate = new Date(endDate.getTime() - 7 * 24 * 60 * 60 * 1000);
-      }
-
-      if (this.mockMode) {
-        return this.generateMockAnalyticsData(period);
-      }
-
-      // Real data implementation
-      const timeData = await this.getTimeData(startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]);
-      return this.aggregateAnalyticsData(timeData, period);
+  rankTopSites(sites, limit = 10) {
+    const totalTime = sites.reduce((sum, site) => sum + site.timeSpent, 0);
 
-    } catch (error) {
-      console.error('Error getting analytics data:', error);
-      return this.generateMockAnalyticsData(period);
-    }
+    return sites
+      .filter(site => site.timeSpent > 0)
+      .sort((a, b) => b.timeSpent - a.timeSpent)
+      .slice(0, limit)
+      .map(site => ({
+        ...site,
+        percentage: totalTime > 0 ? Math.round((site.timeSpent / totalTime) * 100) : 0
+      }));
   }
 
   /**
@@ -796,100 +2773,317 @@ class StorageManager {
     const timeTrend = recentAvgTime > previousAvgTime * 1.1 ? 'increasing' :
                      recentAvgTime < previousAvgTime * 0.9 ? 'decreasing' : 'stable';
 
+    // Avoid NaN/Infinity when the previous window has no tracked time
+    const percentChange = (current, previous) => previous > 0
+      ? Math.round(((current - previous) / previous) * 100)
+      : 0;
+
     return {
       productivity: productivityTrend,
       totalTime: timeTrend,
-      productivityChange: Math.round(((recentAvgProductivity - previousAvgProductivity) / previousAvgProductivity) * 100),
-      timeChange: Math.round(((recentAvgTime - previousAvgTime) / previousAvgTime) * 100)
+      productivityChange: percentChange(recentAvgProductivity, previousAvgProductivity),
+      timeChange: percentChange(recentAvgTime, previousAvgTime)
     };
   }
 
   /**
-   * Get site category with fallback to domain-based guess
+   * Built-in taxonomy: the default categories plus one exact-domain rule per known site
+   */
+  getDefaultCategoryTaxonomy() {
+    const categories = [
+      { id: 'productive', name: 'Productive', color: '#10B981', weight: 1, mediaPolicy: 'active' },
+      { id: 'social', name: 'Social', color: '#EF4444', weight: -0.5, mediaPolicy: 'passive' },
+      { id: 'entertainment', name: 'Entertainment', color: '#F59E0B', weight: -0.3, mediaPolicy: 'passive' },
+      { id: 'news', name: 'News', color: '#3B82F6', weight: 0, mediaPolicy: 'active' },
+      { id: 'shopping', name: 'Shopping', color: '#EC4899', weight: -0.5, mediaPolicy: 'passive' },
+      { id: 'other', name: 'Other', color: '#6B7280', weight: 0, mediaPolicy: 'active' }
+    ];
+
+    const rules = Object.entries(this.getDefaultSiteCategories()).map(([domain, categoryId]) => ({
+      id: `rule_default_${domain}`,
+      type: 'domain',
+      pattern: domain,
+      categoryId,
+      priority: 0
+    }));
+
+    // Catch-alls for domains the list does not know
+    rules.push(
+      { id: 'rule_default_social', type: 'regex', pattern: '^https?://[^/]*social', categoryId: 'social', priority: -10 },
+      { id: 'rule_default_news', type: 'regex', pattern: '^https?://[^/]*news', categoryId: 'news', priority: -10 }
+    );
+
+    return { categories, rules };
+  }
+
+  /**
+   * Load the stored taxonomy, creating it on first run
+   * Per-domain categories saved in settings before the taxonomy existed become exact-domain rules
    */
-  getSiteCategory(domain) {
-    const categories = this.getDefaultSiteCategories();
-    if (categories[domain]) {
-      return categories[domain];
+  async loadCategoryTaxonomy() {
+    const storage = await chrome.storage.local.get(['categoryTaxonomy', 'settings']);
+    if (storage.categoryTaxonomy) {
+      this.applyCategoryTaxonomy(storage.categoryTaxonomy);
+      return;
+    }
+
+    const taxonomy = this.getDefaultCategoryTaxonomy();
+    const legacyCategories = storage.settings?.categories || {};
+    const defaults = this.getDefaultSiteCategories();
+
+    Object.entries(legacyCategories)
+      .filter(([domain, categoryId]) => categoryId && defaults[domain] !== categoryId)
+      .forEach(([domain, categoryId]) => {
+        if (!taxonomy.categories.some(category => category.id === categoryId)) {
+          const name = categoryId.charAt(0).toUpperCase() + categoryId.slice(1);
+          taxonomy.categories.push({ id: categoryId, name, color: '#8B5CF6', weight: 0 });
+        }
+        taxonomy.rules.push({ id: `rule_site_${domain}`, type: 'domain', pattern: domain, categoryId, priority: 100 });
+      });
+
+    const result = await this.saveCategoryTaxonomy(taxonomy);
+    if (!result.success) {
+      await this.saveCategoryTaxonomy(this.getDefaultCategoryTaxonomy());
     }
 
-    // Simple domain-based categorization
-    if (domain.includes('social') || ['facebook.com', 'twitter.com', 'instagram.com'].includes(domain)) {
-      return 'social';
+    if (storage.settings?.categories) {
+      const { categories, ...settings } = storage.settings;
+      await this.saveSettings(settings);
     }
-    if (domain.includes('news') || ['cnn.com', 'bbc.com'].includes(domain)) {
-      return 'news';
+  }
+
+  /**
+   * Validate and store a whole taxonomy (used for edits and imports alike)
+   */
+  async saveCategoryTaxonomy(taxonomy) {
+    try {
+      const normalized = this.normalizeCategoryTaxonomy(taxonomy);
+      await chrome.storage.local.set({ categoryTaxonomy: normalized });
+      this.applyCategoryTaxonomy(normalized);
+
+      // Weights and rules both feed the score, and rules decide the category stored with each record
+      await this.history.recategorize((domain, url, title) => this.getSiteCategory(domain, url, title));
+      await this.rescoreAllDays();
+      return { success: true, data: normalized };
+    } catch (error) {
+      console.error('Error saving category taxonomy:', error);
+      return { success: false, error: error.message };
     }
-    if (['youtube.com', 'netflix.com', 'spotify.com'].includes(domain)) {
-      return 'entertainment';
+  }
+
+  /**
+   * Check every category and rule, filling in ids and sorting rules by priority
+   * Throws with a user-facing message on the first problem found
+   */
+  normalizeCategoryTaxonomy(taxonomy) {
+    if (!taxonomy || !Array.isArray(taxonomy.categories) || !Array.isArray(taxonomy.rules)) {
+      throw new Error('A taxonomy needs "categories" and "rules" arrays');
     }
-    if (['github.com', 'stackoverflow.com', 'docs.google.com'].includes(domain)) {
-      return 'productive';
+
+    const categories = [];
+    const usedIds = new Set();
+    const usedNames = new Set();
+
+    taxonomy.categories.forEach(category => {
+      const name = String(category?.name || '').trim();
+      if (!name || name.length > 40) {
+        throw new Error('Category names must be 1-40 characters');
+      }
+      if (/[<>]/.test(name)) {
+        throw new Error('Category names cannot contain < or >');
+      }
+      if (usedNames.has(name.toLowerCase())) {
+        throw new Error(`There is already a category named "${name}"`);
+      }
+
+      let id = String(category.id || '').trim();
+      if (!id) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'category';
+        id = base;
+        for (let suffix = 2; usedIds.has(id); suffix++) {
+          id = `${base}-${suffix}`;
+        }
+      } else if (usedIds.has(id)) {
+        throw new Error(`Duplicate category id "${id}"`);
+      }
+
+      const weight = Number(category.weight ?? 0);
+      if (!Number.isFinite(weight) || weight < -1 || weight > 1) {
+        throw new Error(`Productivity weight for "${name}" must be between -1 and 1`);
+      }
+
+      const color = /^#[0-9a-f]{6}$/i.test(category.color || '') ? category.color.toUpperCase() : '#6B7280';
+      const mediaPolicy = this.getCategoryMediaPolicy({ ...category, weight });
+
+      usedIds.add(id);
+      usedNames.add(name.toLowerCase());
+      categories.push({ id, name, color, weight, mediaPolicy });
+    });
+
+    // Unmatched sites always land in "other", so it cannot be removed
+    if (!usedIds.has('other')) {
+      categories.push({ id: 'other', name: 'Other', color: '#6B7280', weight: 0, mediaPolicy: 'active' });
+      usedIds.add('other');
     }
 
-    return 'other';
+    const ruleTypes = ['domain', 'subdomain', 'path', 'regex', 'title'];
+    const rules = taxonomy.rules.map((rule, index) => {
+      const type = rule?.type;
+      if (!ruleTypes.includes(type)) {
+        throw new Error(`Unknown rule type "${type}"`);
+      }
+      if (!usedIds.has(rule.categoryId)) {
+        throw new Error(`Rule "${rule.pattern}" points to a category that does not exist`);
+      }
+
+      const pattern = this.normalizeCategoryRulePattern(type, rule.pattern);
+      const priority = Number(rule.priority ?? 0);
+      if (!Number.isFinite(priority)) {
+        throw new Error(`Rule "${pattern}" needs a numeric priority`);
+      }
+
+      return {
+        id: rule.id || `rule_${Date.now()}_${index}`,
+        type,
+        pattern,
+        categoryId: rule.categoryId,
+        priority
+      };
+    });
+
+    // Higher priority first; equal priorities keep their order
+    rules.sort((a, b) => b.priority - a.priority);
+
+    return { categories, rules };
   }
 
   /**
-   * Update site category
+   * Clean up a rule pattern for its type and reject ones that can never match
    */
-  async updateSiteCategory(domain, category) {
-    try {
-      if (this.mockMode) {
-        this.mockData.settings.categories[domain] = category;
-        return { success: true };
-      }
+  normalizeCategoryRulePattern(type, pattern) {
+    let value = String(pattern || '').trim();
+    if (type !== 'regex') {
+      value = value.toLowerCase();
+    }
+    if (type === 'domain' || type === 'subdomain' || type === 'path') {
+      value = value.replace(/^https?:\/\//, '').replace(/^\*\./, '').replace(/^www\./, '');
+    }
+    if (type === 'domain' || type === 'subdomain') {
+      value = value.replace(/\/.*$/, '');
+    }
 
-      const settings = await this.getSettings();
-      if (!settings.categories) {
-        settings.categories = {};
+    if (!value) {
+      throw new Error(`A ${type} rule needs a pattern`);
+    }
+    if (type === 'path' && !value.includes('/')) {
+      throw new Error(`Path rule "${value}" needs a path, e.g. youtube.com/feed`);
+    }
+    if (type === 'regex') {
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        throw new Error(`Invalid regular expression "${value}"`);
       }
-      settings.categories[domain] = category;
-      
-      await this.updateSettings(settings);
-      return { success: true };
-    } catch (error) {
-      console.error('Error updating site category:', error);
-      return { success: false, error: error.message };
     }
+
+    return value;
   }
 
   /**
-   * Get productivity goals with current progress
+   * Keep the taxonomy in memory so category lookups stay synchronous
    */
-  async getProductivityGoals() {
-    try {
-      if (this.mockMode) {
-        return this.generateProductivityGoals();
+  applyCategoryTaxonomy(taxonomy) {
+    // Taxonomies stored before media policies existed pick them up here
+    const categories = taxonomy.categories.map(category => ({ ...category, mediaPolicy: this.getCategoryMediaPolicy(category) }));
+    this.categoryTaxonomy = { ...taxonomy, categories };
+    this.compiledCategoryRules = taxonomy.rules.map(rule => {
+      if (rule.type === 'regex') {
+        return { ...rule, regex: new RegExp(rule.pattern, 'i') };
+      }
+      if (rule.type === 'path') {
+        const slash = rule.pattern.indexOf('/');
+        return { ...rule, host: rule.pattern.slice(0, slash), path: rule.pattern.slice(slash) };
       }
+      return rule;
+    });
+  }
 
-      const result = await chrome.storage.local.get(['productivityGoals']);
-      return result.productivityGoals || this.generateProductivityGoals();
+  /**
+   * Check one rule against a page
+   */
+  categoryRuleMatches(rule, page) {
+    switch (rule.type) {
+      case 'domain':
+        return page.host === rule.pattern;
+      case 'subdomain':
+        return page.host === rule.pattern || page.host.endsWith(`.${rule.pattern}`);
+      case 'path':
+        return page.host === rule.host && page.path.startsWith(rule.path);
+      case 'regex':
+        return rule.regex.test(page.url);
+      case 'title':
+        return Boolean(page.title) && page.title.toLowerCase().includes(rule.pattern);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Get the category of a site from the first matching rule, or "other"
+   * Path, regex and title rules can only match when the page URL and title are known;
+   * daily totals are stored per domain and match as the site's home page
+   */
+  getSiteCategory(domain, url = null, title = null) {
+    const host = (domain || '').toLowerCase().replace(/^www\./, '');
+    let path = '/';
+    try {
+      path = url ? new URL(url).pathname.toLowerCase() : '/';
     } catch (error) {
-      console.error('Error getting productivity goals:', error);
-      return this.generateProductivityGoals();
+      // Keep the root path for unparseable URLs
     }
+
+    const page = { host, path, url: url || `https://${host}/`, title: title || '' };
+    const rule = this.compiledCategoryRules.find(candidate => this.categoryRuleMatches(candidate, page));
+    return rule ? rule.categoryId : 'other';
+  }
+
+  /**
+   * Display name for a category id
+   */
+  getCategoryName(categoryId) {
+    const category = this.categoryTaxonomy.categories.find(item => item.id === categoryId);
+    return category ? category.name : categoryId;
+  }
+
+  /**
+   * Domains named by domain, subdomain and path rules, for blocking a whole category
+   */
+  getCategoryRuleDomains(categoryId) {
+    return this.compiledCategoryRules
+      .filter(rule => rule.categoryId === categoryId && ['domain', 'subdomain', 'path'].includes(rule.type))
+      .map(rule => rule.host || rule.pattern);
   }
 
   /**
-   * Update productivity goal progress
+   * Put one site in a category with an exact-domain rule that outranks the rest
    */
-  async updateGoalProgress(goalId, progress) {
+  async updateSiteCategory(domain, category) {
     try {
-      if (this.mockMode) {
-        // Update mock data
-        return { success: true };
+      const host = (domain || '').toLowerCase().replace(/^www\./, '');
+      if (!host) {
+        return { success: false, error: 'Domain is required' };
       }
-
-      const goals = await this.getProductivityGoals();
-      if (goals[goalId]) {
-        goals[goalId].current = progress;
-        await chrome.storage.local.set({ productivityGoals: goals });
+      if (!this.categoryTaxonomy.categories.some(item => item.id === category)) {
+        return { success: false, error: `Unknown category "${category}"` };
       }
-      
-      return { success: true };
+
+      const rules = this.categoryTaxonomy.rules
+        .filter(rule => !(rule.type === 'domain' && rule.pattern === host && rule.priority >= 100));
+      rules.unshift({ id: `rule_site_${host}`, type: 'domain', pattern: host, categoryId: category, priority: 100 });
+
+      return this.saveCategoryTaxonomy({ ...this.categoryTaxonomy, rules });
     } catch (error) {
-      console.error('Error updating goal progress:', error);
+      console.error('Error updating site category:', error);
       return { success: false, error: error.message };
     }
   }
@@ -897,7 +3091,7 @@ class StorageManager {
 
 // Export for use in different contexts
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = StorageManager;
+  module.exports = { StorageManager, STORAGE_SCHEMA_VERSION, STORAGE_MIGRATIONS };
 } else if (typeof window !== 'undefined') {
   window.StorageManager = StorageManager;
-} 
\ No newline at end of file
+}